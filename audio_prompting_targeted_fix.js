@@ -9,6 +9,9 @@
 // @grant        GM_addStyle
 // @grant        GM_setClipboard
 // @grant        GM_xmlhttpRequest
+// @connect      labs.google
+// @connect      localhost
+// @connect      127.0.0.1
 // @run-at       document-end
 // ==/UserScript==
 
@@ -21,6 +24,37 @@
     const OVERLAY_TITLE = 'Veo Prompt Artisan';
     const OVERLAY_ID = 'vfx-artisan-overlay';
     const TOGGLE_BUTTON_ID = 'vfx-artisan-toggle-btn';
+    const REQUEST_SETTINGS_STORAGE_KEY = 'vfx-artisan-request-settings';
+    const PROVIDER_SETTINGS_STORAGE_KEY = 'vfx-artisan-provider-settings';
+    const MOCK_SETTINGS_STORAGE_KEY = 'vfx-artisan-mock-settings';
+    const MOCK_FIXTURES_STORAGE_KEY = 'vfx-artisan-mock-fixtures';
+    const SESSIONS_STORAGE_KEY = 'vfx-artisan-sessions';
+    const FAVORITES_STORAGE_KEY = 'vfx-artisan-favorites';
+    const ACTIVE_PROJECT_STORAGE_KEY = 'vfx-artisan-active-project';
+    const PREAMBLE_OVERRIDES_STORAGE_KEY = 'vfx-artisan-preamble-overrides';
+    const AUDIO_LEVEL_STORAGE_KEY = 'vfx-artisan-audio-level';
+
+    // Network behaviour for every API call; user-editable in Connection Settings
+    const DEFAULT_REQUEST_SETTINGS = {
+        timeoutSeconds: 90,    // Per-attempt timeout
+        maxRetries: 2,         // Retries for 429/5xx responses
+        retryBaseDelayMs: 1500 // First backoff delay, doubled on each retry
+    };
+
+    // Which model backend answers API calls; see MODEL_PROVIDERS
+    const DEFAULT_PROVIDER_SETTINGS = {
+        providerId: 'labsTrpc',
+        openAiBaseUrl: 'http://localhost:11434', // Ollama default; llama.cpp server uses :8080
+        openAiModel: 'llama3.1',
+        openAiApiKey: ''
+    };
+
+    // Mock backend mode: 'off' (live), 'record' (live, saving responses) or 'replay' (no network)
+    const DEFAULT_MOCK_SETTINGS = { mode: 'off' };
+
+    // Batch generation: how many rows may be in flight at once
+    const BATCH_CONCURRENCY_OPTIONS = [1, 2, 3, 4, 5];
+    const DEFAULT_BATCH_CONCURRENCY = 2;
 
     // Enhanced UI state with better defaults and cleanup tracking
     const DEFAULT_WINDOW_STATE = {
@@ -85,7 +119,8 @@
     }
     
     // Enhanced notification system for user feedback
-    function showTemporaryNotification(message, type = 'info') {
+    // options.action: { label, onClick } renders a button in the toast (e.g. Undo) and keeps it up a little longer
+    function showTemporaryNotification(message, type = 'info', options = {}) {
         // Remove any existing notification
         const existingNotification = document.getElementById('vfx-temp-notification');
         if (existingNotification) {
@@ -119,6 +154,16 @@
             animation: slideInRight 0.3s ease-out;
         `;
         notification.textContent = message;
+        if (options.action) {
+            const actionButton = document.createElement('button');
+            actionButton.textContent = options.action.label;
+            actionButton.style.cssText = 'margin-left: 12px; padding: 2px 10px; border-radius: 6px; border: 1px solid rgba(255,255,255,0.6); background: transparent; color: white; font-weight: 600; cursor: pointer;';
+            actionButton.addEventListener('click', () => {
+                notification.remove();
+                options.action.onClick();
+            });
+            notification.appendChild(actionButton);
+        }
         
         // Add animation styles if not already present
         if (!document.getElementById('vfx-notification-styles')) {
@@ -139,7 +184,7 @@
         
         document.body.appendChild(notification);
         
-        // Auto-remove after 3 seconds
+        // Auto-remove after 3 seconds (6 when the toast offers an action)
         setTimeout(() => {
             notification.style.animation = 'slideOutRight 0.3s ease-out';
             setTimeout(() => {
@@ -147,7 +192,7 @@
                     notification.remove();
                 }
             }, 300);
-        }, 3000);
+        }, options.action ? 6000 : 3000);
     }
     
     // Window resize handler for responsive behavior
@@ -226,6 +271,32 @@
         }, 'Load window state') || windowState;
     }
 
+    // Generic JSON persistence in localStorage
+    function loadStoredJSON(key, fallback) {
+        return safeExecute(() => {
+            const saved = localStorage.getItem(key);
+            return saved ? JSON.parse(saved) : fallback;
+        }, `Load ${key}`) ?? fallback;
+    }
+
+    function saveStoredJSON(key, value) {
+        safeExecute(() => {
+            localStorage.setItem(key, JSON.stringify(value));
+        }, `Save ${key}`);
+    }
+
+    function loadRequestSettings() {
+        return { ...DEFAULT_REQUEST_SETTINGS, ...loadStoredJSON(REQUEST_SETTINGS_STORAGE_KEY, {}) };
+    }
+
+    function loadProviderSettings() {
+        return { ...DEFAULT_PROVIDER_SETTINGS, ...loadStoredJSON(PROVIDER_SETTINGS_STORAGE_KEY, {}) };
+    }
+
+    function loadMockSettings() {
+        return { ...DEFAULT_MOCK_SETTINGS, ...loadStoredJSON(MOCK_SETTINGS_STORAGE_KEY, {}) };
+    }
+
     const VEO_STYLES = [
       "", "Cinematic", "Film Noir", "Neo-Noir", "Technicolor", "Silent Film", "Vintage Film (e.g., 1920s, 1950s, 1970s, 1980s)",
       "Grainy Film Stock (e.g., 8mm, 16mm, 35mm)", "Super 8mm Film", "16mm Film", "35mm Film", "70mm Film", "IMAX Look",
@@ -263,6 +334,22 @@
     const VEO_DURATION_HINTS = ["", "Very short clip (1-3 seconds)", "Short clip (3-5 seconds)", "Medium clip (5-10 seconds)", "Longer scene (10-15 seconds)", "Looping GIF style", "Dynamic quick cuts", "Slow burn reveal"];
     const VEO_PROMPT_COUNT_OPTIONS_DISPLAY = ["1 Prompt", "3 Prompts", "5 Prompts"];
     const VEO_PROMPT_COUNT_OPTIONS_VALUES = [1, 3, 5];
+    const SCENE_CHAIN_LENGTH_OPTIONS = [1, 2, 3, 4, 5, 6, 8];
+    const SEGMENT_CLIP_SECONDS_OPTIONS = [5, 6, 7, 8];
+    const DEFAULT_SEGMENT_CLIP_SECONDS = 8;
+    const DEFAULT_SEGMENT_SCENE_SECONDS = 30;
+    const SEGMENT_MAX_CLIPS = 15;
+    // Graded audio prompting. Each level adds to the one before it; every level but 'off' uses the audioOn
+    // preambles, narrowed by the level's instruction (see buildPreamble).
+    const AUDIO_LEVELS = {
+        off: { label: 'Off', instruction: '' },
+        ambient: { label: 'Ambient only', instruction: 'AMBIENT ONLY. Describe only the background soundscape of the setting (room tone, weather, wind, distant crowd or traffic). Do not describe sound effects tied to specific actions, music, or any speech or vocal sounds.' },
+        sfx: { label: 'Ambience + SFX', instruction: 'AMBIENCE AND SOUND EFFECTS. Describe the background soundscape and specific sound effects tied to actions and objects (footsteps, a door slam, rain on glass). Do not describe music or any speech.' },
+        music: { label: 'Ambience, SFX + music', instruction: 'AMBIENCE, SOUND EFFECTS AND MUSIC. Describe the soundscape, sound effects, and a music cue (genre, instrumentation, tempo, mood) where it fits. Do not describe speech or dialogue; non-verbal vocal sounds (a gasp, laughter) are fine.' },
+        dialogue: { label: 'Full (with dialogue)', instruction: 'FULL AUDIO. Describe the soundscape, sound effects, music where it fits, and speech: when characters talk, give short spoken lines in quotes with who says them and how (tone, volume, pace).' }
+    };
+    const DEFAULT_AUDIO_LEVEL = 'off';
+    const AUDIO_LEVEL_WHEN_ENABLED = 'dialogue'; // What the old on/off switch meant by "on"
 
     const MAX_IMAGE_SIZE_MB = 5;
     const MAX_IMAGE_SIZE_BYTES = MAX_IMAGE_SIZE_MB * 1024 * 1024;
@@ -277,9 +364,18 @@
       lighting: "The type and mood of lighting. e.g., 'Golden Hour' for warm, soft light.",
       durationHint: "Suggests the desired length or pacing of the video clip.",
       negativePrompt: "Specify elements to avoid in the generated video, e.g., 'blurry, text, watermark'.",
-      numberOfPrompts: "How many different prompt variations to generate. 'Scene Extender' mode will always produce one output.",
+      numberOfPrompts: "How many different prompt variations to generate. 'Scene Extender' mode uses 'Extend' instead.",
+      sceneChainLength: "How many consecutive extensions to make. Each one continues from the end of the previous one, building a chain you can stop, regenerate link by link, and export as a sequence.",
       imageInput: "Upload an image as a visual reference. The AI will consider its style, subject, and composition. For 'Scene Extender', the image and text prompt are used together to describe the new scene.",
-      enableAudioPrompting: "When enabled, prompts will include suggestions for audio elements like sound effects, speech, music, and ambient noise, compatible with Veo 3's audio co-generation.",
+      audioLevel: "How much audio prompts describe, for Veo 3's audio co-generation: nothing, ambience only, ambience and sound effects, plus music, or everything including dialogue. Every AI action follows this level.",
+      timeoutSeconds: "How long a single request may run before it is abandoned. Retries get their own timeout.",
+      maxRetries: "How many times a request is retried when the server is busy (HTTP 429) or failing (HTTP 5xx).",
+      retryBaseDelayMs: "Wait before the first retry. Each further retry doubles it, unless the server sends a Retry-After header.",
+      providerId: "Which model backend answers requests. Use an OpenAI-compatible server (e.g., a local Ollama or llama.cpp instance) when labs.google is down or rate-limiting.",
+      openAiBaseUrl: "Server root, e.g. 'http://localhost:11434' for Ollama or 'http://localhost:8080' for llama.cpp. '/v1/chat/completions' is appended. Only localhost and 127.0.0.1 are reachable; a server on another host needs its own @connect line in the script header.",
+      openAiModel: "Model name as the server knows it, e.g. 'llama3.1' or 'qwen2.5:14b'. llama.cpp ignores this.",
+      mockMode: "Record saves every successful API response per tool. Replay serves recorded and built-in fixtures instead of calling the network, for offline development.",
+      openAiApiKey: "Optional. Sent as a Bearer token for servers that require one. Stored in this browser's localStorage.",
     };
     const INSPIRATION_PROMPTS = [
       { title: "Epic Fantasy Battle", concept: "A knight in shining armor fighting a fire-breathing dragon on a crumbling castle bridge, stormy sky, cinematic lighting. Audio: Roar of the dragon, clash of steel, crumbling stone, epic orchestral score.", params: { style: "Fantasy", cameraAngle: "Low Angle", cameraMovement: "Tracking Shot" } },
@@ -287,9 +383,15 @@
       { title: "Cyberpunk City Chase", concept: "A futuristic vehicle speeding through neon-lit cyberpunk city streets at night, rain-slicked roads, dynamic camera angles. Audio: Roaring engines, tire screeches, futuristic synthwave music, distant city hum.", params: { style: "Cyberpunk", cameraMovement: "Dynamic quick cuts", lighting: "Neon Glow" } }
     ];
 
+    // Response schemas (a small JSON Schema subset, see validateAgainstSchema) shared by PREAMBLE_CONFIG entries
+    const NON_EMPTY_STRING_SCHEMA = { type: 'string', minLength: 1 };
+    const STRING_LIST_SCHEMA = { type: 'array', items: { type: 'string' } };
+
+    // Each entry: audioOff/audioOn preamble templates plus the responseSchema every parsed result is validated against
     const PREAMBLE_CONFIG = {
         mainPromptGen: {
-            audioOff: (numPrompts) => `You are an expert AI assistant, a "Veo 2 Prompt Artisan & Scene Annotator," specializing in crafting exceptionally detailed, creative, and effective prompts for Google's Veo 2 video generation model. Your capabilities are akin to a sophisticated system trained to annotate vast quantities of video and image data with rich, multi-layered textual descriptions. You understand how to translate a core idea, potentially augmented by a reference image, into a descriptive narrative that Veo 2 can optimally interpret to generate compelling video.
+            responseSchema: { type: 'array', minItems: 1, items: { type: 'object', required: ['prompt_text'], properties: { prompt_text: NON_EMPTY_STRING_SCHEMA } } },
+            audioOff: (numPrompts, multiplePromptsNote, additionalPromptExamples) => `You are an expert AI assistant, a "Veo 2 Prompt Artisan & Scene Annotator," specializing in crafting exceptionally detailed, creative, and effective prompts for Google's Veo 2 video generation model. Your capabilities are akin to a sophisticated system trained to annotate vast quantities of video and image data with rich, multi-layered textual descriptions. You understand how to translate a core idea, potentially augmented by a reference image, into a descriptive narrative that Veo 2 can optimally interpret to generate compelling video.
 
 Your primary goal is to generate ${numPrompts} distinct Veo 2 prompts based on the user's input (which may include a textual description and/or an image reference). Each prompt must be a self-contained string, ready for direct use. You will strictly adhere to the official Google Veo 2 prompting guidelines and best practices.
 
@@ -332,7 +434,7 @@ For each prompt, you will construct a descriptive narrative by elaborating on th
     * Follow the guideline: "Don't use instructive language or words like *no* or *don't*."
     * Instead, **describe what you *do* want to see in a way that implicitly excludes what is undesired.** For example, if the user wants to avoid "urban background," describe a "vast, natural landscape" or "secluded forest clearing." If they want to avoid "blurry," describe it as "sharp, in-focus."
 * **Aspect Ratio & Duration:** If the user specifies an aspect ratio (e.g., "16:9 widescreen," "9:16 portrait") or a duration hint (e.g., "short clip," "time-lapse"), incorporate this naturally or as a concluding technical note if appropriate.
-* **Multiple Prompts (If Requested):** If generating more than one prompt ${numPrompts > 1 ? '(which you are)' : '(as you are generating one)'}, ensure each offers a distinct variation in detail, focus, perspective, or creative interpretation while still adhering to the core request.
+* **Multiple Prompts (If Requested):** If generating more than one prompt ${multiplePromptsNote}, ensure each offers a distinct variation in detail, focus, perspective, or creative interpretation while still adhering to the core request.
 
 **Output Format (Strictly Enforced):**
 
@@ -345,15 +447,12 @@ Example for ${numPrompts} prompt(s), strictly following the format:
   {
     "prompt_text": "A highly detailed Veo 2 prompt, narratively describing the subject, its action within a specific context, rendered in a particular style, potentially with camera and ambiance details synthesizing text and image inputs if provided."
   }
-  ${numPrompts > 1 ? ',{\n    "prompt_text": "A second, distinct Veo 2 prompt, perhaps varying the level of detail, focusing on a different aspect of the scene, or offering an alternative creative interpretation based on the user\\\'s input and any provided image."\n  }' : ''}
-  ${numPrompts > 2 ? ',{\n    "prompt_text": "A third, distinct Veo 2 prompt, offering another unique angle or elaboration."\n  }' : ''}
-  ${numPrompts > 3 ? ',{\n    "prompt_text": "A fourth distinct prompt..."\n  }' : ''}
-  ${numPrompts > 4 ? ',{\n    "prompt_text": "And a fifth distinct prompt if requested."\n  }' : ''}
+  ${additionalPromptExamples}
 ]
 \`\`\`
 
 Focus on quality, adherence to Veo 2's capabilities, and maximizing creative potential by leveraging your understanding as both a prompt engineer and a sophisticated scene annotator.`,
-            audioOn: (numPrompts) => `You are an expert AI assistant, a "Veo 2 Prompt Artisan & Scene Annotator," specializing in crafting exceptionally detailed, creative, and effective prompts for Google's Veo 2 video generation model. Your capabilities are akin to a sophisticated system trained to annotate vast quantities of video and image data with rich, multi-layered textual descriptions. You understand how to translate a core idea, potentially augmented by a reference image, into a descriptive narrative that Veo 2 can optimally interpret to generate compelling video.
+            audioOn: (numPrompts, multiplePromptsNote, additionalPromptExamples) => `You are an expert AI assistant, a "Veo 2 Prompt Artisan & Scene Annotator," specializing in crafting exceptionally detailed, creative, and effective prompts for Google's Veo 2 video generation model. Your capabilities are akin to a sophisticated system trained to annotate vast quantities of video and image data with rich, multi-layered textual descriptions. You understand how to translate a core idea, potentially augmented by a reference image, into a descriptive narrative that Veo 2 can optimally interpret to generate compelling video.
 
 Your primary goal is to generate ${numPrompts} distinct Veo 2 prompts based on the user's input (which may include a textual description and/or an image reference). Each prompt must be a self-contained string, ready for direct use. You will strictly adhere to the official Google Veo 2 prompting guidelines and best practices.
 
@@ -403,7 +502,7 @@ For each prompt, you will construct a descriptive narrative by elaborating on th
     * Follow the guideline: "Don't use instructive language or words like *no* or *don't*."
     * Instead, **describe what you *do* want to see in a way that implicitly excludes what is undesired.** For example, if the user wants to avoid "urban background," describe a "vast, natural landscape" or "secluded forest clearing." If they want to avoid "blurry," describe it as "sharp, in-focus."
 * **Aspect Ratio & Duration:** If the user specifies an aspect ratio (e.g., "16:9 widescreen," "9:16 portrait") or a duration hint (e.g., "short clip," "time-lapse"), incorporate this naturally or as a concluding technical note if appropriate.
-* **Multiple Prompts (If Requested):** If generating more than one prompt ${numPrompts > 1 ? '(which you are)' : '(as you are generating one)'}, ensure each offers a distinct variation in detail, focus, perspective, or creative interpretation while still adhering to the core request.
+* **Multiple Prompts (If Requested):** If generating more than one prompt ${multiplePromptsNote}, ensure each offers a distinct variation in detail, focus, perspective, or creative interpretation while still adhering to the core request.
 
 **Output Format (Strictly Enforced):**
 
@@ -416,16 +515,14 @@ Example for ${numPrompts} prompt(s), strictly following the format:
   {
     "prompt_text": "A highly detailed Veo 2 prompt, narratively describing the subject, its action within a specific context, rendered in a particular style, potentially with camera and ambiance details, and integrated audio cues (SFX, ambient, speech hints, music style) synthesizing text and image inputs if provided."
   }
-  ${numPrompts > 1 ? ',{\n    "prompt_text": "A second, distinct Veo 2 prompt, perhaps varying the level of detail, focusing on a different aspect of the scene, or offering an alternative creative interpretation based on the user\\\'s input and any provided image."\n  }' : ''}
-  ${numPrompts > 2 ? ',{\n    "prompt_text": "A third, distinct Veo 2 prompt, offering another unique angle or elaboration."\n  }' : ''}
-  ${numPrompts > 3 ? ',{\n    "prompt_text": "A fourth distinct prompt..."\n  }' : ''}
-  ${numPrompts > 4 ? ',{\n    "prompt_text": "And a fifth distinct prompt if requested."\n  }' : ''}
+  ${additionalPromptExamples}
 ]
 \`\`\`
 
 Focus on quality, adherence to Veo 2's capabilities, and maximizing creative potential by leveraging your understanding as both a prompt engineer and a sophisticated scene annotator.`
         },
         sceneExtender: { // This preamble does NOT ask for JSON output from the LLM
+            responseSchema: NON_EMPTY_STRING_SCHEMA,
             audioOff: () => `You will be provided an input of an image and user provided prompt.
 Your task is to generate a new scene based off of the original image and the user's requested change to that scene for a text-to-video service. The new scene description must be comprehensive and contain all necessary information for the AI video generator to create the corresponding visual.
 IMPORTANT: Make sure the new scene is no more than 150 words.
@@ -465,6 +562,7 @@ VERY IMPORTANT!!! ONLY output the new scene, do it in a clean and continuous par
 Emphasize the following user provided prompt and add more details if necessary to make better for a video generation model to give better result.`
         },
         promptCritique: {
+            responseSchema: { type: 'object', required: ['critique', 'suggested_enhancements'], properties: { critique: NON_EMPTY_STRING_SCHEMA, suggested_enhancements: STRING_LIST_SCHEMA } },
             audioOff: (promptToCritique) => `You are an expert AI assistant, a "Veo 2 Prompt Artisan & Scene Annotator," specializing in crafting and refining prompts for Google's Veo 2 video generation model. Your task is to critique the provided Veo 2 prompt and offer actionable suggestions for improvement, viewing the prompt as a potential scene description.
 
 Analyze the prompt based on its effectiveness as a detailed and evocative scene annotation for Veo 2, considering:
@@ -528,6 +626,7 @@ The prompt to critique is:
 "${promptToCritique}"`
         },
         themeExplorer: {
+            responseSchema: { type: 'object', required: ['theme_name', 'suggested_subjects_characters', 'suggested_settings_environments', 'suggested_key_objects_props', 'suggested_mood_keywords_styles'], properties: { theme_name: { type: 'string' }, suggested_subjects_characters: STRING_LIST_SCHEMA, suggested_settings_environments: STRING_LIST_SCHEMA, suggested_key_objects_props: STRING_LIST_SCHEMA, suggested_mood_keywords_styles: STRING_LIST_SCHEMA, suggested_audio_elements_moods: STRING_LIST_SCHEMA } },
             audioOff: (theme) => `You are a creative AI assistant, a "Veo 2 Prompt Artisan & Scene Annotator," specializing in brainstorming video concepts. The user has provided a theme: "${theme}".
 Your task is to generate a list of related ideas, suitable for developing into detailed scene descriptions (annotations) for Veo 2. Categorize these ideas as follows:
 
@@ -570,6 +669,7 @@ Output ONLY a valid JSON object with the following structure:
 Do not include any other text, greetings, or explanations outside of this JSON structure.`
         },
         promptElaboration: {
+            responseSchema: { type: 'object', required: ['elaborated_prompts'], properties: { original_prompt: { type: 'string' }, elaborated_prompts: STRING_LIST_SCHEMA } },
             audioOff: (originalPrompt) => `You are an expert AI assistant, a "Veo 2 Prompt Artisan & Scene Annotator." Your task is to take the user's provided Veo 2 prompt and elaborate upon it, transforming it into a more detailed, descriptive, and evocative scene description (annotation) for video generation. Focus on enriching the existing concepts by adding layers of visual and contextual detail, as if meticulously annotating a complex scene.
 The original prompt is: "${originalPrompt}"
 
@@ -611,6 +711,7 @@ Output ONLY a valid JSON object with the following structure:
 Do not include any other text, greetings, or explanations outside of this JSON structure. If the original prompt is already very detailed, you might return only one significantly enhanced version or a minor refinement focusing on annotative depth.`
         },
         shotSequenceGen: {
+            responseSchema: { type: 'object', required: ['suggested_sequence_prompts'], properties: { original_prompt: { type: 'string' }, suggested_sequence_prompts: STRING_LIST_SCHEMA } },
             audioOff: (originalPrompt) => `You are an expert AI assistant, a "Veo 2 Prompt Artisan & Scene Annotator." Your task is to take the user's provided Veo 2 prompt (which describes a single shot or scene annotation) and suggest 2-3 subsequent or related shots that could form a coherent visual sequence or mini-narrative, as if annotating a continuous piece of video.
 The original prompt (current scene annotation) is: "${originalPrompt}"
 
@@ -652,6 +753,7 @@ Output ONLY a valid JSON object with the following structure:
 Do not include any other text, greetings, or explanations outside of this JSON structure. Provide 2 to 3 suggestions.`
         },
         charDetailGen: {
+            responseSchema: { type: 'object', required: ['character_concept', 'appearance_details', 'personality_quirks', 'signature_items_accessories'], properties: { character_concept: { type: 'string' }, appearance_details: STRING_LIST_SCHEMA, personality_quirks: STRING_LIST_SCHEMA, signature_items_accessories: STRING_LIST_SCHEMA, suggested_vocal_characteristics_sounds: STRING_LIST_SCHEMA } },
             audioOff: (characterConcept) => `You are an AI assistant, a "Veo 2 Prompt Artisan & Scene Annotator," specializing in character creation for video prompts. The user has provided a basic character concept: "${characterConcept}".
 Your task is to brainstorm and generate detailed visual suggestions for this character, suitable for inclusion in a rich scene description (annotation). Focus on attributes that would be visually prominent and contribute to a vivid character portrayal within a scene.
 
@@ -693,6 +795,7 @@ Output ONLY a valid JSON object with the following structure:
 Do not include any other text, greetings, or explanations outside of this JSON structure.`
         },
         styleTransfer: {
+            responseSchema: { type: 'object', required: ['stylized_prompt'], properties: { stylized_prompt: NON_EMPTY_STRING_SCHEMA } },
             audioOff: (originalPrompt, targetStyle) => `You are an expert AI assistant, a "Veo 2 Prompt Artisan," specializing in transforming the style of video prompts for Google's Veo 2 model.
 Your task is to take an original video prompt and a target visual style, then rewrite the prompt to reflect the new style while preserving the core subject, action, and setting of the original.
 
@@ -728,6 +831,16 @@ Do not include any other text, greetings, or explanations.
 For example, if original is "A cat chasing a mouse in a kitchen, sunny day. Audio: playful squeaks, cat meows." and target style is "Film Noir", the stylized prompt might be "In a dimly lit, shadow-strewn kitchen, a sleek black cat silently stalks an unsuspecting mouse, shafts of pale moonlight cutting through the gloom, the faint sound of distant, melancholic jazz saxophone, Film Noir style. Audio: Tense silence punctuated by a floorboard creak, a barely audible, nervous squeak from the mouse."`
         },
         storyboardGen: {
+            responseSchema: {
+                type: 'object', required: ['original_concept', 'storyboard_shots'],
+                properties: {
+                    original_concept: { type: 'string' },
+                    storyboard_shots: { type: 'array', minItems: 1, items: {
+                        type: 'object', required: ['shot_number', 'description'],
+                        properties: { shot_number: { type: 'integer' }, description: NON_EMPTY_STRING_SCHEMA, suggested_shot_type: { type: 'string' }, suggested_camera_angle: { type: 'string' }, key_elements: STRING_LIST_SCHEMA, audio_description: { type: 'string' } }
+                    } }
+                }
+            },
             audioOff: (concept) => `You are an expert AI assistant, a "Veo 2 Prompt Artisan & Visual Storyteller," specializing in breaking down a core video concept into a sequence of distinct visual shots for a storyboard.
 The user has provided the following core concept: "${concept}"
 
@@ -787,10 +900,12 @@ Output ONLY a valid JSON object with the following structure:
 Do not include any other text, greetings, or explanations outside of this JSON structure. Ensure the 'description' for each shot is a well-crafted Veo 2 prompt.`
         },
         inferVisualParams: {
-            audioOff: (description, imageProvided) => `Analyze video concept (and image if provided). Suggest visual parameters. Output JSON: {"style"?, "cameraAngle"?, "cameraMovement"?, "lighting"?}. Style MUST be from [${VEO_STYLES_STRING_FOR_LLM}] or omitted. Concept: "${description || (imageProvided ? "See image." : "Generic.")}"`,
-            audioOn: (description, imageProvided) => `Analyze video concept (and image if provided). Suggest visual parameters. Output JSON: {"style"?, "cameraAngle"?, "cameraMovement"?, "lighting"?}. Style MUST be from [${VEO_STYLES_STRING_FOR_LLM}] or omitted. Concept: "${description || (imageProvided ? "See image." : "Generic.")}"`
+            responseSchema: { type: 'object', properties: { style: { type: 'string' }, cameraAngle: { type: 'string' }, cameraMovement: { type: 'string' }, lighting: { type: 'string' } } },
+            audioOff: (description, imageProvided, conceptText) => `Analyze video concept (and image if provided). Suggest visual parameters. Output JSON: {"style"?, "cameraAngle"?, "cameraMovement"?, "lighting"?}. Style MUST be from [${VEO_STYLES_STRING_FOR_LLM}] or omitted. Concept: "${conceptText}"`,
+            audioOn: (description, imageProvided, conceptText) => `Analyze video concept (and image if provided). Suggest visual parameters. Output JSON: {"style"?, "cameraAngle"?, "cameraMovement"?, "lighting"?}. Style MUST be from [${VEO_STYLES_STRING_FOR_LLM}] or omitted. Concept: "${conceptText}"`
         },
         surpriseMe: {
+            responseSchema: { type: 'object', required: ['concept', 'suggestedStyle'], properties: { concept: NON_EMPTY_STRING_SCHEMA, suggestedStyle: NON_EMPTY_STRING_SCHEMA, suggestedCameraAngle: { type: 'string' }, suggestedCameraMovement: { type: 'string' }, suggestedLighting: { type: 'string' }, suggestedAudio: STRING_LIST_SCHEMA } },
             audioOff: () => `AI assistant, "Veo 2 Prompt Artisan & Scene Annotator", imaginative. Generate RANDOM, UNEXPECTED, WILDLY CREATIVE video concepts with strong visual potential for Veo 2 annotations. Avoid tropes unless novel. Maximize diversity. Surprise user. Concepts should be "annotatable". Mashup genres, give mundane objects extraordinary abilities, bizarre predicaments. Spark imagination for detailed visual scene. Examples:
 - 'Melancholic sloth, speed chess champion, velvet smoking jacket, on melting iceberg, aurora borealis.'
 - 'Sentient argyle sock puppet detective, mismatched button eyes, examines giant lint ball, noir miniature city of laundry items.'
@@ -799,6 +914,155 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
 - 'Melancholic sloth, speed chess champion, velvet smoking jacket, on melting iceberg, aurora borealis. Audio: Gentle lapping of water, sloth's thoughtful sigh, faint classical music.'
 - 'Sentient argyle sock puppet detective, mismatched button eyes, examines giant lint ball, noir miniature city of laundry items. Audio: Tiny squeaky footsteps, dramatic jazz sting, detective's muffled internal monologue.'
 Output ONLY a single, valid JSON object with the following structure: {"concept": "string (MAX 20-30 words, visual nouns/actions)", "suggestedStyle": "string from list", "suggestedCameraAngle"?: "string", "suggestedCameraMovement"?: "string", "suggestedLighting"?: "string", "suggestedAudio"?: ["string", "string"]}. Do NOT output a JSON array. "suggestedStyle" MUST be from [${VEO_STYLES_STRING_FOR_LLM}]. Concept most unique. Style/camera enhance "annotatability". If suggesting audio, provide 1-2 brief ideas for sound effects, music mood, or even a short dialogue hint (e.g., "Audio: Whispers, wind howling").`
+        },
+        continuityCheck: {
+            responseSchema: {
+                type: 'object', required: ['entities', 'conflicts'],
+                properties: {
+                    summary: { type: 'string' },
+                    entities: { type: 'array', items: {
+                        type: 'object', required: ['name', 'appearances'],
+                        properties: { name: NON_EMPTY_STRING_SCHEMA, type: { type: 'string' }, appearances: { type: 'array', items: {
+                            type: 'object', required: ['shot', 'attributes'], properties: { shot: { type: 'integer' }, attributes: { type: 'string' } }
+                        } } }
+                    } },
+                    conflicts: { type: 'array', items: {
+                        type: 'object', required: ['issue', 'shots'],
+                        properties: {
+                            entity: { type: 'string' }, severity: { type: 'string' }, issue: NON_EMPTY_STRING_SCHEMA,
+                            shots: { type: 'array', items: { type: 'integer' } },
+                            suggested_rewrites: { type: 'array', items: {
+                                type: 'object', required: ['shot', 'rewritten_text'], properties: { shot: { type: 'integer' }, rewritten_text: NON_EMPTY_STRING_SCHEMA }
+                            } }
+                        }
+                    } }
+                }
+            },
+            audioOff: (shots) => `You are an expert AI assistant, a "Veo 2 Prompt Artisan & Scene Annotator," acting as a script supervisor. The user has a sequence of shots that will be cut together into one continuous piece of video. Check them for continuity errors.
+
+The shots, in order:
+${shots}
+
+Your task:
+1.  Extract the recurring entities: characters, wardrobe, props, locations, time of day, weather and lighting.
+2.  For each entity, note its attributes as described in every shot where it appears (e.g., "red jacket" in shot 1, "blue jacket" in shot 3).
+3.  Report each conflict between shots: an attribute that changes without a reason shown on screen (a jacket changes colour, day turns to night, a prop vanishes or reappears).
+4.  Where a conflict can be fixed by rewriting a shot, provide the full rewritten shot text. Change only what is needed for continuity and keep everything else in that shot intact.
+
+Output ONLY a valid JSON object with the following structure:
+{
+  "summary": "One or two sentences on the overall continuity of the sequence.",
+  "entities": [
+    { "name": "The keeper's coat", "type": "wardrobe", "appearances": [ { "shot": 1, "attributes": "heavy navy wool peacoat" }, { "shot": 3, "attributes": "yellow raincoat" } ] }
+  ],
+  "conflicts": [
+    {
+      "entity": "The keeper's coat",
+      "shots": [1, 3],
+      "severity": "high",
+      "issue": "The coat changes from a navy peacoat to a yellow raincoat with no costume change shown.",
+      "suggested_rewrites": [ { "shot": 3, "rewritten_text": "Full rewritten text of shot 3..." } ]
+    }
+  ]
+}
+"type" is one of: character, wardrobe, prop, location, time_of_day, weather, lighting, other. "severity" is one of: high, medium, low. Use an empty "conflicts" array when the shots are consistent, and an empty "suggested_rewrites" array when a conflict cannot be fixed by rewriting one shot.
+Do not include any other text, greetings, or explanations outside of this JSON structure.`,
+            audioOn: (shots) => `You are an expert AI assistant, a "Veo 2 Prompt Artisan & Scene Annotator," acting as a script supervisor. The user has a sequence of shots that will be cut together into one continuous piece of video. Check them for continuity errors.
+
+The shots, in order:
+${shots}
+
+Your task:
+1.  Extract the recurring entities: characters, wardrobe, props, locations, time of day, weather and lighting.
+Audio prompting is enabled. Also treat recurring sounds (ambience, music, a character's voice) as entities and flag audio that changes between shots without a reason.
+2.  For each entity, note its attributes as described in every shot where it appears (e.g., "red jacket" in shot 1, "blue jacket" in shot 3).
+3.  Report each conflict between shots: an attribute that changes without a reason shown on screen (a jacket changes colour, day turns to night, a prop vanishes or reappears).
+4.  Where a conflict can be fixed by rewriting a shot, provide the full rewritten shot text. Change only what is needed for continuity and keep everything else in that shot intact.
+
+Output ONLY a valid JSON object with the following structure:
+{
+  "summary": "One or two sentences on the overall continuity of the sequence.",
+  "entities": [
+    { "name": "The keeper's coat", "type": "wardrobe", "appearances": [ { "shot": 1, "attributes": "heavy navy wool peacoat" }, { "shot": 3, "attributes": "yellow raincoat" } ] }
+  ],
+  "conflicts": [
+    {
+      "entity": "The keeper's coat",
+      "shots": [1, 3],
+      "severity": "high",
+      "issue": "The coat changes from a navy peacoat to a yellow raincoat with no costume change shown.",
+      "suggested_rewrites": [ { "shot": 3, "rewritten_text": "Full rewritten text of shot 3..." } ]
+    }
+  ]
+}
+"type" is one of: character, wardrobe, prop, location, time_of_day, weather, lighting, audio, other. "severity" is one of: high, medium, low. Use an empty "conflicts" array when the shots are consistent, and an empty "suggested_rewrites" array when a conflict cannot be fixed by rewriting one shot.
+Do not include any other text, greetings, or explanations outside of this JSON structure.`
+        },
+        clipSegmentation: {
+            responseSchema: {
+                type: 'object', required: ['clips'],
+                properties: {
+                    clips: { type: 'array', minItems: 1, items: {
+                        type: 'object', required: ['clip_number', 'prompt_text'],
+                        properties: { clip_number: { type: 'integer' }, prompt_text: NON_EMPTY_STRING_SCHEMA, opening_state: { type: 'string' }, ending_state: { type: 'string' }, audio_description: { type: 'string' } }
+                    } }
+                }
+            },
+            audioOff: (concept, clipSeconds, clipCount) => `You are an expert AI assistant, a "Veo 2 Prompt Artisan & Continuity Editor," specializing in breaking a long scene into consecutive short clips that are generated separately and then cut together.
+The user has provided the following scene: "${concept}"
+
+Veo 2 generates clips of about ${clipSeconds} seconds. Split the scene into exactly ${clipCount} consecutive clips that together cover the whole scene, in order.
+
+For each clip, provide:
+1.  \`clip_number\`: An integer starting from 1.
+2.  \`opening_state\`: The first frame of the clip: where each subject is, what they are doing, and where the camera is. From clip 2 onwards this must match the previous clip's \`ending_state\`.
+3.  \`prompt_text\`: A complete, self-contained Veo 2 prompt for this clip (max 80 words). It opens on \`opening_state\` and describes only the action that fits in ${clipSeconds} seconds. Repeat the subject, setting and style details in every clip; never refer to "the previous clip".
+4.  \`ending_state\`: The last frame of the clip, written so the next clip can open on it.
+
+Apply the provided Desired Visual Style, Camera Angle, Camera Movement and Lighting to every clip so the clips match when cut together.
+
+Output ONLY a valid JSON object with the following structure:
+{
+  "clips": [
+    {
+      "clip_number": 1,
+      "opening_state": "First frame of clip 1...",
+      "prompt_text": "Veo 2 prompt for clip 1...",
+      "ending_state": "Last frame of clip 1..."
+    }
+    // ... one object per clip, ${clipCount} in total
+  ]
+}
+Do not include any other text, greetings, or explanations outside of this JSON structure.`,
+            audioOn: (concept, clipSeconds, clipCount) => `You are an expert AI assistant, a "Veo 2 Prompt Artisan & Continuity Editor," specializing in breaking a long scene into consecutive short clips that are generated separately and then cut together.
+The user has provided the following scene: "${concept}"
+Audio prompting is enabled. Sound must carry across the cuts: ambience and music continue from one clip into the next, and any line of dialogue starts and ends within one clip.
+
+Veo 2 generates clips of about ${clipSeconds} seconds. Split the scene into exactly ${clipCount} consecutive clips that together cover the whole scene, in order.
+
+For each clip, provide:
+1.  \`clip_number\`: An integer starting from 1.
+2.  \`opening_state\`: The first frame of the clip: where each subject is, what they are doing, and where the camera is. From clip 2 onwards this must match the previous clip's \`ending_state\`.
+3.  \`prompt_text\`: A complete, self-contained Veo 2 prompt for this clip (max 80 words). It opens on \`opening_state\` and describes only the action that fits in ${clipSeconds} seconds. Repeat the subject, setting and style details in every clip; never refer to "the previous clip".
+4.  \`ending_state\`: The last frame of the clip, written so the next clip can open on it.
+5.  \`audio_description\`: The sound for this clip (e.g., "Rain on the tin roof continues, a kettle starts to whistle."), continuing from the previous clip's sound.
+
+Apply the provided Desired Visual Style, Camera Angle, Camera Movement and Lighting to every clip so the clips match when cut together.
+
+Output ONLY a valid JSON object with the following structure:
+{
+  "clips": [
+    {
+      "clip_number": 1,
+      "opening_state": "First frame of clip 1...",
+      "prompt_text": "Veo 2 prompt for clip 1...",
+      "ending_state": "Last frame of clip 1...",
+      "audio_description": "Sound for clip 1..."
+    }
+    // ... one object per clip, ${clipCount} in total
+  ]
+}
+Do not include any other text, greetings, or explanations outside of this JSON structure.`
         }
     };
 
@@ -808,15 +1072,29 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
         promptParams: {
             description: '', style: "", aspectRatio: '', cameraAngle: '', cameraMovement: '', lighting: '', durationHint: '', negativePrompt: '',
             numberOfPrompts: VEO_PROMPT_COUNT_OPTIONS_VALUES[0], imageB64: null, imageMimeType: null,
-            enableAudioPrompting: false,
+            enableAudioPrompting: false, audioLevel: DEFAULT_AUDIO_LEVEL, // enableAudioPrompting mirrors audioLevel !== 'off'
         },
         generatedPrompts: [],
         isLoading: false,
         currentApiActionMessage: "Crafting your prompts...",
+        lastSentRequest: null, // { actionKey, userContent } of the most recent API call, shown in loaders
         errorMsg: null,
         activeMode: "generator",
+        sceneChainLength: SCENE_CHAIN_LENGTH_OPTIONS[0],
         uploadedImage: null,
         activeModal: null, // { type: 'critique', data: {...}, isLoading: false, error: null, result: null }
+        requestSettings: { ...DEFAULT_REQUEST_SETTINGS },
+        providerSettings: { ...DEFAULT_PROVIDER_SETTINGS },
+        mockSettings: { ...DEFAULT_MOCK_SETTINGS },
+        sessions: [], // See Session Management; always holds at least one session after init
+        activeSessionId: null,
+        favorites: { folders: [], items: [] },
+        projects: [], // Summaries { id, name, archived, updatedAt }; full records are in IndexedDB
+        activeProject: null, // Full record of the active project (see Projects)
+        batch: { fileName: '', rows: [], concurrency: DEFAULT_BATCH_CONCURRENCY, isRunning: false, groupBy: '' }, // See Batch Generation
+        template: { values: {}, sampleSize: null }, // Raw value text per {{variable}}; see Prompt Templates
+        characterBible: [], // See Character Bible; loaded from IndexedDB
+        preambleOverrides: {}, // See Preamble Overrides; loaded from localStorage
     };
     // --- END: Global State Variables ---
 
@@ -826,6 +1104,8 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
     let modeSwitcherContainer;
     let footerStyleSelect, footerNumPromptsSelect, footerAudioToggle, footerAdvancedSettingsButton;
     let footerResetAllButton, footerSurpriseMeButton, footerThemeExplorerButton, footerCharGenButton, footerStoryboardButton;
+    let footerConnectionSettingsButton, footerHistoryButton, footerFavoritesButton, footerBatchButton;
+    let footerUndoButton, footerRedoButton, footerCharacterBibleButton, footerSegmentButton, footerCompareButton, footerAudioTrackButton;
     let generateButton, clearPromptButton, uploadImageButton;
     let generalModalContainer;
     let toggleButton; // For the main UI toggle
@@ -860,273 +1140,2715 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
         return `<span class="${iconFamilyClass} ${additionalClasses}" style="${styleProp}">${iconName}</span>`;
     }
 
-    function gmFetch(details) {
+    function createCancellationError() {
+        const error = new Error("Request cancelled.");
+        error.name = 'CancellationError';
+        error.isCancellation = true;
+        return error;
+    }
+
+    function isCancellationError(error) {
+        return !!(error && error.isCancellation);
+    }
+
+    // Resolves after `ms`, or rejects with a cancellation error as soon as `signal` aborts.
+    function waitWithSignal(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) { reject(createCancellationError()); return; }
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(createCancellationError());
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    function parseRetryAfterMs(responseHeaders) {
+        const match = /^retry-after:\s*(.+)$/im.exec(responseHeaders || '');
+        if (!match) return null;
+        const seconds = parseInt(match[1], 10);
+        if (!isNaN(seconds)) return seconds * 1000;
+        const date = Date.parse(match[1]);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    function buildApiErrorMessage(response) {
+        let errorMsg = `API Error (${response.status}): ${response.statusText || 'Server Error'}. `;
+        if (response.response) {
+            try {
+                const parsedError = typeof response.response === 'string' ? JSON.parse(response.response) : response.response;
+                if (parsedError && parsedError.error && parsedError.error.json && Array.isArray(parsedError.error.json)) {
+                     errorMsg += parsedError.error.json.map(err => err.message).join('; ');
+                } else if (parsedError && parsedError.error && typeof parsedError.error.message === 'string' && parsedError.error.message.startsWith('[')) { // Handle stringified JSON error message
+                    try {
+                        const innerJsonError = JSON.parse(parsedError.error.message);
+                        if (Array.isArray(innerJsonError) && innerJsonError.length > 0 && innerJsonError[0].message) {
+                            errorMsg += innerJsonError.map(e => `${e.path.join('.')}: ${e.message}`).join('; ');
+                        } else {
+                            errorMsg += parsedError.error.message;
+                        }
+                    } catch (e) {
+                        errorMsg += parsedError.error.message; // Fallback if inner parse fails
+                    }
+                } else if (parsedError && parsedError.error && parsedError.error.message) {
+                    errorMsg += parsedError.error.message;
+                } else if (typeof response.response === 'string') {
+                    errorMsg += response.response.substring(0, 200);
+                } else {
+                   errorMsg += "Could not parse error details."
+                }
+            } catch (e) {
+                errorMsg += "Could not parse error response. " + String(response.response).substring(0, 100);
+            }
+        }
+        return errorMsg;
+    }
+
+    // A single GM_xmlhttpRequest, aborted when `details.signal` fires and failed after `details.timeoutMs`.
+    function gmFetchAttempt(details) {
         return new Promise((resolve, reject) => {
-            GM_xmlhttpRequest({
+            if (details.signal?.aborted) { reject(createCancellationError()); return; }
+            let settled = false;
+            let requestHandle = null;
+            const settle = (fn) => {
+                if (settled) return;
+                settled = true;
+                details.signal?.removeEventListener('abort', onAbort);
+                fn();
+            };
+            const onAbort = () => settle(() => {
+                try { requestHandle?.abort(); } catch (e) { /* Request already finished */ }
+                reject(createCancellationError());
+            });
+
+            requestHandle = GM_xmlhttpRequest({
                 method: details.method || "GET",
                 url: details.url,
                 headers: details.headers || {},
                 data: details.body ? JSON.stringify(details.body) : null,
                 responseType: details.responseType || 'json',
-                onload: (response) => {
+                timeout: details.timeoutMs || 0,
+                onload: (response) => settle(() => {
                     if (response.status >= 200 && response.status < 300) {
                         resolve(response.response);
                     } else {
                         console.error("gmFetch API Error Details:", response);
-                        let errorMsg = `API Error (${response.status}): ${response.statusText || 'Server Error'}. `;
-                        if (response.response) {
-                            try {
-                                const parsedError = typeof response.response === 'string' ? JSON.parse(response.response) : response.response;
-                                if (parsedError && parsedError.error && parsedError.error.json && Array.isArray(parsedError.error.json)) {
-                                     errorMsg += parsedError.error.json.map(err => err.message).join('; ');
-                                } else if (parsedError && parsedError.error && typeof parsedError.error.message === 'string' && parsedError.error.message.startsWith('[')) { // Handle stringified JSON error message
-                                    try {
-                                        const innerJsonError = JSON.parse(parsedError.error.message);
-                                        if (Array.isArray(innerJsonError) && innerJsonError.length > 0 && innerJsonError[0].message) {
-                                            errorMsg += innerJsonError.map(e => `${e.path.join('.')}: ${e.message}`).join('; ');
-                                        } else {
-                                            errorMsg += parsedError.error.message;
-                                        }
-                                    } catch (e) {
-                                        errorMsg += parsedError.error.message; // Fallback if inner parse fails
-                                    }
-                                } else if (parsedError && parsedError.error && parsedError.error.message) {
-                                    errorMsg += parsedError.error.message;
-                                } else if (typeof response.response === 'string') {
-                                    errorMsg += response.response.substring(0, 200);
-                                } else {
-                                   errorMsg += "Could not parse error details."
-                                }
-                            } catch (e) {
-                                errorMsg += "Could not parse error response. " + String(response.response).substring(0, 100);
-                            }
-                        }
-                        reject(new Error(errorMsg));
+                        const error = new Error(buildApiErrorMessage(response));
+                        error.status = response.status;
+                        error.retryAfterMs = parseRetryAfterMs(response.responseHeaders);
+                        reject(error);
                     }
-                },
-                onerror: (error) => {
+                }),
+                onerror: (error) => settle(() => {
                     console.error("gmFetch Network Error:", error);
                     reject(new Error("Network error during API call. Check console."));
-                }
+                }),
+                ontimeout: () => settle(() => {
+                    console.error(`gmFetch Timeout after ${details.timeoutMs}ms:`, details.url);
+                    const error = new Error(`Request timed out after ${Math.round((details.timeoutMs || 0) / 1000)}s.`);
+                    error.isTimeout = true;
+                    reject(error);
+                }),
+                onabort: () => settle(() => reject(createCancellationError()))
             });
+            details.signal?.addEventListener('abort', onAbort, { once: true });
         });
     }
-    // --- END: Utility Functions ---
 
-    // --- START: API Interaction Logic ---
-    async function callArtisanApiInternal(apiActionKey, promptText, params = {}, featureSpecificData = {}) {
-        const audioSuffix = state.promptParams.enableAudioPrompting ? 'On' : 'Off';
-        
-        // Enhanced logging for audio prompting debugging
-        console.log(`[VideoFX Artisan] API Call Debug:`, {
-            action: apiActionKey,
-            audioPrompting: state.promptParams.enableAudioPrompting,
-            audioSuffix: audioSuffix,
-            promptText: promptText?.substring(0, 100) + '...',
-            paramsAudio: params.enableAudioPrompting
-        });
-        
-        let preambleTemplate = PREAMBLE_CONFIG[apiActionKey]?.[audioSuffix] || PREAMBLE_CONFIG[apiActionKey]?.['audioOff'];
-        if (!preambleTemplate && PREAMBLE_CONFIG[apiActionKey] && typeof PREAMBLE_CONFIG[apiActionKey] === 'function') {
-            preambleTemplate = PREAMBLE_CONFIG[apiActionKey];
-        }
+    function isRetriableStatus(status) {
+        return status === 429 || (status >= 500 && status < 600);
+    }
 
-        if (!preambleTemplate) {
-            console.error(`No preamble configured for action: ${apiActionKey}`);
-            throw new Error(`No preamble configured for action: ${apiActionKey}`);
-        }
+    // Wraps gmFetchAttempt with exponential-backoff retries for 429/5xx responses.
+    // details: { method, url, headers, body, responseType, signal, timeoutMs, maxRetries, retryBaseDelayMs, onRetry, mock }
+    // details.mock ({ actionKey, providerId }) opts the call into the mock backend's record/replay.
+    async function gmFetch(details) {
+        const mockMode = details.mock ? state.mockSettings.mode : 'off';
+        if (mockMode === 'replay') return serveMockFixture(details.mock, details.signal);
 
-        let preamble;
-        switch (apiActionKey) {
-            case 'mainPromptGen': preamble = preambleTemplate(params.numberOfPrompts || 1); break;
-            case 'promptCritique': preamble = preambleTemplate(featureSpecificData.promptToCritique); break;
-            case 'themeExplorer': preamble = preambleTemplate(featureSpecificData.theme); break;
-            case 'promptElaboration': preamble = preambleTemplate(featureSpecificData.originalPrompt); break;
-            case 'shotSequenceGen': preamble = preambleTemplate(featureSpecificData.originalPrompt); break;
-            case 'charDetailGen': preamble = preambleTemplate(featureSpecificData.characterConcept); break;
-            case 'styleTransfer': preamble = preambleTemplate(featureSpecificData.originalPrompt, featureSpecificData.targetStyle); break;
-            case 'storyboardGen': preamble = preambleTemplate(featureSpecificData.concept); break;
-            case 'inferVisualParams': preamble = preambleTemplate(promptText, !!params.imageB64); break;
-            case 'surpriseMe': preamble = preambleTemplate(); break;
-            default: preamble = typeof preambleTemplate === 'function' ? preambleTemplate() : preambleTemplate;
-        }
+        const settings = state.requestSettings || DEFAULT_REQUEST_SETTINGS;
+        const timeoutMs = details.timeoutMs ?? settings.timeoutSeconds * 1000;
+        const maxRetries = details.maxRetries ?? settings.maxRetries;
+        const retryBaseDelayMs = details.retryBaseDelayMs ?? settings.retryBaseDelayMs;
 
-        let currentCandidateCount = 1;
-        if (apiActionKey === 'mainPromptGen') {
-            currentCandidateCount = params.numberOfPrompts || 1;
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await gmFetchAttempt({ ...details, timeoutMs });
+                if (mockMode === 'record') recordMockFixture(details.mock, response);
+                return response;
+            } catch (error) {
+                if (isCancellationError(error) || attempt >= maxRetries || !isRetriableStatus(error.status)) throw error;
+                const backoffMs = retryBaseDelayMs * Math.pow(2, attempt) + Math.floor(Math.random() * 250);
+                const delayMs = error.retryAfterMs ?? backoffMs;
+                console.warn(`[VideoFX Artisan] gmFetch retry ${attempt + 1}/${maxRetries} in ${delayMs}ms after status ${error.status}.`);
+                if (typeof details.onRetry === 'function') details.onRetry(attempt + 1, maxRetries, delayMs, error);
+                await waitWithSignal(delayMs, details.signal);
+            }
         }
+    }
 
-        const payload = {
-            json: {
-                sessionId: "anonymous",
-                candidateCount: currentCandidateCount,
-                preamble: preamble,
-                prompt: promptText,
-                ...(params.imageB64 && {
-                    image: params.imageB64
-                }),
-            },
-            signal: null
-        };
-
-        try {
-            const apiResponse = await gmFetch({ // apiResponse is already a JS object if successful
-                method: "POST",
-                url: API_ENDPOINT,
-                headers: { "Content-Type": "application/json" },
-                body: payload,
-                responseType: 'json'
+    // Validates a value against a small JSON Schema subset: type (string/number/integer/boolean/object/array),
+    // required, properties, items, minItems, minLength. Returns a list of readable errors (empty when valid).
+    function validateAgainstSchema(value, schema, path = 'result') {
+        const actualType = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+        const typeMatches = schema.type === 'integer' ? Number.isInteger(value) : actualType === schema.type;
+        if (schema.type && !typeMatches) {
+            return [`${path}: expected ${schema.type}, got ${actualType}`];
+        }
+        const errors = [];
+        if (schema.type === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+            errors.push(`${path}: must not be empty`);
+        }
+        if (schema.type === 'array') {
+            if (schema.minItems && value.length < schema.minItems) {
+                errors.push(`${path}: expected at least ${schema.minItems} item(s), got ${value.length}`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`)));
+            }
+        }
+        if (schema.type === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined || value[key] === null) errors.push(`${path}.${key}: required field missing`);
             });
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (value[key] !== undefined && value[key] !== null) errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+            });
+        }
+        return errors;
+    }
 
-            let geminiLayerApiResponse = apiResponse?.result?.data?.json;
-
-            if (geminiLayerApiResponse === undefined || geminiLayerApiResponse === null) {
-                console.error(`[API Path Error A1] 'json' field missing in apiResponse.result.data for ${apiActionKey}. Response:`, apiResponse);
-                throw new Error(`[API Path Error A1] API response structure unexpected ('json' field missing) for ${apiActionKey}.`);
-            }
+    function toCsvCell(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
 
-            let l1ParsedObject;
-            if (typeof geminiLayerApiResponse === 'string') {
-                try {
-                    l1ParsedObject = JSON.parse(geminiLayerApiResponse);
-                } catch (e) {
-                    if (apiActionKey === 'sceneExtender') {
-                        console.warn(`[API Structure Warning L1.DirectText] sceneExtender received non-JSON string in 'json' field. Assuming direct text for ${apiActionKey}.`);
-                        return geminiLayerApiResponse; // This string is the direct text output.
-                    }
-                    console.error(`[API Parse Error B1] Failed to parse 'json' field string for ${apiActionKey}. Raw:`, geminiLayerApiResponse.substring(0, 500), e);
-                    throw new Error(`[API Parse Error B1] API's 'json' field was a non-JSON string for ${apiActionKey}.`);
-                }
-            } else if (typeof geminiLayerApiResponse === 'object') {
-                l1ParsedObject = geminiLayerApiResponse; // Assume it's already the parsed Gemini layer or direct payload.
-                console.warn(`[API Structure Warning L1.Object] 'json' field was an object, not string. Assuming parsed Gemini layer or direct payload for ${apiActionKey}.`);
+    // Parses RFC 4180 style CSV (quoted fields, doubled quotes, CRLF or LF) into an array of string arrays.
+    function parseCsv(text) {
+        const rows = [];
+        let row = [], field = '', inQuotes = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+                else if (char === '"') inQuotes = false;
+                else field += char;
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field); field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field); rows.push(row);
+                row = []; field = '';
             } else {
-                console.error(`[API Path Error A2] 'json' field has unexpected type for ${apiActionKey}. Type: ${typeof geminiLayerApiResponse}. Response:`, apiResponse);
-                throw new Error(`[API Path Error A2] API's 'json' field had unexpected type for ${apiActionKey}.`);
+                field += char;
             }
+        }
+        if (field || row.length > 0) { row.push(field); rows.push(row); }
+        return rows.filter(r => r.some(cell => cell.trim()));
+    }
 
-            // Now l1ParsedObject holds the content from apiResponse.result.data.json (parsed or as-is if object).
-            // It could be:
-            // 1. The Gemini structure: { result: { candidates: [...] } }
-            // 2. The direct final payload object: { concept: "..." } or [{ prompt_text: "..." }]
-            // 3. A string (e.g., for sceneExtender if data.json was "\"text\"" -> l1ParsedObject = "text")
+    // Word-level diff via LCS over word and whitespace tokens. Returns [{ type: 'equal'|'delete'|'insert', text }].
+    // Very long inputs skip the O(n*m) table and come back as a single replacement.
+    function diffWords(originalText, revisedText) {
+        const a = originalText.match(/\s+|[^\s]+/g) || [];
+        const b = revisedText.match(/\s+|[^\s]+/g) || [];
+        if (a.length * b.length > 400000) {
+            return [{ type: 'delete', text: originalText }, { type: 'insert', text: revisedText }].filter(op => op.text);
+        }
+        const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+        const ops = [];
+        const push = (type, text) => {
+            const last = ops[ops.length - 1];
+            if (last && last.type === type) last.text += text;
+            else ops.push({ type, text });
+        };
+        let i = 0, j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) { push('equal', a[i]); i++; j++; }
+            else if (lcs[i + 1][j] >= lcs[i][j + 1]) { push('delete', a[i]); i++; }
+            else { push('insert', b[j]); j++; }
+        }
+        while (i < a.length) push('delete', a[i++]);
+        while (j < b.length) push('insert', b[j++]);
+        return ops;
+    }
 
-            if (apiActionKey === 'sceneExtender' && typeof l1ParsedObject === 'string') {
-                console.warn(`[API Structure Warning L1.ParsedString] sceneExtender found string after parsing 'json' field. Using it for ${apiActionKey}.`);
-                return l1ParsedObject;
+    // Groups diff ops into unchanged text and change hunks { id, removed, added, accepted }.
+    // Whitespace-only gaps between two changes are folded into one hunk so each edit reads as a phrase.
+    function buildDiffSegments(originalText, revisedText) {
+        const ops = diffWords(originalText, revisedText);
+        const segments = [];
+        let hunkCount = 0;
+        ops.forEach((op, index) => {
+            const last = segments[segments.length - 1];
+            const isBridgingSpace = op.type === 'equal' && !op.text.trim() && last?.type === 'change' && ops[index + 1] && ops[index + 1].type !== 'equal';
+            if (op.type === 'equal' && !isBridgingSpace) {
+                segments.push({ type: 'equal', text: op.text });
+                return;
             }
+            const hunk = last?.type === 'change' ? last : segments[segments.push({ type: 'change', id: `hunk-${hunkCount++}`, removed: '', added: '', accepted: true }) - 1];
+            if (op.type !== 'insert') hunk.removed += op.text;
+            if (op.type !== 'delete') hunk.added += op.text;
+        });
+        return segments;
+    }
 
-            const l2PayloadString = l1ParsedObject?.result?.candidates?.[0]?.output;
+    function composeDiffText(segments) {
+        return segments.map(seg => seg.type === 'equal' ? seg.text : (seg.accepted ? seg.added : seg.removed)).join('');
+    }
 
-            if (typeof l2PayloadString === 'string') {
-                // Standard path: found Gemini output string in .output
-                if (apiActionKey === 'sceneExtender') {
-                    return l2PayloadString; // Plain text for sceneExtender
-                }
+    // Older records (history entries, debug calls) only carry the enableAudioPrompting boolean
+    function resolveAudioLevel(params) {
+        if (AUDIO_LEVELS[params?.audioLevel]) return params.audioLevel;
+        return params?.enableAudioPrompting ? AUDIO_LEVEL_WHEN_ENABLED : 'off';
+    }
 
-                // For other actions, parse l2PayloadString as JSON
-                try {
-                    let finalJsonToParse = l2PayloadString;
-                    const fenceRegex = /^```(\w*)?\s*\n?(.*?)\n?\s*```$/s;
-                    const match = finalJsonToParse.match(fenceRegex);
-                    if (match && match[2]) {
-                        finalJsonToParse = match[2].trim();
-                        console.warn(`[API Parse Warning L2.Fence] Stripped markdown fence from L2 payload for ${apiActionKey}.`);
-                    }
-                    return JSON.parse(finalJsonToParse);
-                } catch (e) {
-                    console.error(`[API Parse Error D] Failed to parse L2 JSON string (from .output) for ${apiActionKey}. Raw L2 (after any fence strip):`, l2PayloadString.substring(0, 500), e);
-                    throw new Error(`[API Parse Error D] API's '.output' field was not valid JSON for ${apiActionKey}.`);
-                }
-            } else {
-                // Gemini structure .result.candidates[0].output not found or not a string.
-                // This means l1ParsedObject itself MIGHT be the final payload.
-                // This handles cases where 'json' field contained the direct stringified final JSON (and was parsed into l1ParsedObject),
-                // or if 'json' field was an object that IS the final JSON payload.
-                const expectedObjectActions = ['mainPromptGen', 'promptCritique', 'themeExplorer', 'promptElaboration', 'shotSequenceGen', 'charDetailGen', 'styleTransfer', 'storyboardGen', 'inferVisualParams', 'surpriseMe'];
-                if (typeof l1ParsedObject === 'object' && l1ParsedObject !== null && expectedObjectActions.includes(apiActionKey)) {
-                    console.warn(`[API Structure Warning L1.DirectPayload] Assuming L1 object IS the final payload for ${apiActionKey} as Gemini structure not found. L1 Object:`, l1ParsedObject);
-                    return l1ParsedObject; // Assume l1ParsedObject is the final response.
-                }
+    function getAudioLevelParams(audioLevel) {
+        return { audioLevel, enableAudioPrompting: audioLevel !== 'off' };
+    }
 
-                console.error(`[API Path Error C] L1 object missing Gemini structure AND not identifiable as direct payload for ${apiActionKey}. L1 Object:`, l1ParsedObject);
-                throw new Error(`[API Path Error C] API L1 JSON missing Gemini structure or recognizable direct payload for ${apiActionKey}.`);
-            }
+    // Levels are ordered, each allowing everything the ones before it do
+    function isAudioLevelAtLeast(params, audioLevel) {
+        const levels = Object.keys(AUDIO_LEVELS);
+        return levels.indexOf(resolveAudioLevel(params)) >= levels.indexOf(audioLevel);
+    }
 
-        } catch (error) {
-            console.error(`[API Call Failed E] Error in callArtisanApiInternal for ${apiActionKey}:`, error.message || error, error.stack);
-            throw (error instanceof Error ? error : new Error(String(error.message || "Unknown API call failure.")));
-        }
+    // Numbered shot list for multi-shot preambles (continuityCheck)
+    function formatShots(shots) {
+        return shots.map((text, index) => `Shot ${index + 1}: ${text}`).join('\n');
     }
-    // --- END: API Interaction Logic ---
 
+    function toFileSlug(text, fallback = 'export') {
+        const slug = String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 60);
+        return slug || fallback;
+    }
 
-    // --- START: UI Update and Rendering Functions ---
-    function showLoading(message) {
-        state.isLoading = true;
-        state.currentApiActionMessage = message || "Processing...";
-        renderApp();
+    function downloadTextFile(filename, text, mimeType = 'text/plain') {
+        const url = URL.createObjectURL(new Blob([text], { type: `${mimeType};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
+    // --- END: Utility Functions ---
 
-    function hideLoading() {
-        state.isLoading = false;
-        renderApp();
+    // --- START: Mock Backend ---
+    // Record/replay of raw API responses so every tool can be developed without network access.
+    // Record mode stores each successful response per action key; replay mode serves them back
+    // through gmFetch (rotating through the recorded and built-in fixtures for that action).
+    const MOCK_MAX_FIXTURES_PER_ACTION = 10;
+    const MOCK_REPLAY_DELAY_MS = 300; // Keeps loaders and Cancel exercisable in replay
+
+    // Raw tRPC envelopes in the shapes the labsTrpc provider has to unwrap
+    const mockTrpcOutput = (output) => ({ result: { data: { json: JSON.stringify({ result: { candidates: [{ output }] } }) } } });
+    const mockTrpcObjectJson = (output) => ({ result: { data: { json: { result: { candidates: [{ output }] } } } } });
+    const mockTrpcDirectJson = (json) => ({ result: { data: { json } } });
+    const mockFence = (value) => "```json\n" + JSON.stringify(value, null, 2) + "\n```";
+
+    const MOCK_SAMPLE_PAYLOADS = {
+        mainPromptGen: [
+            { prompt_text: "A lone lighthouse keeper climbs a spiral staircase at dusk, warm lantern light flickering across weathered stone walls, cinematic wide shot slowly dollying upward." },
+            { prompt_text: "Close-up of a lighthouse lamp igniting against a stormy violet sky, waves crashing on jagged rocks below, moody film noir lighting." }
+        ],
+        promptCritique: {
+            critique: "Strong subject and setting, but the action is vague and the camera work is unspecified.",
+            suggested_enhancements: ["Add a specific camera movement, e.g., 'slow dolly in'.", "Describe the lighting quality, e.g., 'golden hour backlight'."]
+        },
+        themeExplorer: {
+            theme_name: "Solitude",
+            suggested_subjects_characters: ["A night-shift train conductor", "A single figure on a vast salt flat"],
+            suggested_settings_environments: ["Empty train platform at night"],
+            suggested_key_objects_props: ["A flickering station clock"],
+            suggested_mood_keywords_styles: ["Desaturated blues with a single warm accent"],
+            suggested_audio_elements_moods: ["Distant wind", "Faint ticking clock"]
+        },
+        promptElaboration: {
+            elaborated_prompts: ["The keeper's breath fogs in the cold air as he climbs, each step echoing in the narrow stairwell, lantern swinging gently."]
+        },
+        shotSequenceGen: {
+            suggested_sequence_prompts: ["Wide establishing shot of the lighthouse on the cliff at dusk.", "Medium shot of the keeper opening the lamp room door."]
+        },
+        charDetailGen: {
+            character_concept: "Weathered lighthouse keeper",
+            appearance_details: ["Salt-and-pepper beard", "Heavy wool peacoat"],
+            personality_quirks: ["Taps the barometer twice before every shift"],
+            signature_items_accessories: ["Brass pocket telescope"],
+            suggested_vocal_characteristics_sounds: ["Low, gravelly voice with a coastal accent"]
+        },
+        styleTransfer: {
+            stylized_prompt: "A lighthouse keeper climbs a spiral staircase, rendered as a hand-painted watercolor with soft bleeding edges and muted sea-green washes."
+        },
+        storyboardGen: {
+            original_concept: "A lighthouse keeper's last night on duty",
+            storyboard_shots: [
+                { shot_number: 1, suggested_shot_type: "Wide Shot", suggested_camera_angle: "High Angle", description: "The lighthouse stands alone on a cliff as the sun sets.", audio_description: "Waves and gulls.", key_elements: ["Lighthouse", "Sunset"] },
+                { shot_number: 2, suggested_shot_type: "Close-up", suggested_camera_angle: "Eye Level", description: "The keeper's hand rests on the lamp switch.", key_elements: ["Hand", "Brass switch"] }
+            ]
+        },
+        inferVisualParams: { style: "Cinematic", cameraAngle: "Low Angle", cameraMovement: "Dolly In", lighting: "Golden Hour" },
+        surpriseMe: {
+            concept: "A clockwork hummingbird repairs a broken stained-glass window inside an abandoned cathedral.",
+            suggestedStyle: "Fantasy", suggestedCameraAngle: "Close-up", suggestedCameraMovement: "Tracking Shot", suggestedLighting: "Volumetric Lighting",
+            suggestedAudio: ["Delicate mechanical whirring", "Echoing choir hum"]
+        },
+        continuityCheck: {
+            summary: "Mostly consistent, but the time of day jumps between the first two shots.",
+            entities: [
+                { name: "Time of day", type: "time_of_day", appearances: [{ shot: 1, attributes: "sunset" }, { shot: 2, attributes: "bright midday sun" }] },
+                { name: "The keeper", type: "character", appearances: [{ shot: 2, attributes: "hand on the brass lamp switch" }] }
+            ],
+            conflicts: [{
+                entity: "Time of day", shots: [1, 2], severity: "high",
+                issue: "Shot 1 is at sunset but shot 2 is lit by bright midday sun.",
+                suggested_rewrites: [{ shot: 2, rewritten_text: "The keeper's hand rests on the lamp switch, lit by the last orange glow of sunset." }]
+            }]
+        },
+        clipSegmentation: {
+            clips: [
+                { clip_number: 1, opening_state: "The lighthouse stands dark against a dusk sky; the keeper is at the foot of the spiral stairs.", prompt_text: "At dusk, an old lighthouse keeper in a navy peacoat begins climbing a cast-iron spiral staircase, lantern in hand, slow tracking shot.", ending_state: "The keeper reaches the lamp room hatch and pushes it open." },
+                { clip_number: 2, opening_state: "The keeper reaches the lamp room hatch and pushes it open.", prompt_text: "An old lighthouse keeper in a navy peacoat climbs through a hatch into a brass lamp room at dusk and reaches for the lamp switch, slow tracking shot.", ending_state: "The great lamp flares to life, sweeping a beam across the sea." }
+            ]
+        }
+    };
+    const MOCK_SCENE_EXTENDER_TEXT = "The keeper reaches the lamp room and pulls the lever; the great lens begins to turn, sweeping a beam across the churning sea as rain starts to fall.";
+
+    // Built-in fixtures cover each response shape callArtisanApiInternal/labsTrpc handles:
+    // string `json` with raw JSON in .output, fenced JSON in .output, object `json`, and direct payloads.
+    const MOCK_BUILTIN_FIXTURES = {
+        ...Object.fromEntries(Object.entries(MOCK_SAMPLE_PAYLOADS).map(([actionKey, payload]) => [actionKey, [
+            { label: 'String json, raw JSON output', response: mockTrpcOutput(JSON.stringify(payload)) },
+            { label: 'String json, fenced JSON output', response: mockTrpcOutput(mockFence(payload)) },
+            { label: 'Object json', response: mockTrpcObjectJson(JSON.stringify(payload)) },
+            { label: 'Direct payload in json', response: mockTrpcDirectJson(JSON.stringify(payload)) }
+        ]])),
+        sceneExtender: [
+            { label: 'Plain-text output', response: mockTrpcOutput(MOCK_SCENE_EXTENDER_TEXT) },
+            { label: 'Non-JSON string json', response: mockTrpcDirectJson(MOCK_SCENE_EXTENDER_TEXT) },
+            { label: 'JSON-encoded string json', response: mockTrpcDirectJson(JSON.stringify(MOCK_SCENE_EXTENDER_TEXT)) }
+        ]
+    };
+
+    const mockReplayCursors = {}; // actionKey -> next fixture index
+
+    function loadMockFixtures() {
+        return loadStoredJSON(MOCK_FIXTURES_STORAGE_KEY, {});
     }
 
-    function showError(message) {
-        state.errorMsg = message;
-        renderApp();
+    // Recorded fixtures first, then built-ins (built-ins are raw tRPC, so labsTrpc only)
+    function getMockFixtures(actionKey, providerId) {
+        const recorded = (loadMockFixtures()[actionKey] || []).filter(f => f.providerId === providerId);
+        const builtIn = providerId === 'labsTrpc' ? (MOCK_BUILTIN_FIXTURES[actionKey] || []).map(f => ({ ...f, providerId, builtIn: true })) : [];
+        return [...recorded, ...builtIn];
     }
 
-    function clearError() {
-        state.errorMsg = null;
-        // No automatic renderApp here, let the caller decide if a full re-render is needed.
+    function recordMockFixture(mock, response) {
+        const fixtures = loadMockFixtures();
+        const entries = fixtures[mock.actionKey] || [];
+        entries.unshift({ providerId: mock.providerId, label: `Recorded ${new Date().toLocaleString()}`, recordedAt: Date.now(), response });
+        fixtures[mock.actionKey] = entries.slice(0, MOCK_MAX_FIXTURES_PER_ACTION);
+        saveStoredJSON(MOCK_FIXTURES_STORAGE_KEY, fixtures);
+        console.log(`[VideoFX Artisan] Recorded mock fixture for ${mock.actionKey} (${fixtures[mock.actionKey].length} stored).`);
     }
 
-    function openModal(type, data = {}) {
-        state.activeModal = { type, data, isLoading: false, error: null, result: null };
-        renderApp(); // Render the modal structure first
-        // Then trigger data fetching if needed, updating modal state
-        if (type === 'critique') handleCritiquePrompt(data.promptToCritique);
-        else if (type === 'elaborate') handleElaboratePrompt(data.promptToElaborate);
-        else if (type === 'sequence') handleSuggestSequence(data.basePrompt);
-        else if (type === 'styleTransfer') {
-            state.activeModal.data.targetStyle = VEO_STYLES.filter(s => s)[0] || "Cinematic"; // Default target style
-            renderApp(); // Re-render if data changed
-        } else if (type === 'storyboard') {
-            state.activeModal.data.conceptInput = state.promptParams.description || "";
-            renderApp();
-        } else if (type === 'visualize') {
-            // No immediate data fetching, just render
-            renderApp();
+    async function serveMockFixture(mock, signal) {
+        const fixtures = getMockFixtures(mock.actionKey, mock.providerId);
+        if (fixtures.length === 0) {
+            throw new Error(`[Mock Backend] No fixture for ${mock.actionKey} with provider ${mock.providerId}. Record one first or switch replay off.`);
         }
+        await waitWithSignal(MOCK_REPLAY_DELAY_MS, signal);
+        const index = (mockReplayCursors[mock.actionKey] || 0) % fixtures.length;
+        mockReplayCursors[mock.actionKey] = index + 1;
+        console.log(`[VideoFX Artisan] Replaying mock fixture ${index + 1}/${fixtures.length} for ${mock.actionKey}: ${fixtures[index].label}`);
+        return JSON.parse(JSON.stringify(fixtures[index].response)); // Callers must not mutate stored fixtures
     }
 
-    function closeModal() {
-        state.activeModal = null;
-        renderApp();
+    // Runs every fixture through the provider unwrap, output parser and response schema; no network, no UI.
+    function runMockRegression() {
+        const rows = [];
+        Object.keys(PREAMBLE_CONFIG).forEach(actionKey => {
+            Object.keys(MODEL_PROVIDERS).forEach(providerId => {
+                getMockFixtures(actionKey, providerId).forEach(fixture => {
+                    const row = { actionKey, providerId, fixture: fixture.label, ok: false, detail: '' };
+                    try {
+                        const { errors } = parseAndValidateModelOutput(MODEL_PROVIDERS[providerId].extractOutput(fixture.response, actionKey), actionKey);
+                        row.ok = errors.length === 0;
+                        row.detail = row.ok ? 'valid' : errors.join('; ');
+                    } catch (e) {
+                        row.detail = e.message;
+                    }
+                    rows.push(row);
+                });
+            });
+        });
+        const failures = rows.filter(r => !r.ok);
+        console.table(rows);
+        console.log(`[VideoFX Artisan] Mock regression: ${rows.length - failures.length}/${rows.length} fixtures passed.`);
+        return { passed: rows.length - failures.length, failed: failures.length, rows };
     }
+    // --- END: Mock Backend ---
+
+    // --- START: IndexedDB Storage ---
+    // Small promise wrapper over IndexedDB for data that outgrows localStorage (history, projects, ...).
+    // Stores are declared in IDB_STORES; bump IDB_VERSION when adding one so onupgradeneeded creates it.
+    const IDB_NAME = 'vfx-artisan-db';
+    const IDB_VERSION = 3;
+    const IDB_STORES = {
+        history: { keyPath: 'id', indexes: [{ name: 'createdAt', keyPath: 'createdAt' }] },
+        projects: { keyPath: 'id', indexes: [{ name: 'updatedAt', keyPath: 'updatedAt' }] },
+        characters: { keyPath: 'id', indexes: [{ name: 'handle', keyPath: 'handle' }] }
+    };
 
-    function updateModalState(newState) {
-        if (state.activeModal) {
-            state.activeModal = { ...state.activeModal, ...newState };
-            renderApp();
+    let artisanDbPromise = null;
+
+    function idbRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function openArtisanDb() {
+        if (!artisanDbPromise) {
+            artisanDbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    Object.entries(IDB_STORES).forEach(([storeName, config]) => {
+                        const store = db.objectStoreNames.contains(storeName)
+                            ? request.transaction.objectStore(storeName)
+                            : db.createObjectStore(storeName, { keyPath: config.keyPath });
+                        (config.indexes || []).forEach(index => {
+                            if (!store.indexNames.contains(index.name)) store.createIndex(index.name, index.keyPath, index.options);
+                        });
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                artisanDbPromise = null; // Allow a later retry
+                throw error;
+            });
         }
+        return artisanDbPromise;
     }
 
-    function renderApp() {
-        if (!overlayContainer) return; // Should not happen after init
+    async function idbStore(storeName, mode = 'readonly') {
+        const db = await openArtisanDb();
+        return db.transaction(storeName, mode).objectStore(storeName);
+    }
 
-        const mainContentArea = overlayContainer.querySelector('#vfx-artisan-main-content');
-        const currentWelcomeScreen = overlayContainer.querySelector('#vfx-artisan-welcome');
-        const currentPromptListContainer = overlayContainer.querySelector('#vfx-artisan-prompt-list');
+    async function idbPut(storeName, value) {
+        return idbRequest((await idbStore(storeName, 'readwrite')).put(value));
+    }
+
+    async function idbGet(storeName, key) {
+        return idbRequest((await idbStore(storeName)).get(key));
+    }
+
+    async function idbGetAll(storeName) {
+        return idbRequest((await idbStore(storeName)).getAll());
+    }
+
+    async function idbDelete(storeName, key) {
+        return idbRequest((await idbStore(storeName, 'readwrite')).delete(key));
+    }
+
+    async function idbClear(storeName) {
+        return idbRequest((await idbStore(storeName, 'readwrite')).clear());
+    }
+
+    async function idbCount(storeName) {
+        return idbRequest((await idbStore(storeName)).count());
+    }
+
+    // Walks an index with a cursor; visit(value) returns false to stop early.
+    async function idbIterate(storeName, indexName, direction, visit) {
+        const store = await idbStore(storeName);
+        return new Promise((resolve, reject) => {
+            const request = store.index(indexName).openCursor(null, direction);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || visit(cursor.value) === false) {
+                    resolve();
+                    return;
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+    // --- END: IndexedDB Storage ---
+
+    // --- START: Prompt History ---
+    // Every successful API call is recorded here. Queries walk the createdAt index newest-first and stop
+    // once a page is filled, so the panel stays fast with thousands of entries.
+    const HISTORY_PAGE_SIZE = 50;
+    const HISTORY_MAX_ENTRIES = 5000;
+
+    // Actions whose entries restore into the prompt list; other entries reopen their modal (HISTORY_RESULT_MODALS)
+    const HISTORY_PROMPT_LIST_ACTIONS = ['mainPromptGen', 'sceneExtender'];
+    // Modal type and data that show a stored result again, by actionKey. A prompt the entry was run on is matched
+    // by text, so applying a suggestion still reaches its card while the card is in the list.
+    const HISTORY_RESULT_MODALS = {
+        promptCritique: entry => ['critique', { promptToCritique: findHistoryInputPrompt(entry) }],
+        promptElaboration: entry => ['elaborate', { promptToElaborate: findHistoryInputPrompt(entry) }],
+        shotSequenceGen: entry => ['sequence', { basePrompt: findHistoryInputPrompt(entry) }],
+        styleTransfer: entry => ['styleTransfer', { promptToStyle: findHistoryInputPrompt(entry), originalPromptText: entry.input, targetStyle: entry.featureData?.targetStyle }],
+        themeExplorer: entry => ['themeExplorer', { themeInput: entry.input }],
+        charDetailGen: entry => ['characterGen', { conceptInput: entry.input }],
+        storyboardGen: entry => ['storyboard', { conceptInput: entry.input }],
+        clipSegmentation: entry => {
+            const { clipSeconds = DEFAULT_SEGMENT_CLIP_SECONDS, clipCount } = entry.featureData || {};
+            const sceneSeconds = clipCount ? clipSeconds * clipCount : DEFAULT_SEGMENT_SCENE_SECONDS;
+            return ['segment', { conceptInput: entry.input, sceneSeconds, clipSeconds, resultClipSeconds: clipSeconds }];
+        }
+    };
+
+    function findHistoryInputPrompt(entry) {
+        return state.generatedPrompts.find(p => p.text === entry.input) || { id: null, text: entry.input };
+    }
+
+    // Flattens an action result into the list of texts shown (and searched) in the history panel
+    function extractHistoryOutputs(actionKey, result) {
+        if (typeof result === 'string') return [result];
+        if (Array.isArray(result)) return result.map(item => (typeof item?.prompt_text === 'string' ? item.prompt_text : JSON.stringify(item)));
+        if (!result || typeof result !== 'object') return [];
+        switch (actionKey) {
+            case 'styleTransfer': return [result.stylized_prompt];
+            case 'promptCritique': return [result.critique, ...(result.suggested_enhancements || [])];
+            case 'storyboardGen': return (result.storyboard_shots || []).map(shot => `Shot ${shot.shot_number}: ${shot.description}`);
+            case 'surpriseMe': return [result.concept];
+            case 'clipSegmentation': return (result.clips || []).map(clip => `Clip ${clip.clip_number}: ${clip.prompt_text}`);
+            case 'continuityCheck': return [result.summary, ...(result.conflicts || []).map(conflict => conflict.issue)].filter(Boolean);
+            default:
+                return Object.values(result).flatMap(value => (Array.isArray(value) ? value : [value]))
+                    .filter(value => typeof value === 'string' && value.trim());
+        }
+    }
+
+    async function recordHistoryEntry(actionKey, promptText, params, result, featureSpecificData = {}) {
+        const { imageB64, ...paramsWithoutImage } = params; // The image itself is not stored, only its reference
+        const outputs = extractHistoryOutputs(actionKey, result).filter(Boolean);
+        const entry = {
+            id: `hist-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
+            createdAt: Date.now(),
+            actionKey,
+            mode: state.activeMode,
+            sessionId: getActiveSession()?.id || null,
+            promptParams: paramsWithoutImage,
+            image: imageB64 ? { name: state.uploadedImage?.name || '', mimeType: params.imageMimeType || '' } : null,
+            input: promptText || '',
+            outputs,
+            result,
+            featureData: featureSpecificData // Lets the entry's modal be reopened with the same inputs
+        };
+        entry.searchText = [entry.input, ...outputs, paramsWithoutImage.style, paramsWithoutImage.negativePrompt].filter(Boolean).join('\n').toLowerCase();
+        try {
+            await idbPut('history', entry);
+            await pruneHistory();
+        } catch (error) {
+            console.warn('[VideoFX Artisan] Could not record history entry:', error);
+        }
+    }
+
+    async function pruneHistory() {
+        const excess = (await idbCount('history')) - HISTORY_MAX_ENTRIES;
+        if (excess <= 0) return;
+        const staleIds = [];
+        await idbIterate('history', 'createdAt', 'next', entry => {
+            staleIds.push(entry.id);
+            return staleIds.length < excess;
+        });
+        await Promise.all(staleIds.map(id => idbDelete('history', id)));
+    }
+
+    function historyEntryMatches(entry, filters, searchTerms) {
+        if (filters.mode && entry.mode !== filters.mode) return false;
+        if (filters.actionKey && entry.actionKey !== filters.actionKey) return false;
+        if (filters.style && entry.promptParams?.style !== filters.style) return false;
+        return searchTerms.every(term => entry.searchText.includes(term));
+    }
+
+    // filters: { search, mode, actionKey, style }. Returns { entries, hasMore }.
+    async function queryHistory(filters, offset = 0, limit = HISTORY_PAGE_SIZE) {
+        const searchTerms = (filters.search || '').toLowerCase().split(/\s+/).filter(Boolean);
+        const entries = [];
+        let skipped = 0;
+        let hasMore = false;
+        await idbIterate('history', 'createdAt', 'prev', entry => {
+            if (!historyEntryMatches(entry, filters, searchTerms)) return true;
+            if (skipped < offset) {
+                skipped++;
+                return true;
+            }
+            if (entries.length === limit) {
+                hasMore = true;
+                return false;
+            }
+            entries.push(entry);
+            return true;
+        });
+        return { entries, hasMore };
+    }
+
+    function getHistoryDateGroupLabel(timestamp) {
+        const startOfToday = new Date().setHours(0, 0, 0, 0);
+        if (timestamp >= startOfToday) return 'Today';
+        if (timestamp >= startOfToday - 86400000) return 'Yesterday';
+        return new Date(timestamp).toLocaleDateString(undefined, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+    }
+    // --- END: Prompt History ---
+
+    // --- START: Session Management ---
+    // A session is a named piece of work with a stable ID. The ID is sent as the API sessionId so a chain of
+    // critique/elaborate/extend calls can be traced together; the session also keeps a record of the prompts it
+    // produced and its call log. The working prompt list itself belongs to the active project (see Projects).
+    const MAX_SESSION_PROMPTS = 200;
+    const MAX_SESSION_ACTIVITY = 200;
+
+    function generateSessionId() {
+        return `artisan-session-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+    }
+
+    function createSession(name) {
+        const now = Date.now();
+        return {
+            id: generateSessionId(),
+            name: (name && name.trim()) || `Session ${new Date(now).toLocaleString()}`,
+            createdAt: now,
+            updatedAt: now,
+            activity: [], // { actionKey, input, at }
+            prompts: []   // { id, text, createdAt, updatedAt }
+        };
+    }
+
+    function loadSessions() {
+        const stored = loadStoredJSON(SESSIONS_STORAGE_KEY, null);
+        const sessions = Array.isArray(stored?.sessions) && stored.sessions.length > 0 ? stored.sessions : [createSession()];
+        const activeSessionId = sessions.some(s => s.id === stored?.activeSessionId) ? stored.activeSessionId : sessions[0].id;
+        return { sessions, activeSessionId };
+    }
+
+    function saveSessions() {
+        saveStoredJSON(SESSIONS_STORAGE_KEY, { sessions: state.sessions, activeSessionId: state.activeSessionId });
+    }
+
+    function getActiveSession() {
+        return state.sessions.find(s => s.id === state.activeSessionId) || state.sessions[0];
+    }
+
+    function recordSessionActivity(actionKey, inputText) {
+        const session = getActiveSession();
+        if (!session) return;
+        session.activity.push({ actionKey, input: (inputText || '').substring(0, 200), at: Date.now() });
+        session.activity = session.activity.slice(-MAX_SESSION_ACTIVITY);
+        session.updatedAt = Date.now();
+        saveSessions();
+    }
+
+    // Upserts the current prompt list into the active session's record (by prompt id). Prompts removed from the
+    // list stay in the record, since the session still produced them.
+    function syncSessionPrompts() {
+        const session = getActiveSession();
+        if (!session) return;
+        const now = Date.now();
+        state.generatedPrompts.forEach(prompt => {
+            const existing = session.prompts.find(p => p.id === prompt.id);
+            if (existing) {
+                if (existing.text !== prompt.text) Object.assign(existing, { text: prompt.text, updatedAt: now });
+            } else {
+                session.prompts.push({ id: prompt.id, text: prompt.text, createdAt: now, updatedAt: now });
+            }
+        });
+        session.prompts = session.prompts.slice(-MAX_SESSION_PROMPTS);
+        session.updatedAt = now;
+        saveSessions();
+    }
+    // --- END: Session Management ---
+
+    // --- START: Favorites ---
+    // Favorites live in localStorage as { folders: [{ id, name }], items: [{ id, text, folderId, tags, notes, createdAt, updatedAt }] }.
+    // folderId null means "Unfiled"; deleting a folder moves its items there.
+    const FAVORITE_SORT_OPTIONS = { newest: 'Newest first', oldest: 'Oldest first', alpha: 'A–Z', updated: 'Recently edited' };
+
+    function loadFavorites() {
+        const stored = loadStoredJSON(FAVORITES_STORAGE_KEY, {});
+        return { folders: Array.isArray(stored.folders) ? stored.folders : [], items: Array.isArray(stored.items) ? stored.items : [] };
+    }
+
+    function saveFavorites() {
+        saveStoredJSON(FAVORITES_STORAGE_KEY, state.favorites);
+    }
+
+    function findFavoriteByText(text) {
+        return state.favorites.items.find(item => item.text === text);
+    }
+
+    function parseTagList(value) {
+        return [...new Set((value || '').split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    }
+
+    function getVisibleFavorites(data) {
+        const items = state.favorites.items.filter(item => {
+            if (data.folderFilter === 'unfiled' && item.folderId) return false;
+            if (data.folderFilter !== 'all' && data.folderFilter !== 'unfiled' && item.folderId !== data.folderFilter) return false;
+            return !data.tagFilter || item.tags.includes(data.tagFilter);
+        });
+        const comparators = {
+            newest: (a, b) => b.createdAt - a.createdAt,
+            oldest: (a, b) => a.createdAt - b.createdAt,
+            alpha: (a, b) => a.text.localeCompare(b.text),
+            updated: (a, b) => b.updatedAt - a.updatedAt
+        };
+        return items.sort(comparators[data.sort] || comparators.newest);
+    }
+    // --- END: Favorites ---
+
+    // --- START: Projects ---
+    // A project owns the working material of one production: the current prompt list plus saved storyboards,
+    // characters, themes and reference images. Projects live in IndexedDB; the active one is mirrored in state.
+    const MAX_PROJECT_ASSETS_PER_KIND = 100;
+
+    function createProject(name) {
+        const now = Date.now();
+        return {
+            id: `project-${now}-${Math.random().toString(36).substring(2, 9)}`,
+            name: (name && name.trim()) || 'Untitled Project',
+            createdAt: now,
+            updatedAt: now,
+            archived: false,
+            generatedPrompts: [],
+            storyboards: [],     // { id, concept, result, createdAt }
+            characters: [],      // { id, concept, result, createdAt }
+            themes: [],          // { id, theme, result, createdAt }
+            referenceImages: []  // { id, name, mimeType, b64, addedAt }
+        };
+    }
+
+    function toProjectSummary(project) {
+        return { id: project.id, name: project.name, archived: project.archived, updatedAt: project.updatedAt };
+    }
+
+    // Resolves false (after telling the user) when IndexedDB is unavailable; an unsaved new project gets no summary
+    async function saveProject(project) {
+        project.updatedAt = Date.now();
+        let saved = true;
+        try {
+            await idbPut('projects', project);
+        } catch (error) {
+            console.error('[VideoFX Artisan] Could not save project:', error);
+            showTemporaryNotification("Could not save project to IndexedDB", 'error');
+            saved = false;
+        }
+        const summaryIndex = state.projects.findIndex(p => p.id === project.id);
+        if (summaryIndex >= 0) state.projects[summaryIndex] = toProjectSummary(project);
+        else if (saved) state.projects.push(toProjectSummary(project));
+        return saved;
+    }
+
+    // Resolves null (after telling the user) when the project can't be read
+    async function loadProject(projectId) {
+        try {
+            return await idbGet('projects', projectId) || null;
+        } catch (error) {
+            console.error('[VideoFX Artisan] Could not read project:', error);
+            showTemporaryNotification("Could not read project from IndexedDB", 'error');
+            return null;
+        }
+    }
+
+    // Loads the project list and the last active project, creating a first project when none exist
+    async function initProjects() {
+        try {
+            const projects = await idbGetAll('projects');
+            if (projects.length === 0) {
+                const firstProject = createProject('My First Project');
+                firstProject.generatedPrompts = [...state.generatedPrompts];
+                projects.push(firstProject);
+                await idbPut('projects', firstProject);
+            }
+            state.projects = projects.map(toProjectSummary);
+            const storedActiveId = loadStoredJSON(ACTIVE_PROJECT_STORAGE_KEY, null);
+            state.activeProject = projects.find(p => p.id === storedActiveId && !p.archived) || projects.find(p => !p.archived) || projects[0];
+            state.generatedPrompts = [...state.activeProject.generatedPrompts];
+        } catch (error) {
+            console.error('[VideoFX Artisan] Projects unavailable (IndexedDB error):', error);
+        }
+        renderApp();
+    }
+
+    // The project's persisted form of a prompt card: its text plus lineage (see Prompt Lineage) and chain link (see Scene Chain)
+    function toStoredPromptCard(prompt) {
+        return { id: prompt.id, text: prompt.text, versions: prompt.versions, currentVersionId: prompt.currentVersionId, chain: prompt.chain };
+    }
+
+    // Keeps the active project's copy of the prompt list in step with state.generatedPrompts
+    function saveActiveProjectPrompts() {
+        if (!state.activeProject) return;
+        state.activeProject.generatedPrompts = state.generatedPrompts.map(toStoredPromptCard);
+        saveProject(state.activeProject);
+    }
+
+    function addProjectAsset(kind, asset) {
+        if (!state.activeProject) return;
+        const assets = state.activeProject[kind];
+        assets.unshift({ id: `${kind}-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`, createdAt: Date.now(), ...asset });
+        state.activeProject[kind] = assets.slice(0, MAX_PROJECT_ASSETS_PER_KIND);
+        saveProject(state.activeProject);
+    }
+
+    function renderActiveProjectBadgeHTML() {
+        if (!state.activeProject) return '';
+        return `<span class="text-xs vpa-text-faint inline-flex items-center">${createIconSpanHTML("folder", "default", "w-3 h-3 mr-1")} ${sanitizeHTML(state.activeProject.name)}</span>`;
+    }
+    // --- END: Projects ---
+
+    // --- START: Storyboard Export ---
+    function toStoryboardMarkdown(storyboard) {
+        const lines = [`# Storyboard: ${storyboard.original_concept}`, '', `_Runtime: ${formatSeconds(getStoryboardRuntime(storyboard))}_`, ''];
+        storyboard.storyboard_shots.forEach((shot, index) => {
+            const framing = [shot.suggested_shot_type, shot.suggested_camera_angle].filter(Boolean).join(', ');
+            lines.push(`## Shot ${shot.shot_number}${framing ? ` (${framing})` : ''}`, '', shot.description, '');
+            if (shot.audio_description) lines.push(`**Audio:** ${shot.audio_description}`, '');
+            if (shot.key_elements && shot.key_elements.length > 0) lines.push(`**Key elements:** ${shot.key_elements.join(', ')}`, '');
+            if (shot.duration_seconds) lines.push(`**Duration:** ${formatSeconds(shot.duration_seconds)}`, '');
+            if (index < storyboard.storyboard_shots.length - 1) lines.push(`**Transition:** ${getStoryboardTransition(shot).label}`, '');
+        });
+        return lines.join('\n');
+    }
+
+    function toStoryboardCsv(storyboard) {
+        const header = ['shot_number', 'shot_type', 'camera_angle', 'description', 'audio', 'key_elements', 'duration_seconds', 'transition_to_next'];
+        const lastIndex = storyboard.storyboard_shots.length - 1;
+        const rows = storyboard.storyboard_shots.map((shot, index) => [
+            shot.shot_number, shot.suggested_shot_type, shot.suggested_camera_angle,
+            shot.description, shot.audio_description, (shot.key_elements || []).join('; '),
+            shot.duration_seconds, index < lastIndex ? getStoryboardTransition(shot).label : ''
+        ]);
+        return [header, ...rows].map(row => row.map(toCsvCell).join(',')).join('\r\n');
+    }
+
+    // Fountain (https://fountain.io): forced scene headings (leading '.') carry the shot number and framing,
+    // the description becomes action, and audio cues are written as SOUND action lines.
+    // Transitions between shots are forced transitions (leading '>').
+    function toStoryboardFountain(storyboard) {
+        const lines = [`Title: ${storyboard.original_concept}`, 'Credit: Storyboard generated with VideoFX Artisan', ''];
+        storyboard.storyboard_shots.forEach((shot, index) => {
+            const framing = [shot.suggested_shot_type, shot.suggested_camera_angle].filter(Boolean).join(' - ');
+            lines.push(`.SHOT ${shot.shot_number}${framing ? ` - ${framing.toUpperCase()}` : ''} #${shot.shot_number}#`, '');
+            lines.push(shot.description, '');
+            if (shot.audio_description) lines.push(`SOUND: ${shot.audio_description}`, '');
+            if (shot.key_elements && shot.key_elements.length > 0) lines.push(`[[Key elements: ${shot.key_elements.join(', ')}]]`, '');
+            if (shot.duration_seconds) lines.push(`[[Duration: ${formatSeconds(shot.duration_seconds)}]]`, '');
+            if (index < storyboard.storyboard_shots.length - 1) lines.push(`> ${getStoryboardTransition(shot).fountain}`, '');
+        });
+        return lines.join('\n');
+    }
+
+    const STORYBOARD_EXPORT_FORMATS = {
+        markdown: { label: 'Markdown shot list', extension: 'md', mimeType: 'text/markdown', serialize: toStoryboardMarkdown },
+        csv: { label: 'CSV (spreadsheet)', extension: 'csv', mimeType: 'text/csv', serialize: toStoryboardCsv },
+        json: { label: 'JSON (full data)', extension: 'json', mimeType: 'application/json', serialize: storyboard => JSON.stringify(storyboard, null, 2) },
+        fountain: { label: 'Fountain screenplay', extension: 'fountain', mimeType: 'text/plain', serialize: toStoryboardFountain }
+    };
+    // --- END: Storyboard Export ---
+
+    // --- START: Storyboard Timeline ---
+    // Each shot carries duration_seconds and transition_to_next (a STORYBOARD_TRANSITIONS key). Edits are made in
+    // place on the result object and saved with saveEditedStoryboard.
+    const STORYBOARD_DEFAULT_SHOT_SECONDS = 4;
+    const STORYBOARD_MIN_SHOT_SECONDS = 0.5;
+    const STORYBOARD_TRANSITIONS = {
+        cut: { label: 'Cut', fountain: 'CUT TO:' },
+        dissolve: { label: 'Dissolve', fountain: 'DISSOLVE TO:' },
+        matchCut: { label: 'Match cut', fountain: 'MATCH CUT TO:' },
+        smashCut: { label: 'Smash cut', fountain: 'SMASH CUT TO:' },
+        whipPan: { label: 'Whip pan', fountain: 'WHIP PAN TO:' },
+        fadeToBlack: { label: 'Fade to black', fountain: 'FADE TO BLACK.' },
+        jCut: { label: 'J-cut (audio leads)', fountain: 'J-CUT TO:' },
+        lCut: { label: 'L-cut (audio trails)', fountain: 'L-CUT TO:' }
+    };
+    let draggedStoryboardShotIndex = null;
+
+    // The storyboard result object is shared with its project asset, so re-saving the project saves the edit
+    function saveEditedStoryboard() {
+        if (state.activeProject) saveProject(state.activeProject);
+    }
+
+    // Fills in the timeline fields (storyboards saved before the editor have none) and renumbers the shots
+    function withStoryboardTimeline(storyboard) {
+        storyboard.storyboard_shots.forEach((shot, index) => {
+            shot.shot_number = index + 1;
+            if (!(shot.duration_seconds > 0)) shot.duration_seconds = STORYBOARD_DEFAULT_SHOT_SECONDS;
+            if (!STORYBOARD_TRANSITIONS[shot.transition_to_next]) shot.transition_to_next = 'cut';
+        });
+        if (storyboard.target_duration_hint === undefined) storyboard.target_duration_hint = state.promptParams.durationHint || '';
+        return storyboard;
+    }
+
+    function getStoryboardTransition(shot) {
+        return STORYBOARD_TRANSITIONS[shot.transition_to_next] || STORYBOARD_TRANSITIONS.cut;
+    }
+
+    function getStoryboardRuntime(storyboard) {
+        return storyboard.storyboard_shots.reduce((total, shot) => total + (shot.duration_seconds || 0), 0);
+    }
+
+    function formatSeconds(seconds) {
+        return `${Math.round(seconds * 10) / 10}s`;
+    }
+
+    function toShotDuration(seconds) {
+        return Math.max(STORYBOARD_MIN_SHOT_SECONDS, Math.round(seconds * 2) / 2);
+    }
+
+    // Only hints naming a range can be checked, e.g. "Short clip (3-5 seconds)"; the rest return null
+    function parseDurationHintRange(hint) {
+        const match = /\((\d+)-(\d+) seconds\)/.exec(hint || '');
+        return match ? { min: Number(match[1]), max: Number(match[2]) } : null;
+    }
+
+    function checkStoryboardRuntime(storyboard) {
+        const runtime = getStoryboardRuntime(storyboard);
+        const range = parseDurationHintRange(storyboard.target_duration_hint);
+        if (!range) return { status: 'unchecked', message: storyboard.target_duration_hint ? `"${storyboard.target_duration_hint}" has no length to check against.` : 'No target duration selected.' };
+        if (runtime < range.min) return { status: 'under', message: `${formatSeconds(range.min - runtime)} short of the ${range.min}-${range.max}s target.` };
+        if (runtime > range.max) return { status: 'over', message: `${formatSeconds(runtime - range.max)} over the ${range.min}-${range.max}s target.` };
+        return { status: 'ok', message: `Within the ${range.min}-${range.max}s target.` };
+    }
+
+    // Cuts at the sentence boundary closest to the middle, falling back to the closest word boundary
+    function splitShotDescription(text) {
+        const middle = text.length / 2;
+        let boundaries = [...text.matchAll(/[.!?]\s+/g)].map(m => m.index + m[0].length);
+        if (boundaries.length === 0) boundaries = [...text.matchAll(/\s+/g)].map(m => m.index + m[0].length);
+        if (boundaries.length === 0) return [text, text];
+        const cut = boundaries.reduce((best, b) => Math.abs(b - middle) < Math.abs(best - middle) ? b : best);
+        return [text.slice(0, cut).trim(), text.slice(cut).trim()];
+    }
+
+    function copyStoryboardShot(shot) {
+        return { ...shot, key_elements: [...(shot.key_elements || [])] };
+    }
+
+    function moveStoryboardShot(storyboard, fromIndex, toIndex) {
+        const shots = storyboard.storyboard_shots;
+        if (fromIndex === toIndex || !shots[fromIndex] || !shots[toIndex]) return;
+        shots.splice(toIndex, 0, shots.splice(fromIndex, 1)[0]);
+    }
+
+    function splitStoryboardShot(storyboard, index) {
+        const shot = storyboard.storyboard_shots[index];
+        const [firstText, secondText] = splitShotDescription(shot.description);
+        const half = toShotDuration(shot.duration_seconds / 2);
+        const second = { ...copyStoryboardShot(shot), description: secondText, duration_seconds: half };
+        Object.assign(shot, { description: firstText, duration_seconds: half, transition_to_next: 'cut' });
+        storyboard.storyboard_shots.splice(index + 1, 0, second);
+    }
+
+    function mergeStoryboardShotWithNext(storyboard, index) {
+        const [shot, next] = storyboard.storyboard_shots.slice(index, index + 2);
+        if (!next) return;
+        Object.assign(shot, {
+            description: `${shot.description} ${next.description}`,
+            audio_description: [shot.audio_description, next.audio_description].filter(Boolean).join('; ') || undefined,
+            key_elements: [...new Set([...(shot.key_elements || []), ...(next.key_elements || [])])],
+            duration_seconds: shot.duration_seconds + next.duration_seconds,
+            transition_to_next: next.transition_to_next
+        });
+        storyboard.storyboard_shots.splice(index + 1, 1);
+    }
+
+    function duplicateStoryboardShot(storyboard, index) {
+        storyboard.storyboard_shots.splice(index + 1, 0, copyStoryboardShot(storyboard.storyboard_shots[index]));
+    }
+
+    function deleteStoryboardShot(storyboard, index) {
+        if (storyboard.storyboard_shots.length > 1) storyboard.storyboard_shots.splice(index, 1);
+    }
+    // --- END: Storyboard Timeline ---
+
+    // --- START: Batch Generation ---
+    // Runs many concepts through mainPromptGen with a bounded number of requests in flight.
+    const BATCH_MAX_ROWS = 200;
+    // Accepted column/key names (lower-cased) for each per-row field
+    const BATCH_FIELD_ALIASES = {
+        description: ['description', 'concept', 'prompt', 'idea'],
+        style: ['style'],
+        cameraAngle: ['camera', 'cameraangle', 'camera_angle', 'camera angle', 'angle'],
+        cameraMovement: ['cameramovement', 'camera_movement', 'camera movement', 'movement'],
+        lighting: ['lighting', 'light']
+    };
+    let batchRequestController = null;
+
+    function toBatchRow(record, index) {
+        const lookup = Object.fromEntries(Object.entries(record).map(([key, value]) => [key.trim().toLowerCase(), value]));
+        const row = { id: `batch-${Date.now()}-${index}`, index: index + 1, overrides: {}, status: 'pending', prompts: [], error: null };
+        Object.entries(BATCH_FIELD_ALIASES).forEach(([field, aliases]) => {
+            const key = aliases.find(alias => typeof lookup[alias] === 'string' && lookup[alias].trim());
+            if (!key) return;
+            if (field === 'description') row.description = lookup[key].trim();
+            else row.overrides[field] = lookup[key].trim();
+        });
+        return row;
+    }
+
+    // Accepts a JSON array of strings/objects (or { rows: [...] }), or a CSV whose header names the columns.
+    // A CSV without a recognised description column is read as one description per line.
+    function parseBatchFile(text, fileName) {
+        let records;
+        if (/\.json$/i.test(fileName) || /^\s*[\[{]/.test(text)) {
+            const parsed = JSON.parse(text);
+            const list = Array.isArray(parsed) ? parsed : parsed?.rows;
+            if (!Array.isArray(list)) throw new Error('[Batch Error B1] JSON must be an array of concepts or an object with a "rows" array.');
+            records = list.map(item => typeof item === 'string' ? { description: item } : (item && typeof item === 'object' ? item : {}));
+        } else {
+            const table = parseCsv(text);
+            const header = (table[0] || []).map(cell => cell.trim().toLowerCase());
+            if (header.some(cell => BATCH_FIELD_ALIASES.description.includes(cell))) {
+                records = table.slice(1).map(cells => Object.fromEntries(header.map((column, i) => [column, cells[i] || ''])));
+            } else {
+                records = table.map(cells => ({ description: cells[0] || '' }));
+            }
+        }
+        const rows = records.map(toBatchRow).filter(row => row.description);
+        if (rows.length === 0) throw new Error('[Batch Error B2] No rows with a description were found in the file.');
+        if (rows.length > BATCH_MAX_ROWS) throw new Error(`[Batch Error B3] The file has ${rows.length} rows; the limit is ${BATCH_MAX_ROWS}.`);
+        return rows;
+    }
+
+    async function runBatchRow(row, signal) {
+        const params = {
+            ...state.promptParams,
+            ...row.overrides,
+            description: row.description,
+            imageB64: null, imageMimeType: null // Batch rows are text-only
+        };
+        if (!params.style) params.style = VEO_STYLES[1];
+        row.status = 'running';
+        row.error = null;
+        row.lastSentRequest = null;
+        row.currentApiActionMessage = null;
+        renderApp();
+        try {
+            // The row is the request status, so each row shows its own sent content and retry messages
+            const apiResult = await callArtisanApiInternal('mainPromptGen', row.description, params, {}, { signal, status: row });
+            const list = Array.isArray(apiResult) ? apiResult : [apiResult];
+            row.prompts = list.filter(p => p && typeof p.prompt_text === 'string').map(p => p.prompt_text);
+            if (row.prompts.length === 0) throw new Error("Prompt generator returned an unexpected data format.");
+            row.status = 'done';
+        } catch (error) {
+            // A stopped batch leaves unfinished rows pending so the next run picks them up
+            row.status = isCancellationError(error) ? 'pending' : 'failed';
+            row.error = isCancellationError(error) ? null : (error.message || 'Generation failed.');
+        }
+        row.currentApiActionMessage = null;
+        renderApp();
+    }
+
+    // Works through pending rows with at most state.batch.concurrency requests in flight. Workers pick the
+    // next pending row each time, so rows queued for retry while the batch runs are picked up too.
+    async function runBatchQueue() {
+        const nextPendingRow = () => state.batch.rows.find(row => row.status === 'pending');
+        if (state.batch.isRunning || !nextPendingRow()) return;
+        batchRequestController = new AbortController();
+        const signal = batchRequestController.signal;
+        state.batch.isRunning = true;
+        renderApp();
+        const worker = async () => {
+            let row;
+            while (!signal.aborted && (row = nextPendingRow())) {
+                await runBatchRow(row, signal); // Marks the row 'running' before its first await
+            }
+        };
+        await Promise.all(Array.from({ length: state.batch.concurrency }, worker));
+        state.batch.isRunning = false;
+        batchRequestController = null;
+        const failedCount = state.batch.rows.filter(row => row.status === 'failed').length;
+        if (!signal.aborted) {
+            showTemporaryNotification(failedCount > 0 ? `Batch finished with ${failedCount} failed row(s)` : 'Batch finished', failedCount > 0 ? 'warning' : 'success');
+        }
+        renderApp();
+    }
+
+    // Rows from a prompt template carry their variable values, exported as extra columns/keys
+    function getBatchExport(formatKey) {
+        const rows = groupBatchRows(state.batch.rows, state.batch.groupBy).flatMap(group => group.rows);
+        const variableNames = [...new Set(rows.flatMap(row => Object.keys(row.variables || {})))];
+        if (formatKey === 'json') {
+            return JSON.stringify(rows.map(({ index, description, overrides, variables, status, prompts, error }) => ({ row: index, description, ...(variables ? { variables } : {}), ...overrides, status, prompts, error })), null, 2);
+        }
+        const maxPrompts = Math.max(1, ...rows.map(row => row.prompts.length));
+        const header = ['row', 'description', ...variableNames, 'style', 'camera_angle', 'camera_movement', 'lighting', 'status', 'error',
+            ...Array.from({ length: maxPrompts }, (_, i) => `prompt_${i + 1}`)];
+        const lines = rows.map(row => [row.index, row.description, ...variableNames.map(name => row.variables?.[name]), row.overrides.style, row.overrides.cameraAngle, row.overrides.cameraMovement,
+            row.overrides.lighting, row.status, row.error, ...row.prompts]);
+        return [header, ...lines].map(line => line.map(toCsvCell).join(',')).join('\r\n');
+    }
+    // --- END: Batch Generation ---
+
+    // --- START: Prompt Templates ---
+    // {{variable}} placeholders in the main description expand into one batch row per combination of values.
+    const TEMPLATE_VARIABLE_REGEX = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+    // Variable names in order of first appearance
+    function getTemplateVariables(text) {
+        const names = [];
+        for (const match of String(text || '').matchAll(TEMPLATE_VARIABLE_REGEX)) {
+            if (!names.includes(match[1])) names.push(match[1]);
+        }
+        return names;
+    }
+
+    // One value per line; blank lines and repeats are dropped
+    function parseTemplateValues(rawText) {
+        return [...new Set(String(rawText || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean))];
+    }
+
+    function getTemplateValueLists(names) {
+        return names.map(name => parseTemplateValues(state.template.values[name]));
+    }
+
+    function countTemplateCombinations(valueLists) {
+        return valueLists.length === 0 ? 0 : valueLists.reduce((total, values) => total * values.length, 1);
+    }
+
+    function fillTemplate(text, assignment) {
+        return text.replace(TEMPLATE_VARIABLE_REGEX, (placeholder, name) => assignment[name] ?? placeholder);
+    }
+
+    // Decodes a combination index (last variable varies fastest), so sampling never builds the full product.
+    function getTemplateCombination(names, valueLists, index) {
+        const assignment = {};
+        for (let i = names.length - 1; i >= 0; i--) {
+            const values = valueLists[i];
+            assignment[names[i]] = values[index % values.length];
+            index = Math.floor(index / values.length);
+        }
+        return Object.fromEntries(names.map(name => [name, assignment[name]]));
+    }
+
+    // Random indices without repeats, returned in order so sampled rows still group together
+    function sampleCombinationIndices(total, count) {
+        if (count >= total) return Array.from({ length: total }, (_, i) => i);
+        const picked = new Set();
+        while (picked.size < count) picked.add(Math.floor(Math.random() * total));
+        return [...picked].sort((a, b) => a - b);
+    }
+
+    function expandTemplate(text, sampleSize) {
+        const names = getTemplateVariables(text);
+        if (names.length === 0) throw new Error('[Template Error T1] The description has no {{variable}} placeholders.');
+        const valueLists = getTemplateValueLists(names);
+        const emptyName = names.find((name, i) => valueLists[i].length === 0);
+        if (emptyName) throw new Error(`[Template Error T2] Add at least one value for {{${emptyName}}}.`);
+        const total = countTemplateCombinations(valueLists);
+        const count = sampleSize ? Math.min(sampleSize, total) : total;
+        if (count > BATCH_MAX_ROWS) throw new Error(`[Template Error T3] ${total} combinations exceed the batch limit of ${BATCH_MAX_ROWS}; set a sample size.`);
+        const stamp = Date.now();
+        return sampleCombinationIndices(total, count).map((combinationIndex, i) => {
+            const variables = getTemplateCombination(names, valueLists, combinationIndex);
+            return { id: `batch-${stamp}-${i}`, index: i + 1, description: fillTemplate(text, variables), overrides: {}, variables, status: 'pending', prompts: [], error: null };
+        });
+    }
+
+    // Groups batch rows by one variable's value, keeping the order each value first appears in
+    function groupBatchRows(rows, variableName) {
+        if (!variableName) return [{ label: '', rows }];
+        const groups = new Map();
+        rows.forEach(row => {
+            const value = row.variables?.[variableName] ?? '';
+            if (!groups.has(value)) groups.set(value, []);
+            groups.get(value).push(row);
+        });
+        return [...groups].map(([value, groupRows]) => ({ label: `${variableName} = ${value || '—'}`, value, rows: groupRows }));
+    }
+    // --- END: Prompt Templates ---
+
+    // --- START: A/B Compare ---
+    // Generates one description under 2-4 parameter sets at once so the results can be judged side by side.
+    const COMPARE_MIN_VARIANTS = 2;
+    const COMPARE_MAX_VARIANTS = 4;
+    const COMPARE_PARAM_FIELDS = [
+        { key: 'style', label: 'Visual Style', options: VEO_STYLES },
+        { key: 'cameraAngle', label: 'Camera Angle', options: VEO_CAMERA_ANGLES },
+        { key: 'cameraMovement', label: 'Camera Movement', options: VEO_CAMERA_MOVEMENTS },
+        { key: 'lighting', label: 'Lighting', options: VEO_LIGHTING_CONDITIONS }
+    ];
+    // Column classes per variant count; only these responsive grid classes exist in the stylesheet
+    const COMPARE_GRID_CLASSES = { 2: 'md:grid-cols-2', 3: 'md:grid-cols-2 lg:grid-cols-3', 4: 'md:grid-cols-2 lg:grid-cols-4' };
+
+    function getCompareVariantLabel(index) {
+        return String.fromCharCode(65 + index); // A, B, C, D
+    }
+
+    function pickCompareParams(params) {
+        return Object.fromEntries(COMPARE_PARAM_FIELDS.map(field => [field.key, params[field.key] || '']));
+    }
+
+    // A new variant copies the last one with the next style, so adding a column is already a style comparison.
+    function createCompareVariant(previous) {
+        const styles = VEO_STYLES.filter(Boolean);
+        const nextStyle = styles[(styles.indexOf(previous.style) + 1) % styles.length];
+        return { ...previous, style: nextStyle };
+    }
+
+    function getDefaultCompareVariants() {
+        const first = pickCompareParams(state.promptParams);
+        if (!first.style) first.style = VEO_STYLES[1];
+        return [first, createCompareVariant(first)];
+    }
+
+    // Fields that differ between the variants, to label each result column by what was compared
+    function getCompareDifferences(variants, variant) {
+        return COMPARE_PARAM_FIELDS.filter(field => new Set(variants.map(v => v[field.key])).size > 1)
+            .map(field => variant[field.key] || 'Any');
+    }
+
+    // status is the variant's own request status (see callArtisanApiInternal), since the variants run side by side
+    async function runCompareVariant(description, variant, status) {
+        const params = { ...state.promptParams, ...variant, description };
+        if (state.uploadedImage) {
+            params.imageB64 = state.uploadedImage.b64;
+            params.imageMimeType = state.uploadedImage.mimeType;
+        }
+        const apiResult = await callArtisanApiInternal('mainPromptGen', description, params, {}, { status });
+        const list = Array.isArray(apiResult) ? apiResult : [apiResult];
+        const prompts = list.filter(p => p && typeof p.prompt_text === 'string').map(p => p.prompt_text);
+        if (prompts.length === 0) throw new Error("Prompt generator returned an unexpected data format.");
+        return { variant, params: getLineageGenerationParams(params), prompts, error: null, sentRequest: status.lastSentRequest };
+    }
+    // --- END: A/B Compare ---
+
+    // --- START: Undo History ---
+    // Snapshots of promptParams, the uploaded image and generatedPrompts, taken before each destructive change.
+    // The image is held as its base64 string (shared, not copied) and gets a fresh preview URL when restored.
+    const UNDO_HISTORY_LIMIT = 100;
+    const UNDO_COALESCE_MS = 1000; // Keystrokes closer together than this share one undo step
+    let undoStack = [];
+    let redoStack = [];
+    let lastUndoPoint = { label: null, at: 0 };
+
+    function captureUndoSnapshot(label) {
+        const { imageB64, imageMimeType, ...params } = state.promptParams;
+        const image = state.uploadedImage && { b64: state.uploadedImage.b64, mimeType: state.uploadedImage.mimeType, name: state.uploadedImage.name };
+        return { label, promptParams: params, image, generatedPrompts: state.generatedPrompts.map(p => ({ ...p })) };
+    }
+
+    function applyUndoSnapshot(snapshot) {
+        if ((snapshot.image?.b64 || null) !== (state.uploadedImage?.b64 || null)) restoreUploadedImage(snapshot.image);
+        state.promptParams = { ...state.promptParams, ...snapshot.promptParams };
+        state.generatedPrompts = snapshot.generatedPrompts.map(p => ({ ...p }));
+        if (state.activeModal?.type === 'editPrompt') state.activeModal = null;
+        handleGeneratedPromptsChanged();
+        clearError();
+        renderApp();
+    }
+
+    // Call before mutating promptParams or generatedPrompts. With coalesce, repeated calls with the same label
+    // in quick succession (typing) keep only the first snapshot.
+    function recordUndoPoint(label, { coalesce = false } = {}) {
+        const now = Date.now();
+        const isContinuation = coalesce && lastUndoPoint.label === label && now - lastUndoPoint.at < UNDO_COALESCE_MS;
+        lastUndoPoint = { label, at: now };
+        if (isContinuation) return;
+        undoStack.push(captureUndoSnapshot(label));
+        if (undoStack.length > UNDO_HISTORY_LIMIT) undoStack.shift();
+        redoStack = [];
+    }
+
+    // Undo steps from one session or project don't apply to another
+    function clearUndoHistory() {
+        undoStack = [];
+        redoStack = [];
+        lastUndoPoint = { label: null, at: 0 };
+    }
+
+    function handleUndo() {
+        if (state.isLoading || undoStack.length === 0) return;
+        const snapshot = undoStack.pop();
+        redoStack.push(captureUndoSnapshot(snapshot.label));
+        lastUndoPoint = { label: null, at: 0 };
+        applyUndoSnapshot(snapshot);
+        showTemporaryNotification(`Undid: ${snapshot.label}`, 'info', { action: { label: 'Redo', onClick: handleRedo } });
+    }
+
+    function handleRedo() {
+        if (state.isLoading || redoStack.length === 0) return;
+        const snapshot = redoStack.pop();
+        undoStack.push(captureUndoSnapshot(snapshot.label));
+        lastUndoPoint = { label: null, at: 0 };
+        applyUndoSnapshot(snapshot);
+        showTemporaryNotification(`Redid: ${snapshot.label}`, 'info', { action: { label: 'Undo', onClick: handleUndo } });
+    }
+
+    function showUndoableNotification(message) {
+        showTemporaryNotification(message, 'success', { action: { label: 'Undo', onClick: handleUndo } });
+    }
+
+    // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y). Text fields keep their native undo.
+    function handleUndoShortcut(e) {
+        if (!overlayContainer || overlayContainer.style.display === 'none') return;
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+        const target = e.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) handleRedo();
+        else handleUndo();
+    }
+    // --- END: Undo History ---
+
+    // --- START: Prompt Lineage ---
+    // Each prompt card carries a version tree: versions [{ id, parentId, text, operation, params, createdAt }] and
+    // currentVersionId. Derived texts become children of the version they came from; restoring moves the pointer,
+    // so later edits branch from the restored version. Versions are never mutated, only appended.
+    const MAX_PROMPT_VERSIONS = 50;
+    const LINEAGE_OPERATION_LABELS = {
+        original: 'Original', generated: 'Generated', sceneExtended: 'Scene extension', manualEdit: 'Manual edit',
+        critique: 'Critique suggestion', elaborate: 'Elaboration', styleTransfer: 'Style transfer', sequence: 'Sequence shot',
+        continuityFix: 'Continuity fix', segment: 'Clip segment', lintFix: 'Lint fix', audioTrack: 'Audio track'
+    };
+
+    function createPromptVersion(text, operation, params = {}, parentId = null) {
+        return { id: `v-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`, parentId, text, operation, params, createdAt: Date.now() };
+    }
+
+    // Cards created before lineage existed (or restored from sessions/history) get a single 'original' root
+    function withPromptLineage(prompt) {
+        if (Array.isArray(prompt.versions) && prompt.versions.length > 0) return prompt;
+        const root = createPromptVersion(prompt.text, 'original');
+        return { ...prompt, versions: [root], currentVersionId: root.id };
+    }
+
+    function createLineagePromptCard(id, text, operation, params = {}) {
+        const root = createPromptVersion(text, operation, params);
+        return { id, text, versions: [root], currentVersionId: root.id };
+    }
+
+    // Returns a new card whose current version is a child of the card's current version
+    function appendPromptVersion(prompt, text, operation, params = {}) {
+        const card = withPromptLineage(prompt);
+        const version = createPromptVersion(text, operation, params, card.currentVersionId);
+        let versions = [...card.versions, version];
+        if (versions.length > MAX_PROMPT_VERSIONS) {
+            // Drop the oldest leaf that isn't on the current path so the tree stays connected
+            const keepIds = new Set(getPromptVersionPath({ versions, currentVersionId: version.id }).map(v => v.id));
+            const parentIds = new Set(versions.map(v => v.parentId));
+            const dropped = versions.find(v => !keepIds.has(v.id) && !parentIds.has(v.id));
+            if (dropped) versions = versions.filter(v => v !== dropped);
+        }
+        return { ...card, text, versions, currentVersionId: version.id };
+    }
+
+    // Root-first list of the versions leading to versionId (defaults to the current version)
+    function getPromptVersionPath(prompt, versionId = prompt.currentVersionId) {
+        const byId = new Map(prompt.versions.map(v => [v.id, v]));
+        const path = [];
+        for (let version = byId.get(versionId); version && path.length <= prompt.versions.length; version = byId.get(version.parentId)) {
+            path.unshift(version);
+        }
+        return path;
+    }
+
+    // Depth-first order with depth, for rendering the tree as an indented list
+    function flattenPromptVersionTree(prompt) {
+        const childrenOf = new Map();
+        prompt.versions.forEach(v => {
+            const key = prompt.versions.some(p => p.id === v.parentId) ? v.parentId : null;
+            if (!childrenOf.has(key)) childrenOf.set(key, []);
+            childrenOf.get(key).push(v);
+        });
+        const rows = [];
+        const visit = (parentId, depth) => (childrenOf.get(parentId) || []).forEach(version => {
+            rows.push({ version, depth });
+            visit(version.id, depth + 1);
+        });
+        visit(null, 0);
+        return rows;
+    }
+
+    function describeVersionParams(params) {
+        return Object.entries(params || {})
+            .filter(([, value]) => value !== '' && value !== null && value !== undefined && value !== false)
+            .map(([key, value]) => `${key.replace(/([A-Z])/g, ' $1').toLowerCase()}: ${value}`)
+            .join(' · ');
+    }
+    // --- END: Prompt Lineage ---
+
+    // --- START: Character Bible ---
+    // Saved characters are referenced in any input as @handle. Before a request is sent, every mentioned character's
+    // canonical description is listed for the model (see buildUserContentString) so it renders the same in every shot.
+    const CHARACTER_MENTION_REGEX = /(^|[^\w@])@([A-Za-z][\w-]{0,39})/g;
+    const CHARACTER_TEXT_FIELDS = [
+        { key: 'appearance', label: 'Appearance' },
+        { key: 'wardrobe', label: 'Wardrobe & Props' },
+        { key: 'mannerisms', label: 'Mannerisms' },
+        { key: 'voice', label: 'Voice', audioOnly: true }
+    ];
+
+    function toCharacterHandle(name, excludeId = null) {
+        const base = toFileSlug(name, 'character').substring(0, 30).replace(/^[^a-z]+/, '') || 'character';
+        let handle = base;
+        for (let n = 2; state.characterBible.some(c => c.handle === handle && c.id !== excludeId); n++) handle = `${base}-${n}`;
+        return handle;
+    }
+
+    // name and handle are derived after fields are spread, so a blank or missing name still gets the fallback
+    function createCharacter(fields = {}) {
+        const now = Date.now();
+        const name = (typeof fields.name === 'string' && fields.name.trim()) || 'New Character';
+        return {
+            id: `character-${now}-${Math.random().toString(36).substring(2, 9)}`,
+            appearance: '', wardrobe: '', mannerisms: '', voice: '',
+            referenceImage: null, // { name, mimeType, b64 }
+            ...fields,
+            name, handle: toCharacterHandle(name),
+            createdAt: now, updatedAt: now
+        };
+    }
+
+    function characterFromDetailResult(result) {
+        const join = (list) => (Array.isArray(list) ? list : []).join('; ');
+        return createCharacter({
+            name: result.character_concept,
+            appearance: join(result.appearance_details),
+            wardrobe: join(result.signature_items_accessories),
+            mannerisms: join(result.personality_quirks),
+            voice: join(result.suggested_vocal_characteristics_sounds)
+        });
+    }
+
+    async function initCharacterBible() {
+        try {
+            state.characterBible = (await idbGetAll('characters')).sort((a, b) => String(a.name || '').localeCompare(String(b.name || '')));
+        } catch (error) {
+            console.error('[VideoFX Artisan] Character bible unavailable (IndexedDB error):', error);
+        }
+        renderApp();
+    }
+
+    async function saveCharacter(character) {
+        character.updatedAt = Date.now();
+        const index = state.characterBible.findIndex(c => c.id === character.id);
+        if (index >= 0) state.characterBible[index] = character;
+        else state.characterBible.push(character);
+        try {
+            await idbPut('characters', character);
+        } catch (error) {
+            console.error('[VideoFX Artisan] Could not save character:', error);
+            showTemporaryNotification("Could not save character to IndexedDB", 'error');
+        }
+    }
+
+    // Characters mentioned in any of the given texts, in order of first mention
+    function findMentionedCharacters(texts) {
+        const handles = [];
+        texts.filter(text => typeof text === 'string').forEach(text => {
+            for (const match of text.matchAll(CHARACTER_MENTION_REGEX)) {
+                const handle = match[2].toLowerCase();
+                if (!handles.includes(handle)) handles.push(handle);
+            }
+        });
+        return handles.map(handle => state.characterBible.find(c => c.handle === handle)).filter(Boolean);
+    }
+
+    function describeCharacter(character, includeVoice) {
+        const parts = CHARACTER_TEXT_FIELDS
+            .filter(field => character[field.key] && character[field.key].trim() && (!field.audioOnly || includeVoice))
+            .map(field => `${field.label}: ${character[field.key].trim()}`);
+        return `${character.name}${parts.length ? `. ${parts.join('. ')}` : ''}`;
+    }
+
+    // Shows a pick list of characters while an @mention is being typed in a textarea or input.
+    // Picking one completes the mention and fires an input event so the field's own handler sees the change.
+    function attachCharacterMentionAutocomplete(inputEl) {
+        if (!inputEl || !overlayContainer) return;
+        let popup = overlayContainer.querySelector('#vfx-mention-popup');
+        if (!popup) {
+            popup = document.createElement('div');
+            popup.id = 'vfx-mention-popup';
+            popup.className = 'studio-bg-elevated border studio-border-strong rounded-md shadow-lg text-sm';
+            popup.style.cssText = 'position: fixed; display: none; z-index: 10002; min-width: 220px; max-height: 220px; overflow-y: auto;';
+            overlayContainer.appendChild(popup);
+        }
+        const hide = () => { if (popup.dataset.owner === inputEl.id) popup.style.display = 'none'; };
+        const update = () => {
+            const beforeCaret = inputEl.value.substring(0, inputEl.selectionStart);
+            const match = beforeCaret.match(/(^|[^\w@])@([\w-]*)$/);
+            const query = match ? match[2].toLowerCase() : null;
+            const matches = query === null ? [] : state.characterBible
+                .filter(c => c.handle.startsWith(query) || c.name.toLowerCase().includes(query))
+                .slice(0, 6);
+            if (matches.length === 0) { hide(); return; }
+            popup.dataset.owner = inputEl.id;
+            popup.innerHTML = matches.map(c => `
+                <button type="button" data-handle="${sanitizeHTML(c.handle)}" class="mention-option w-full text-left px-3 py-2 hover:bg-gray-700 block">
+                    <span class="vpa-text-main font-medium">@${sanitizeHTML(c.handle)}</span> <span class="vpa-text-faint text-xs">${sanitizeHTML(c.name)}</span>
+                </button>`).join('');
+            const rect = inputEl.getBoundingClientRect();
+            popup.style.left = `${rect.left}px`;
+            popup.style.top = `${rect.bottom + 4}px`;
+            popup.style.display = 'block';
+            popup.querySelectorAll('.mention-option').forEach(option => {
+                option.addEventListener('mousedown', (e) => {
+                    e.preventDefault(); // Keep focus in the input
+                    const caret = inputEl.selectionStart;
+                    const start = caret - match[2].length;
+                    const insertion = `${e.currentTarget.dataset.handle} `;
+                    inputEl.value = inputEl.value.substring(0, start) + insertion + inputEl.value.substring(caret);
+                    inputEl.selectionStart = inputEl.selectionEnd = start + insertion.length;
+                    hide();
+                    inputEl.dispatchEvent(new Event('input', { bubbles: true }));
+                });
+            });
+        };
+        inputEl.addEventListener('keyup', (e) => { if (e.key === 'Escape') hide(); else update(); });
+        inputEl.addEventListener('click', update);
+        inputEl.addEventListener('blur', () => setTimeout(hide, 150));
+    }
+    // --- END: Character Bible ---
+
+    // --- START: Scene Chain ---
+    // A chain is a run of sceneExtender links where each link continues from the previous link's text.
+    // Links are ordinary prompt cards tagged with chain: { id, direction, params }; their order in the list is the
+    // chain order. params are the parameters the link was generated with, so regenerating it reproduces them.
+    function createSceneChain(direction) {
+        return { id: `chain-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`, direction };
+    }
+
+    // Links keep the image as the id of a project reference image (adding it if needed), never inline: the cards are
+    // also saved to the localStorage sessions record, which an image would overflow. With no project to hold it,
+    // the image is dropped and imageDropped marks that regenerating will run without it.
+    function toSceneChainLinkParams(params) {
+        const { imageB64, imageMimeType, ...rest } = params;
+        if (!imageB64) return { ...rest, imageB64: null, imageMimeType: null };
+        if (state.activeProject && !state.activeProject.referenceImages.some(image => image.b64 === imageB64)) {
+            addProjectAsset('referenceImages', { name: state.uploadedImage?.name || 'Scene chain image', mimeType: imageMimeType, b64: imageB64 });
+        }
+        const asset = state.activeProject?.referenceImages.find(image => image.b64 === imageB64);
+        if (asset) return { ...rest, imageAssetId: asset.id };
+        return { ...rest, imageB64: null, imageMimeType: null, imageDropped: true };
+    }
+
+    // Links saved before params were stored fall back to the current settings
+    function getSceneChainLinkParams(link) {
+        if (!link.chain.params) return { ...state.promptParams };
+        const { imageAssetId, imageDropped, ...params } = link.chain.params;
+        if (imageDropped) showTemporaryNotification("This link's reference image was not saved; regenerating without it", 'warning');
+        if (!imageAssetId) return params;
+        const asset = state.activeProject?.referenceImages.find(image => image.id === imageAssetId);
+        if (!asset) {
+            showTemporaryNotification("This link's reference image is no longer in the project; regenerating without it", 'warning');
+            return { ...params, imageB64: null, imageMimeType: null };
+        }
+        return { ...params, imageB64: asset.b64, imageMimeType: asset.mimeType };
+    }
+
+    function getSceneChainLinks(chainId) {
+        return state.generatedPrompts.filter(p => p.chain?.id === chainId);
+    }
+
+    // The first link answers the user's request directly; later links get the previous link as their input
+    async function extendSceneChainLink(inputText, chain, linkNumber, linkCount, params) {
+        const chainData = linkNumber > 1 ? { chainDirection: chain.direction, chainLink: `${linkNumber} of ${linkCount}` } : {};
+        const result = await callArtisanApiInternal('sceneExtender', inputText, params, chainData);
+        if (typeof result !== 'string') throw new Error("Scene extender returned an unexpected data format. Expected plain text.");
+        return result.trim();
+    }
+
+    function sceneChainToStoryboard(links) {
+        return withStoryboardTimeline({
+            original_concept: links[0].chain.direction,
+            storyboard_shots: links.map((link, index) => ({ shot_number: index + 1, description: link.text, key_elements: [] }))
+        });
+    }
+    // --- END: Scene Chain ---
+
+    // --- START: Prompt Linter ---
+    // Local, rule-based checks for the rules PREAMBLE_CONFIG.mainPromptGen gives the model. lintPrompt returns
+    // findings { ruleId, severity, message, range?, fixes } where each fix is { label, apply(text), negativeKeyword?, keepsText? }.
+    // A keepsText fix only moves its negativeKeyword, so it is offered only where there is a negative prompt to move to.
+    const LINT_MAX_WORDS = 150;
+    const LINT_MIN_WORDS_FOR_METHODOLOGY = 6;
+    const LINT_NEGATION_REGEX = /(?:\b(?:with|and|but)\s+)?\b(no|not|don't|do not|never|without|avoid(?:ing)?)\b/gi;
+    // The negated noun phrase is at most this many words after the negation (articles and "any" don't count)
+    const LINT_NEGATED_PHRASE_MAX_WORDS = 3;
+    const LINT_NEGATED_PHRASE_DETERMINERS = new Set(['a', 'an', 'the', 'any']);
+    // Negations of a verb or adjective ("not", "never") and the auxiliaries before them ("does not smile"): cutting
+    // such a phrase out breaks the sentence, so these are only offered as negative keywords
+    const LINT_VERB_NEGATIONS = new Set(['not', "don't", 'do not', 'never']);
+    const LINT_AUXILIARY_VERBS = new Set(['is', 'are', 'was', 'were', 'be', 'been', 'being', 'has', 'have', 'had', 'do', 'does', 'did',
+        'can', 'could', 'will', 'would', 'should', 'may', 'might', 'must']);
+    // Prepositions, conjunctions and common verbs end the negated phrase, so the rest of the clause is left alone
+    const LINT_NEGATED_PHRASE_STOP_WORDS = new Set([
+        ...LINT_AUXILIARY_VERBS, 'about', 'above', 'across', 'after', 'against', 'along', 'amid', 'among', 'around', 'at', 'before', 'behind', 'below',
+        'beneath', 'beside', 'between', 'beyond', 'by', 'during', 'for', 'from', 'in', 'inside', 'into', 'near', 'of', 'off',
+        'on', 'onto', 'out', 'outside', 'over', 'past', 'through', 'to', 'toward', 'towards', 'under', 'until', 'up', 'upon',
+        'with', 'within', 'without', 'and', 'but', 'or', 'nor', 'so', 'yet', 'while', 'as', 'because', 'although', 'though',
+        'if', 'when', 'where', 'than', 'then', 'that', 'which', 'who', 'walks', 'runs', 'stands', 'sits', 'moves', 'looks', 'appears', 'seems', 'holds', 'turns', 'goes', 'comes', 'rises', 'falls', 'flies'
+    ]);
+    // Each example is { text, flagged, keyword, fix, result }: fix is 'remove' when the phrase can be cut out and
+    // 'move' when it can only go to the negative keywords (the text is left as it is). See runLintRegression.
+    const LINT_NEGATION_EXAMPLES = [
+        { text: 'A fisherman walking with no umbrella toward the old lighthouse at dusk, golden light', flagged: 'with no umbrella',
+          keyword: 'umbrella', fix: 'remove', result: 'A fisherman walking toward the old lighthouse at dusk, golden light' },
+        { text: 'A quiet street without any cars under heavy rain, neon reflections', flagged: 'without any cars',
+          keyword: 'cars', fix: 'remove', result: 'A quiet street under heavy rain, neon reflections' },
+        { text: 'A forest clearing with no people, soft morning mist', flagged: 'with no people',
+          keyword: 'people', fix: 'remove', result: 'A forest clearing, soft morning mist' },
+        { text: 'Rain-slicked alley with no flashing neon signs above the doors', flagged: 'with no flashing neon signs',
+          keyword: 'flashing neon signs', fix: 'remove', result: 'Rain-slicked alley above the doors' },
+        { text: 'A forest clearing with no people walking through the morning mist', flagged: 'with no people',
+          keyword: 'people', fix: 'move', result: 'A forest clearing with no people walking through the morning mist' },
+        { text: 'Close-up of a desk, no text or logos on the screen', flagged: 'no text',
+          keyword: 'text', fix: 'move', result: 'Close-up of a desk, no text or logos on the screen' },
+        { text: 'A man who does not smile, standing in rain', flagged: 'not smile',
+          keyword: 'smile', fix: 'move', result: 'A man who does not smile, standing in rain' },
+        { text: 'No people in the frame, a calm beach at sunset', flagged: 'No people',
+          keyword: 'people', fix: 'move', result: 'No people in the frame, a calm beach at sunset' }
+    ];
+
+    // The words after a negation that name what is negated: up to LINT_NEGATED_PHRASE_MAX_WORDS words, stopping at
+    // punctuation, a stop word, or an -ing/-ed word once the phrase has started. Returns the end index in text.
+    function findNegatedPhraseEnd(text, start) {
+        const wordRegex = /\s+([A-Za-z][\w'-]*)/y;
+        let end = start;
+        let counted = 0;
+        wordRegex.lastIndex = start;
+        let match;
+        while (counted < LINT_NEGATED_PHRASE_MAX_WORDS && (match = wordRegex.exec(text))) {
+            const word = match[1].toLowerCase();
+            if (LINT_NEGATED_PHRASE_STOP_WORDS.has(word) || (counted > 0 && /(?:ing|ed)$/.test(word))) break;
+            end = wordRegex.lastIndex;
+            if (!LINT_NEGATED_PHRASE_DETERMINERS.has(word)) counted++;
+        }
+        return counted > 0 ? end : start;
+    }
+
+    // Cutting the phrase only reads correctly when it is a modifier the clause can do without, like "with no umbrella"
+    function canRemoveNegatedPhrase(text, match, end) {
+        const before = text.slice(0, match.index).trim();
+        const previousWord = (before.match(/([A-Za-z']+)$/) || [])[1]?.toLowerCase();
+        const after = text.slice(end);
+        if (LINT_VERB_NEGATIONS.has(match[1].toLowerCase()) || LINT_AUXILIARY_VERBS.has(previousWord)) return false;
+        if (!before || /[,.;:!?]$/.test(before)) return false; // Starts its clause: "No people in the frame, ..."
+        if (/^\s*,?\s*(?:or|and|nor)\b/i.test(after)) return false; // Part of a list: "no text or logos"
+        return !/^\s+[A-Za-z]+(?:ing|ed)\b/.test(after); // Followed by its own participle: "no people walking"
+    }
+    // Subject is left out: a keyword rule can't tell whether a prompt has one.
+    const LINT_METHODOLOGY_ELEMENTS = [
+        { key: 'context', severity: 'warning', label: 'context (setting, time of day, weather)',
+          pattern: /\b(?:in|on|at|inside|across|through|over|under|beneath|along|amid|among|near|above|against)\s+(?:a|an|the|his|her|their|its)\b|\b(?:dawn|dusk|sunset|sunrise|night|midday|morning|evening|rain|snow|fog|storm)\b/i },
+        { key: 'action', severity: 'warning', label: 'action (what the subject is doing)',
+          pattern: /\b[a-z]{3,}ing\b|\b(?:walks?|runs?|flies|jumps?|dances?|moves?|turns?|falls?|rises?|swims?|drives?|looks?|stares?|reaches?|holds?|opens?|spins?|glides?|soars?)\b/i },
+        { key: 'style', severity: 'warning', label: 'style', params: ['style'], phrase: value => `${value} style`,
+          pattern: /\b(?:style|cinematic|animated|animation|photoreal\w*|render(?:ed)?|film|footage|anime|watercolou?r|noir|documentary|painterly|cartoon|3d|vintage|surreal)\b/i },
+        { key: 'camera', severity: 'info', label: 'camera (shot type or movement)', params: ['cameraMovement', 'cameraAngle'],
+          pattern: /\b(?:shot|angle|close-up|closeup|pan(?:s|ning)?|dolly|tracking|aerial|drone|zoom\w*|crane|pov|point of view|overhead|handheld|camera|lens|depth of field|bokeh)\b/i },
+        { key: 'ambiance', severity: 'info', label: 'ambiance (light, colour, mood)', params: ['lighting'],
+          pattern: /\b(?:light\w*|glow\w*|tones?|hues?|mood\w*|atmospher\w*|mist\w*|fog\w*|haze|hazy|neon|shadow\w*|sunlight|moonlight|golden hour|colou?r\w*|palette|vibrant|muted|dim)\b/i }
+    ];
+    // Pairs of camera terms that can't both describe one shot
+    const LINT_CAMERA_CONFLICTS = [
+        [/\bstatic (?:shot|camera)\b|\blocked[- ]off\b/i, /\btracking shot\b|\bdolly(?:ing)? (?:in|out)\b|\bcrane shot\b|\bhandheld\b|\bwhip pan\b|\bpans? (?:left|right|across)\b|\bzoom(?:s|ing)? (?:in|out)\b/i],
+        [/\bslow[- ]motion\b/i, /\btime[- ]lapse\b/i],
+        [/\bextreme close-up\b|\bmacro shot\b/i, /\bextreme wide shot\b|\bestablishing shot\b/i],
+        [/\boverhead\b|\bbird's[- ]eye\b|\btop-down\b/i, /\bworm's[- ]eye\b|\blow[- ]angle\b/i]
+    ];
+
+    // Cleans up the punctuation and spacing left behind when a phrase is cut out
+    function tidyPromptText(text) {
+        return text.replace(/[ \t]{2,}/g, ' ').replace(/\s+([,.;:!?])/g, '$1').replace(/([,;:])(?:\s*[,;:])+/g, '$1')
+            .replace(/,\s*\./g, '.').replace(/^\s*[,;:.]\s*/, '').trim();
+    }
+
+    function removeTextRange(text, [start, end]) {
+        return tidyPromptText(text.slice(0, start) + text.slice(end));
+    }
+
+    function countWords(text) {
+        return (text.match(/\S+/g) || []).length;
+    }
+
+    // Cuts at the last sentence end within the limit, or at the limit itself if there is none
+    function trimToWordLimit(text, maxWords) {
+        const words = text.match(/\S+\s*/g) || [];
+        const kept = words.slice(0, maxWords).join('').trim();
+        const lastSentenceEnd = Math.max(kept.lastIndexOf('. '), kept.lastIndexOf('! '), kept.lastIndexOf('? '), /[.!?]$/.test(kept) ? kept.length - 1 : -1);
+        return lastSentenceEnd > kept.length / 2 ? kept.slice(0, lastSentenceEnd + 1) : `${kept.replace(/[,;:]$/, '')}.`;
+    }
+
+    function lintPrompt(text, params = {}) {
+        const findings = [];
+        if (!text || !text.trim()) return findings;
+
+        for (const match of text.matchAll(LINT_NEGATION_REGEX)) {
+            const negationEnd = match.index + match[0].length;
+            const end = findNegatedPhraseEnd(text, negationEnd);
+            if (end === negationEnd) continue; // Nothing nameable is negated (e.g. "does not move")
+            const phrase = text.slice(match.index, end).trim();
+            const keyword = text.slice(negationEnd, end).trim().replace(/^(?:(?:any|the|a|an)\s+)+/i, '');
+            const range = [match.index, end];
+            const fix = canRemoveNegatedPhrase(text, match, end)
+                ? { label: `Remove "${phrase}"`, apply: t => removeTextRange(t, range), negativeKeyword: keyword || null }
+                : { label: `Move "${keyword}" to negative keywords`, apply: t => t, negativeKeyword: keyword, keepsText: true };
+            findings.push({
+                ruleId: 'negation', severity: 'warning', range,
+                message: `"${phrase}" is an instructive negation; describe what should be there instead.`,
+                fixes: [fix]
+            });
+        }
+
+        LINT_CAMERA_CONFLICTS.forEach(([patternA, patternB]) => {
+            const a = patternA.exec(text);
+            const b = patternB.exec(text);
+            if (!a || !b) return;
+            const rangeA = [a.index, a.index + a[0].length];
+            const rangeB = [b.index, b.index + b[0].length];
+            findings.push({
+                ruleId: 'cameraConflict', severity: 'warning', range: rangeA,
+                message: `"${a[0]}" contradicts "${b[0]}" in the same shot.`,
+                fixes: [
+                    { label: `Drop "${a[0]}"`, apply: t => removeTextRange(t, rangeA) },
+                    { label: `Drop "${b[0]}"`, apply: t => removeTextRange(t, rangeB) }
+                ]
+            });
+        });
+
+        LINT_METHODOLOGY_ELEMENTS.forEach(element => {
+            const elementParams = element.params || [];
+            if (element.pattern.test(text) || elementParams.some(key => params[key])) return;
+            // On prompt cards the settings aren't implied, so offer to write the current one in
+            const settingValue = elementParams.map(key => state.promptParams[key]).find(Boolean);
+            const phrase = settingValue && (element.phrase ? element.phrase(settingValue) : settingValue);
+            findings.push({
+                ruleId: `missing-${element.key}`, severity: element.severity,
+                message: `No ${element.label} described.`,
+                fixes: phrase ? [{ label: `Add "${phrase}"`, apply: t => `${t.trim().replace(/[.!?]?$/, '.')} ${phrase}.` }] : []
+            });
+        });
+
+        const wordCount = countWords(text);
+        if (wordCount > LINT_MAX_WORDS) {
+            findings.push({
+                ruleId: 'tooLong', severity: 'warning',
+                message: `${wordCount} words; keep prompts under ${LINT_MAX_WORDS}.`,
+                fixes: [{ label: `Trim to ${LINT_MAX_WORDS} words`, apply: t => trimToWordLimit(t, LINT_MAX_WORDS) }]
+            });
+        }
+        return findings;
+    }
+
+    // Checks the negation rule against LINT_NEGATION_EXAMPLES; results go to the console like runMockRegression
+    function runLintRegression() {
+        const rows = LINT_NEGATION_EXAMPLES.map(example => {
+            const finding = lintPrompt(example.text).find(f => f.ruleId === 'negation');
+            const fix = finding?.fixes[0];
+            const actual = finding
+                ? { flagged: example.text.slice(...finding.range).trim(), keyword: fix.negativeKeyword, fix: fix.keepsText ? 'move' : 'remove', result: fix.apply(example.text) }
+                : { flagged: null, keyword: null, fix: null, result: example.text };
+            const ok = ['flagged', 'keyword', 'fix', 'result'].every(key => actual[key] === example[key]);
+            return { text: example.text, ok, detail: ok ? 'as expected' : JSON.stringify(actual) };
+        });
+        const failures = rows.filter(r => !r.ok);
+        console.table(rows);
+        console.log(`[VideoFX Artisan] Lint regression: ${rows.length - failures.length}/${rows.length} examples passed.`);
+        return { passed: rows.length - failures.length, failed: failures.length, rows };
+    }
+
+    // Prompt text with flagged ranges underlined; overlapping ranges keep the first
+    function renderLintedTextHTML(text, findings) {
+        const ranges = findings.filter(f => f.range).sort((x, y) => x.range[0] - y.range[0]);
+        let html = '';
+        let cursor = 0;
+        ranges.forEach(finding => {
+            const [start, end] = finding.range;
+            if (start < cursor) return;
+            html += `${sanitizeHTML(text.slice(cursor, start))}<span class="vpa-lint-flag" title="${sanitizeHTML(finding.message)}">${sanitizeHTML(text.slice(start, end))}</span>`;
+            cursor = end;
+        });
+        return html + sanitizeHTML(text.slice(cursor));
+    }
+
+    // With moveNegations, negation fixes also carry the negated words over to the negative keywords
+    function renderLintFindingsHTML(findings, buttonAttrs, moveNegations = false) {
+        if (findings.length === 0) return '';
+        return `
+            <ul class="space-y-1 text-xs">
+                ${findings.map((finding, findingIndex) => `
+                    <li class="flex flex-wrap items-center gap-2">
+                        <span class="${finding.severity === 'warning' ? 'text-yellow-400' : 'vpa-text-faint'}">${createIconSpanHTML(finding.severity === 'warning' ? "warning" : "info", "default", "w-4 h-4")}</span>
+                        <span class="vpa-text-subdued">${sanitizeHTML(finding.message)}</span>
+                        ${finding.fixes.map((fix, fixIndex) => fix.keepsText && !moveNegations ? '' : `<button ${buttonAttrs} data-finding-index="${findingIndex}" data-fix-index="${fixIndex}" class="lint-fix-btn text-xs studio-button-secondary">${sanitizeHTML(moveNegations && fix.negativeKeyword ? `Move "${fix.negativeKeyword}" to negative keywords` : fix.label)}</button>`).join('')}
+                    </li>`).join('')}
+            </ul>`;
+    }
+    // --- END: Prompt Linter ---
+
+    // --- START: Audio Track ---
+    // A prompt's audio section (everything after its last "Audio:") as structured lanes. compileAudioTrack writes
+    // one fixed syntax and parseAudioTrack reads it back, e.g.
+    //   Audio: Dialogue: Maya (whispering, at 2s): "They're close."; Jonah: "Run!" SFX: door slams (at 4s). Music: low cello drone.
+    // Free-text audio written before this syntax existed parses into the Ambience lane so it is never lost.
+    // level is the lowest AUDIO_LEVELS key that allows the lane's sounds
+    const AUDIO_TRACK_LANES = [
+        { key: 'dialogue', label: 'Dialogue', aliases: ['dialogue', 'speech'], level: 'dialogue', placeholder: 'What is said' },
+        { key: 'sfx', label: 'SFX', aliases: ['sfx', 'sound effects'], level: 'sfx', placeholder: 'e.g., a door creaks open' },
+        { key: 'ambience', label: 'Ambience', aliases: ['ambience', 'ambient noise', 'ambient'], level: 'ambient', placeholder: 'e.g., rain on a tin roof' },
+        { key: 'music', label: 'Music', aliases: ['music', 'score'], level: 'music', placeholder: 'e.g., low cello drone, building' }
+    ];
+    const AUDIO_TRACK_DEFAULT_SPEAKER = 'Voice';
+    const AUDIO_SECTION_REGEX = /(^|\s)Audio:\s*/gi;
+    // A lane label only counts at the start of the audio or of a sentence, so "the score: 3-1" stays text
+    const AUDIO_LANE_LABEL_REGEX = new RegExp(`(?<=^|[.!?"]\\s*)(${AUDIO_TRACK_LANES.flatMap(lane => lane.aliases).sort((a, b) => b.length - a.length).join('|')})\\s*:\\s*`, 'gi');
+    // A cue's "at ..." note is its timing only when a time follows (e.g. "at 0:03", "at 2s"); "at a distance" is delivery
+    const AUDIO_TIMING_NOTE_REGEX = /^at\s+(?=\d)/i;
+    // Free-text audio ideas (e.g. from Theme Explorer) go to the first lane whose wording they match, else Ambience
+    const AUDIO_IDEA_LANE_PATTERNS = [
+        { laneKey: 'dialogue', pattern: /^\s*(?:dialogue|speech)\s*:|"|\b(?:says|said|whispers?|shouts?|yells?|asks?|mutters?|monolog(?:ue)?|narrat(?:or|ion)|voice-?over)\b/i },
+        { laneKey: 'music', pattern: /\b(?:music(?:al)?|score|soundtrack|melod(?:y|ies|ic)|songs?|tune|orchestr(?:a|al)|piano|strings|cello|violin|guitar|synths?|choir|drums?|percussion|beat)\b/i },
+        { laneKey: 'sfx', pattern: /\b(?:sfx|sound effects?|footsteps?|creak(?:s|ing)?|thuds?|bangs?|clang(?:s|ing)?|slam(?:s|ming)?|crash(?:es|ing)?|clicks?|knock(?:s|ing)?|whoosh(?:es)?|beeps?|splash(?:es)?|snaps?|explosions?|gunshots?|clatter(?:s|ing)?|screech(?:es|ing)?|chimes?|cracks?)\b/i }
+    ];
+
+    function createAudioTrackItem(laneKey) {
+        return laneKey === 'dialogue' ? { speaker: '', delivery: '', timing: '', line: '' } : { text: '', timing: '' };
+    }
+
+    function createEmptyAudioTrack() {
+        return Object.fromEntries(AUDIO_TRACK_LANES.map(lane => [lane.key, []]));
+    }
+
+    function countAudioTrackItems(track) {
+        return AUDIO_TRACK_LANES.reduce((total, lane) => total + track[lane.key].length, 0);
+    }
+
+    // Quote marks before the index are odd inside a dialogue line, so labels and separators there are ignored
+    function isInsideQuotes(text, index) {
+        return (text.slice(0, index).match(/"/g) || []).length % 2 === 1;
+    }
+
+    function splitAudioSection(text) {
+        const value = String(text || '');
+        const match = [...value.matchAll(AUDIO_SECTION_REGEX)].pop();
+        if (!match) return { body: value.trim(), audio: '' };
+        return { body: value.slice(0, match.index).trim(), audio: value.slice(match.index + match[0].length).trim() };
+    }
+
+    // Clause breaks in free-text audio: commas, semicolons and sentence ends
+    function isAudioClauseBreak(text, index) {
+        return /[;,]/.test(text[index]) || (text[index] === '.' && !/\S/.test(text[index + 1] || ''));
+    }
+
+    function splitAudioItems(laneText, isSeparator = (text, index) => text[index] === ';') {
+        const items = [];
+        let start = 0;
+        for (let i = 0; i < laneText.length; i++) {
+            if (isSeparator(laneText, i) && !isInsideQuotes(laneText, i)) {
+                items.push(laneText.slice(start, i));
+                start = i + 1;
+            }
+        }
+        items.push(laneText.slice(start));
+        return items.map(item => item.trim()).filter(Boolean);
+    }
+
+    // Speaker (delivery, at timing): "line" — every part but the speaker is optional
+    function parseDialogueItem(item) {
+        const match = item.match(/^([^("]*?)\s*(?:\(([^)]*)\))?\s*:?\s*(?:"([\s\S]*)")?$/);
+        if (!match) return { ...createAudioTrackItem('dialogue'), line: item.replace(/"/g, '') };
+        const notes = (match[2] || '').split(',').map(part => part.trim()).filter(Boolean);
+        const timing = notes.find(part => AUDIO_TIMING_NOTE_REGEX.test(part));
+        return {
+            speaker: match[1].trim() === AUDIO_TRACK_DEFAULT_SPEAKER ? '' : match[1].trim(),
+            delivery: notes.filter(part => part !== timing).join(', '),
+            timing: timing ? timing.replace(AUDIO_TIMING_NOTE_REGEX, '') : '',
+            line: match[3] || ''
+        };
+    }
+
+    function parseCueItem(item) {
+        const match = item.match(/^([\s\S]*?)\s*\(at\s+(\d[^)]*)\)$/i);
+        return match ? { text: match[1], timing: match[2].trim() } : { text: item, timing: '' };
+    }
+
+    function parseAudioTrack(audioText) {
+        const track = createEmptyAudioTrack();
+        const text = String(audioText || '').trim();
+        const labels = [...text.matchAll(AUDIO_LANE_LABEL_REGEX)].filter(match => !isInsideQuotes(text, match.index));
+        const segments = [{ laneKey: 'ambience', start: 0, end: labels[0]?.index ?? text.length }];
+        labels.forEach((match, i) => {
+            const alias = match[1].toLowerCase();
+            segments.push({
+                laneKey: AUDIO_TRACK_LANES.find(lane => lane.aliases.includes(alias)).key,
+                start: match.index + match[0].length,
+                end: labels[i + 1]?.index ?? text.length
+            });
+        });
+        segments.forEach(({ laneKey, start, end }) => {
+            const laneText = text.slice(start, end).trim().replace(/\.+$/, '');
+            splitAudioItems(laneText).forEach(item => {
+                track[laneKey].push(laneKey === 'dialogue' ? parseDialogueItem(item) : parseCueItem(item));
+            });
+        });
+        return track;
+    }
+
+    // Semicolons separate items and straight quotes delimit dialogue, so both are swapped out of free text
+    function cleanAudioText(value) {
+        return String(value || '').replace(/;/g, ',').replace(/\s+/g, ' ').trim();
+    }
+
+    function compileDialogueItem(item) {
+        const line = String(item.line || '').replace(/\s+/g, ' ').trim().replace(/"/g, "'"); // Semicolons are safe inside quotes
+        const notes = [cleanAudioText(item.delivery).replace(/[()]/g, ''), item.timing && `at ${cleanAudioText(item.timing).replace(/[()]/g, '')}`].filter(Boolean);
+        return `${cleanAudioText(item.speaker).replace(/[():"]/g, '') || AUDIO_TRACK_DEFAULT_SPEAKER}${notes.length ? ` (${notes.join(', ')})` : ''}${line ? `: "${line}"` : ''}`;
+    }
+
+    function compileCueItem(item) {
+        const text = cleanAudioText(item.text).replace(/"/g, "'").replace(/\.+$/, '');
+        return `${text}${item.timing ? ` (at ${cleanAudioText(item.timing).replace(/[()]/g, '')})` : ''}`;
+    }
+
+    function getAudioIdeaLaneKey(ideaText) {
+        return AUDIO_IDEA_LANE_PATTERNS.find(({ pattern }) => pattern.test(ideaText))?.laneKey || 'ambience';
+    }
+
+    function createAudioIdeaItem(laneKey, ideaText) {
+        return laneKey === 'dialogue' ? parseDialogueItem(ideaText.replace(/^\s*(?:dialogue|speech)\s*:\s*/i, '')) : parseCueItem(ideaText);
+    }
+
+    function isAudioLaneAllowed(laneKey, params) {
+        return isAudioLevelAtLeast(params, AUDIO_TRACK_LANES.find(lane => lane.key === laneKey).level);
+    }
+
+    // Audio from an AI result, keeping only the lanes the audio level allows. Free text with no lane labels (e.g. a
+    // shot's audio_description) is sorted into lanes clause by clause first, so speech or music in it is dropped too.
+    function getAudioTrackForLevel(audioText, params) {
+        const text = String(audioText || '').trim();
+        const hasLanes = [...text.matchAll(AUDIO_LANE_LABEL_REGEX)].length > 0;
+        const track = hasLanes ? parseAudioTrack(text) : createEmptyAudioTrack();
+        if (!hasLanes) {
+            splitAudioItems(text, isAudioClauseBreak).forEach(clause => {
+                const laneKey = getAudioIdeaLaneKey(clause);
+                track[laneKey].push(createAudioIdeaItem(laneKey, clause));
+            });
+        }
+        AUDIO_TRACK_LANES.forEach(lane => {
+            if (!isAudioLaneAllowed(lane.key, params)) track[lane.key] = [];
+        });
+        return track;
+    }
+
+    function isBlankAudioTrackItem(item) {
+        return Object.values(item).every(value => !String(value || '').trim());
+    }
+
+    // Returns '' for a track with no cues, so applying it removes the audio section
+    function compileAudioTrack(track) {
+        const lanes = AUDIO_TRACK_LANES.map(lane => {
+            const items = (track[lane.key] || []).filter(item => !isBlankAudioTrackItem(item) && (lane.key === 'dialogue' || cleanAudioText(item.text)))
+                .map(item => lane.key === 'dialogue' ? compileDialogueItem(item) : compileCueItem(item));
+            if (items.length === 0) return '';
+            const laneText = `${lane.label}: ${items.join('; ')}`;
+            return /[.!?"]$/.test(laneText) ? laneText : `${laneText}.`;
+        }).filter(Boolean);
+        return lanes.length ? `Audio: ${lanes.join(' ')}` : '';
+    }
+
+    // Replaces the text's audio section with the compiled track
+    function applyAudioTrack(text, track) {
+        const compiled = compileAudioTrack(track);
+        const { body } = splitAudioSection(text);
+        if (!compiled || !body) return body || compiled;
+        return `${/[.!?]$/.test(body) ? body : `${body}.`} ${compiled}`;
+    }
+
+    // Lanes whose cues differ from the track the editor opened with; blank rows the user added don't count
+    function getEditedAudioLanes(track, originalTrack) {
+        const laneCues = (source, laneKey) => JSON.stringify(source[laneKey].filter(item => !isBlankAudioTrackItem(item)));
+        return AUDIO_TRACK_LANES.map(lane => lane.key).filter(laneKey => laneCues(track, laneKey) !== laneCues(originalTrack, laneKey));
+    }
+
+    // Replaces only the given lanes of the text's own audio, keeping its other lanes
+    function mergeAudioTrackLanes(text, track, laneKeys) {
+        const merged = parseAudioTrack(splitAudioSection(text).audio);
+        laneKeys.forEach(laneKey => { merged[laneKey] = track[laneKey]; });
+        return applyAudioTrack(text, merged);
+    }
+
+    function addAudioTrackItem(text, laneKey, item) {
+        const track = parseAudioTrack(splitAudioSection(text).audio);
+        track[laneKey].push({ ...createAudioTrackItem(laneKey), ...item });
+        return applyAudioTrack(text, track);
+    }
+    // --- END: Audio Track ---
+
+    // --- START: Preamble Overrides ---
+    // User-edited replacements for PREAMBLE_CONFIG templates, per action and audio variant. Override text uses
+    // {{name}} placeholders for the template's arguments (see getPreambleArgs). Every save adds a version;
+    // activeVersion null means the built-in template is used.
+    const PREAMBLE_MAX_VERSIONS = 20;
+    const PREAMBLE_VARIANT_LABELS = { audioOff: 'Audio off', audioOn: 'Audio on (any level)' };
+    const PREAMBLE_EXPORT_FORMAT = 'vfx-artisan-preamble-overrides';
+    // Placeholders every override can use besides its action's own arguments
+    const PREAMBLE_SHARED_ARG_NAMES = ['audioLevel', 'audioInstruction'];
+
+    // Named arguments for an action's preamble template, in parameter order. All values are plain text or
+    // numbers so they can fill {{name}} placeholders in an override.
+    function getPreambleArgs(apiActionKey, promptText, params, featureSpecificData) {
+        switch (apiActionKey) {
+            case 'mainPromptGen': {
+                const numPrompts = params.numberOfPrompts || 1;
+                return { numPrompts, multiplePromptsNote: getMultiplePromptsNote(numPrompts), additionalPromptExamples: getAdditionalPromptExamples(numPrompts) };
+            }
+            case 'promptCritique': return { promptToCritique: featureSpecificData.promptToCritique };
+            case 'themeExplorer': return { theme: featureSpecificData.theme };
+            case 'promptElaboration': return { originalPrompt: featureSpecificData.originalPrompt };
+            case 'shotSequenceGen': return { originalPrompt: featureSpecificData.originalPrompt };
+            case 'charDetailGen': return { characterConcept: featureSpecificData.characterConcept };
+            case 'styleTransfer': return { originalPrompt: featureSpecificData.originalPrompt, targetStyle: featureSpecificData.targetStyle };
+            case 'storyboardGen': return { concept: featureSpecificData.concept };
+            case 'inferVisualParams': return { description: promptText, imageProvided: !!params.imageB64, conceptText: getInferConceptText(promptText, !!params.imageB64) };
+            case 'continuityCheck': return { shots: formatShots(featureSpecificData.shots || []) };
+            case 'clipSegmentation': return { concept: featureSpecificData.concept, clipSeconds: featureSpecificData.clipSeconds, clipCount: featureSpecificData.clipCount };
+            default: return {};
+        }
+    }
+
+    // mainPromptGen's passages that depend on the prompt count are arguments of their own, so the built-in text
+    // loaded into the editor keeps them as placeholders and an override gets them filled for each request
+    function getMultiplePromptsNote(numPrompts) {
+        return numPrompts > 1 ? '(which you are)' : '(as you are generating one)';
+    }
+
+    function getAdditionalPromptExamples(numPrompts) {
+        return [
+            numPrompts > 1 ? ',{\n    "prompt_text": "A second, distinct Veo 2 prompt, perhaps varying the level of detail, focusing on a different aspect of the scene, or offering an alternative creative interpretation based on the user\\\'s input and any provided image."\n  }' : '',
+            numPrompts > 2 ? ',{\n    "prompt_text": "A third, distinct Veo 2 prompt, offering another unique angle or elaboration."\n  }' : '',
+            numPrompts > 3 ? ',{\n    "prompt_text": "A fourth distinct prompt..."\n  }' : '',
+            numPrompts > 4 ? ',{\n    "prompt_text": "And a fifth distinct prompt if requested."\n  }' : ''
+        ].join('\n  ');
+    }
+
+    // inferVisualParams names the concept as the description, falling back to the image when there is no text
+    function getInferConceptText(description, imageProvided) {
+        return description || (imageProvided ? "See image." : "Generic.");
+    }
+
+    function getPreambleArgNames(apiActionKey) {
+        return Object.keys(getPreambleArgs(apiActionKey, '', {}, {}));
+    }
+
+    function getPreambleVariantKey(audioLevel) {
+        return audioLevel === 'off' ? 'audioOff' : 'audioOn';
+    }
+
+    // The audioOn preambles ask for every kind of audio; the level's instruction comes last and narrows that down
+    function appendAudioLevelInstruction(preamble, audioLevel) {
+        const { instruction } = AUDIO_LEVELS[audioLevel];
+        return instruction ? `${preamble}\n\n**Audio Level (takes precedence over any audio guidance above):** ${instruction}` : preamble;
+    }
+
+    function getBuiltInPreambleTemplate(apiActionKey, variantKey) {
+        const config = PREAMBLE_CONFIG[apiActionKey];
+        if (typeof config === 'function') return config;
+        return config?.[variantKey] || config?.audioOff || null;
+    }
+
+    // The built-in text with each argument left as its {{name}} placeholder, as a starting point for an override.
+    // Passages that vary with an argument are arguments themselves (see getMultiplePromptsNote, getInferConceptText).
+    function getBuiltInPreambleText(apiActionKey, variantKey) {
+        const template = getBuiltInPreambleTemplate(apiActionKey, variantKey);
+        return template ? template(...getPreambleArgNames(apiActionKey).map(name => `{{${name}}}`)) : '';
+    }
+
+    function loadPreambleOverrides() {
+        return loadStoredJSON(PREAMBLE_OVERRIDES_STORAGE_KEY, {});
+    }
+
+    function savePreambleOverrides() {
+        saveStoredJSON(PREAMBLE_OVERRIDES_STORAGE_KEY, state.preambleOverrides);
+    }
+
+    function getPreambleOverride(apiActionKey, variantKey) {
+        return state.preambleOverrides[apiActionKey]?.[variantKey] || null;
+    }
+
+    function getActivePreambleOverrideText(apiActionKey, variantKey) {
+        const override = getPreambleOverride(apiActionKey, variantKey);
+        return override && override.activeVersion !== null ? override.versions[override.activeVersion]?.text ?? null : null;
+    }
+
+    function savePreambleOverrideVersion(apiActionKey, variantKey, text) {
+        const override = getPreambleOverride(apiActionKey, variantKey) || { versions: [], activeVersion: null };
+        override.versions.push({ text, savedAt: Date.now() });
+        override.versions = override.versions.slice(-PREAMBLE_MAX_VERSIONS);
+        override.activeVersion = override.versions.length - 1;
+        state.preambleOverrides[apiActionKey] = { ...state.preambleOverrides[apiActionKey], [variantKey]: override };
+        savePreambleOverrides();
+    }
+
+    // versionIndex null switches back to the built-in template; the version history is kept
+    function setActivePreambleVersion(apiActionKey, variantKey, versionIndex) {
+        const override = getPreambleOverride(apiActionKey, variantKey);
+        if (!override) return;
+        override.activeVersion = versionIndex;
+        savePreambleOverrides();
+    }
+
+    function formatPreambleArg(value) {
+        if (value === undefined || value === null) return '';
+        if (typeof value === 'boolean') return value ? 'yes' : 'no';
+        return String(value);
+    }
+
+    // The preamble for one request: the active override with its placeholders filled, else the built-in template.
+    // An override that places {{audioInstruction}} itself does not get the level instruction appended.
+    function buildPreamble(apiActionKey, audioLevel, promptText, params, featureSpecificData) {
+        const variantKey = getPreambleVariantKey(audioLevel);
+        const args = getPreambleArgs(apiActionKey, promptText, params, featureSpecificData);
+        const overrideText = getActivePreambleOverrideText(apiActionKey, variantKey);
+        if (overrideText !== null) {
+            const values = Object.fromEntries(Object.entries(args).map(([name, value]) => [name, formatPreambleArg(value)]));
+            const filled = fillTemplate(overrideText, { ...values, audioLevel: AUDIO_LEVELS[audioLevel].label, audioInstruction: AUDIO_LEVELS[audioLevel].instruction });
+            return getTemplateVariables(overrideText).includes('audioInstruction') ? filled : appendAudioLevelInstruction(filled, audioLevel);
+        }
+        const template = getBuiltInPreambleTemplate(apiActionKey, variantKey);
+        if (!template) {
+            console.error(`No preamble configured for action: ${apiActionKey}`);
+            throw new Error(`No preamble configured for action: ${apiActionKey}`);
+        }
+        return appendAudioLevelInstruction(template(...Object.values(args)), audioLevel);
+    }
+
+    function getPreambleOverridesExport() {
+        return JSON.stringify({ format: PREAMBLE_EXPORT_FORMAT, exportedAt: new Date().toISOString(), overrides: state.preambleOverrides }, null, 2);
+    }
+
+    // Merges a shared export: imported versions are appended (skipping texts already present) and become active.
+    // Returns the number of action variants that changed.
+    function importPreambleOverrides(text) {
+        const parsed = JSON.parse(text);
+        if (parsed?.format !== PREAMBLE_EXPORT_FORMAT || !parsed.overrides || typeof parsed.overrides !== 'object') {
+            throw new Error('[Preamble Error P1] This file is not a preamble overrides export.');
+        }
+        let changedCount = 0;
+        Object.entries(parsed.overrides).forEach(([apiActionKey, variants]) => {
+            if (!PREAMBLE_CONFIG[apiActionKey] || !variants || typeof variants !== 'object') return;
+            Object.keys(PREAMBLE_VARIANT_LABELS).forEach(variantKey => {
+                const imported = variants[variantKey];
+                const versions = Array.isArray(imported?.versions) ? imported.versions.filter(v => v && typeof v.text === 'string') : [];
+                if (versions.length === 0) return;
+                const override = getPreambleOverride(apiActionKey, variantKey) || { versions: [], activeVersion: null };
+                versions.forEach(version => {
+                    if (!override.versions.some(existing => existing.text === version.text)) override.versions.push({ text: version.text, savedAt: version.savedAt || Date.now() });
+                });
+                override.versions = override.versions.slice(-PREAMBLE_MAX_VERSIONS);
+                const activeText = Number.isInteger(imported.activeVersion) ? imported.versions[imported.activeVersion]?.text : null;
+                const activeIndex = override.versions.findIndex(v => v.text === activeText);
+                override.activeVersion = activeIndex >= 0 ? activeIndex : override.activeVersion;
+                state.preambleOverrides[apiActionKey] = { ...state.preambleOverrides[apiActionKey], [variantKey]: override };
+                changedCount++;
+            });
+        });
+        savePreambleOverrides();
+        return changedCount;
+    }
+    // --- END: Preamble Overrides ---
+
+    // --- START: API Interaction Logic ---
+    // Display names for action keys (history filters, logs)
+    const ACTION_DISPLAY_NAMES = {
+        mainPromptGen: 'Prompt Generator',
+        sceneExtender: 'Scene Extender',
+        promptCritique: 'Critique',
+        themeExplorer: 'Theme Explorer',
+        promptElaboration: 'Elaborate',
+        shotSequenceGen: 'Shot Sequence',
+        charDetailGen: 'Character Details',
+        styleTransfer: 'Style Transfer',
+        storyboardGen: 'Storyboard',
+        inferVisualParams: 'Infer Settings',
+        surpriseMe: 'Surprise Me',
+        continuityCheck: 'Continuity Check',
+        clipSegmentation: 'Clip Segmentation',
+    };
+
+    // Label for the primary input line of each action's user content.
+    const USER_CONTENT_PRIMARY_LABELS = {
+        mainPromptGen: 'Core Concept/Input',
+        sceneExtender: 'Scene Change Request',
+        promptCritique: 'Prompt to Critique',
+        themeExplorer: 'Theme',
+        promptElaboration: 'Prompt to Elaborate',
+        shotSequenceGen: 'Current Shot Prompt',
+        charDetailGen: 'Character Concept',
+        styleTransfer: 'Prompt to Restyle',
+        storyboardGen: 'Storyboard Concept',
+        inferVisualParams: 'Concept to Analyze',
+        surpriseMe: 'Request',
+        continuityCheck: 'Shots to Check',
+        clipSegmentation: 'Scene to Segment',
+    };
+
+    // Optional prompt parameters, in the order they are listed for the model.
+    const USER_CONTENT_PARAM_FIELDS = [
+        { key: 'style', label: 'Desired Visual Style' },
+        { key: 'aspectRatio', label: 'Aspect Ratio' },
+        { key: 'cameraAngle', label: 'Camera Angle' },
+        { key: 'cameraMovement', label: 'Camera Movement' },
+        { key: 'lighting', label: 'Lighting' },
+        { key: 'durationHint', label: 'Duration Hint' },
+        { key: 'negativePrompt', label: 'Negative Keywords (Avoid)' },
+    ];
+
+    function buildUserContentString(apiActionKey, promptText, params = {}, featureSpecificData = {}) {
+        const primaryLabel = featureSpecificData.chainDirection ? 'Previous Scene' : (USER_CONTENT_PRIMARY_LABELS[apiActionKey] || 'Input');
+        const primaryText = promptText && String(promptText).trim()
+            ? String(promptText).trim()
+            : (params.imageB64 ? "(See image reference)" : "(No textual description provided)");
+        const lines = [`${primaryLabel}: "${primaryText}"`];
+
+        if (params.imageB64) {
+            const imageName = state.uploadedImage?.name ? `${state.uploadedImage.name}, ` : '';
+            lines.push(`Image Reference: [Image Provided: ${imageName}Type: ${params.imageMimeType || 'unknown'}] - Visual style, subject, and mood should be heavily influenced by this image.`);
+        }
+        if (apiActionKey === 'styleTransfer' && featureSpecificData.targetStyle) {
+            lines.push(`Target Style: "${featureSpecificData.targetStyle}"`);
+        }
+        if (apiActionKey === 'sceneExtender' && featureSpecificData.chainDirection) {
+            lines.push(`Chain Link: ${featureSpecificData.chainLink}. Continue the action forward from where the previous scene ends; do not repeat it.`);
+            lines.push(`Overall Direction: "${featureSpecificData.chainDirection}"`);
+        }
+        const mentionedCharacters = findMentionedCharacters([promptText, ...Object.values(featureSpecificData)]);
+        if (mentionedCharacters.length > 0) {
+            lines.push('Characters (describe each @mentioned character exactly as below wherever they appear, so they look the same in every shot):');
+            mentionedCharacters.forEach(character => lines.push(`- @${character.handle} = ${describeCharacter(character, resolveAudioLevel(params) === 'dialogue')}`));
+        }
+        USER_CONTENT_PARAM_FIELDS.forEach(({ key, label }) => {
+            // The target style replaces the current style for style transfer.
+            if (key === 'style' && apiActionKey === 'styleTransfer') return;
+            // Segmentation sets its own per-clip length.
+            if (key === 'durationHint' && apiActionKey === 'clipSegmentation') return;
+            const value = params[key];
+            if (typeof value === 'string' && value.trim() !== '') {
+                lines.push(`${label}: "${value.trim()}"`);
+            }
+        });
+        if (apiActionKey === 'mainPromptGen' && params.numberOfPrompts) {
+            lines.push(`Number of Prompts: ${params.numberOfPrompts}`);
+        }
+        const audioLevel = resolveAudioLevel(params);
+        if (audioLevel !== 'off') {
+            lines.push(`Audio Level: ${AUDIO_LEVELS[audioLevel].label}`);
+        }
+        return lines.join('\n');
+    }
+
+    // Shared abort handle for requests started from the main overlay and modals.
+    let activeRequestController = null;
+
+    function getActiveRequestSignal() {
+        if (!activeRequestController) activeRequestController = new AbortController();
+        return activeRequestController.signal;
+    }
+
+    // --- Model providers ---
+    // Each provider turns a built request into an HTTP call and unwraps the raw response into
+    // { text } (model output still to be parsed) or { value } (an already-parsed final payload).
+    const ACTIONS_RETURNING_JSON = ['mainPromptGen', 'promptCritique', 'themeExplorer', 'promptElaboration', 'shotSequenceGen', 'charDetailGen', 'styleTransfer', 'storyboardGen', 'inferVisualParams', 'surpriseMe', 'continuityCheck', 'clipSegmentation'];
+
+    const MODEL_PROVIDERS = {
+        labsTrpc: {
+            label: 'labs.google VideoFX (tRPC)',
+            buildRequest: ({ preamble, userContent, params, candidateCount, sessionId }) => ({
+                url: API_ENDPOINT,
+                headers: { "Content-Type": "application/json" },
+                body: {
+                    json: {
+                        sessionId: sessionId,
+                        candidateCount: candidateCount,
+                        preamble: preamble,
+                        prompt: userContent,
+                        ...(params.imageB64 && {
+                            image: params.imageB64
+                        }),
+                    },
+                    signal: null
+                }
+            }),
+            extractOutput: (apiResponse, apiActionKey) => {
+                let geminiLayerApiResponse = apiResponse?.result?.data?.json;
+
+                if (geminiLayerApiResponse === undefined || geminiLayerApiResponse === null) {
+                    console.error(`[API Path Error A1] 'json' field missing in apiResponse.result.data for ${apiActionKey}. Response:`, apiResponse);
+                    throw new Error(`[API Path Error A1] API response structure unexpected ('json' field missing) for ${apiActionKey}.`);
+                }
+
+                let l1ParsedObject;
+                if (typeof geminiLayerApiResponse === 'string') {
+                    try {
+                        l1ParsedObject = JSON.parse(geminiLayerApiResponse);
+                    } catch (e) {
+                        if (apiActionKey === 'sceneExtender') {
+                            console.warn(`[API Structure Warning L1.DirectText] sceneExtender received non-JSON string in 'json' field. Assuming direct text for ${apiActionKey}.`);
+                            return { text: geminiLayerApiResponse }; // This string is the direct text output.
+                        }
+                        console.error(`[API Parse Error B1] Failed to parse 'json' field string for ${apiActionKey}. Raw:`, geminiLayerApiResponse.substring(0, 500), e);
+                        throw new Error(`[API Parse Error B1] API's 'json' field was a non-JSON string for ${apiActionKey}.`);
+                    }
+                } else if (typeof geminiLayerApiResponse === 'object') {
+                    l1ParsedObject = geminiLayerApiResponse; // Assume it's already the parsed Gemini layer or direct payload.
+                    console.warn(`[API Structure Warning L1.Object] 'json' field was an object, not string. Assuming parsed Gemini layer or direct payload for ${apiActionKey}.`);
+                } else {
+                    console.error(`[API Path Error A2] 'json' field has unexpected type for ${apiActionKey}. Type: ${typeof geminiLayerApiResponse}. Response:`, apiResponse);
+                    throw new Error(`[API Path Error A2] API's 'json' field had unexpected type for ${apiActionKey}.`);
+                }
+
+                // Now l1ParsedObject holds the content from apiResponse.result.data.json (parsed or as-is if object).
+                // It could be:
+                // 1. The Gemini structure: { result: { candidates: [...] } }
+                // 2. The direct final payload object: { concept: "..." } or [{ prompt_text: "..." }]
+                // 3. A string (e.g., for sceneExtender if data.json was "\"text\"" -> l1ParsedObject = "text")
+
+                if (apiActionKey === 'sceneExtender' && typeof l1ParsedObject === 'string') {
+                    console.warn(`[API Structure Warning L1.ParsedString] sceneExtender found string after parsing 'json' field. Using it for ${apiActionKey}.`);
+                    return { text: l1ParsedObject };
+                }
+
+                const l2PayloadString = l1ParsedObject?.result?.candidates?.[0]?.output;
+                if (typeof l2PayloadString === 'string') {
+                    return { text: l2PayloadString }; // Standard path: found Gemini output string in .output
+                }
+
+                // Gemini structure .result.candidates[0].output not found or not a string.
+                // This means l1ParsedObject itself MIGHT be the final payload.
+                // This handles cases where 'json' field contained the direct stringified final JSON (and was parsed into l1ParsedObject),
+                // or if 'json' field was an object that IS the final JSON payload.
+                if (typeof l1ParsedObject === 'object' && l1ParsedObject !== null && ACTIONS_RETURNING_JSON.includes(apiActionKey)) {
+                    console.warn(`[API Structure Warning L1.DirectPayload] Assuming L1 object IS the final payload for ${apiActionKey} as Gemini structure not found. L1 Object:`, l1ParsedObject);
+                    return { value: l1ParsedObject }; // Assume l1ParsedObject is the final response.
+                }
+
+                console.error(`[API Path Error C] L1 object missing Gemini structure AND not identifiable as direct payload for ${apiActionKey}. L1 Object:`, l1ParsedObject);
+                throw new Error(`[API Path Error C] API L1 JSON missing Gemini structure or recognizable direct payload for ${apiActionKey}.`);
+            }
+        },
+        openAiCompatible: {
+            label: 'OpenAI-compatible server (/v1/chat/completions)',
+            buildRequest: ({ preamble, userContent, params, settings, sessionId }) => {
+                const baseUrl = (settings.openAiBaseUrl || '').trim().replace(/\/+$/, '');
+                if (!baseUrl) throw new Error("No base URL configured for the OpenAI-compatible provider. Set one in Connection Settings.");
+                const userMessageContent = params.imageB64
+                    ? [
+                        { type: 'text', text: userContent },
+                        { type: 'image_url', image_url: { url: `data:${params.imageMimeType || 'image/png'};base64,${params.imageB64}` } }
+                    ]
+                    : userContent;
+                return {
+                    url: /\/v1$/.test(baseUrl) ? `${baseUrl}/chat/completions` : `${baseUrl}/v1/chat/completions`,
+                    headers: {
+                        "Content-Type": "application/json",
+                        ...(settings.openAiApiKey && { "Authorization": `Bearer ${settings.openAiApiKey}` })
+                    },
+                    body: {
+                        model: settings.openAiModel,
+                        user: sessionId, // Lets server-side logs group calls by session
+                        messages: [
+                            { role: 'system', content: preamble },
+                            { role: 'user', content: userMessageContent }
+                        ],
+                        stream: false
+                    }
+                };
+            },
+            extractOutput: (apiResponse, apiActionKey) => {
+                const content = apiResponse?.choices?.[0]?.message?.content;
+                if (typeof content === 'string') return { text: content };
+                if (Array.isArray(content)) { // Some servers return content parts
+                    return { text: content.map(part => (typeof part === 'string' ? part : part?.text || '')).join('') };
+                }
+                console.error(`[API Path Error O1] 'choices[0].message.content' missing for ${apiActionKey}. Response:`, apiResponse);
+                throw new Error(`[API Path Error O1] OpenAI-compatible response had no message content for ${apiActionKey}.`);
+            }
+        }
+    };
+
+    function getActiveProviderId() {
+        return MODEL_PROVIDERS[state.providerSettings.providerId] ? state.providerSettings.providerId : 'labsTrpc';
+    }
+
+    function getActiveProvider() {
+        return MODEL_PROVIDERS[getActiveProviderId()];
+    }
+
+    // Turns a provider output ({ text } or { value }) into the final result for an action.
+    function interpretModelOutput(output, apiActionKey) {
+        if ('value' in output) return output.value;
+        const rawText = output.text;
+        if (apiActionKey === 'sceneExtender') {
+            return rawText; // Plain text for sceneExtender
+        }
+        try {
+            let finalJsonToParse = rawText;
+            const fenceRegex = /^```(\w*)?\s*\n?(.*?)\n?\s*```$/s;
+            const match = finalJsonToParse.trim().match(fenceRegex);
+            if (match && match[2]) {
+                finalJsonToParse = match[2].trim();
+                console.warn(`[API Parse Warning L2.Fence] Stripped markdown fence from L2 payload for ${apiActionKey}.`);
+            }
+            return JSON.parse(finalJsonToParse);
+        } catch (e) {
+            console.error(`[API Parse Error D] Failed to parse L2 JSON string (from model output) for ${apiActionKey}. Raw L2 (after any fence strip):`, rawText.substring(0, 500), e);
+            throw new Error(`[API Parse Error D] The model output was not valid JSON for ${apiActionKey}.`);
+        }
+    }
+
+    function getRawModelOutputText(output) {
+        return 'value' in output ? JSON.stringify(output.value) : String(output.text);
+    }
+
+    // Parses a provider output and checks it against the action's responseSchema.
+    // Parse failures are reported as validation errors so they go through the same repair path.
+    function parseAndValidateModelOutput(output, apiActionKey) {
+        let result;
+        try {
+            result = interpretModelOutput(output, apiActionKey);
+        } catch (e) {
+            return { result: null, errors: [e.message] };
+        }
+        const schema = PREAMBLE_CONFIG[apiActionKey]?.responseSchema;
+        return { result, errors: schema ? validateAgainstSchema(result, schema) : [] };
+    }
+
+    const REPAIR_MAX_PREVIOUS_REPLY_CHARS = 4000;
+
+    function buildRepairUserContentString(originalUserContent, previousReply, errors) {
+        const truncatedReply = previousReply.length > REPAIR_MAX_PREVIOUS_REPLY_CHARS
+            ? `${previousReply.substring(0, REPAIR_MAX_PREVIOUS_REPLY_CHARS)}...[truncated]`
+            : previousReply;
+        return [
+            originalUserContent,
+            '',
+            'Your previous reply to this request did not match the required output format.',
+            'Previous reply:',
+            truncatedReply,
+            '',
+            'Validation errors:',
+            ...errors.map(err => `- ${err}`),
+            '',
+            'Reply again with ONLY the corrected output, in exactly the format your instructions require.'
+        ].join('\n');
+    }
+    // requestOptions: { signal, status } - signal defaults to the shared signal aborted by the Cancel buttons.
+    // status receives lastSentRequest and currentApiActionMessage; it defaults to state (the shared loader), and
+    // concurrent callers such as batch rows pass their own object so they don't overwrite each other.
+    async function callArtisanApiInternal(apiActionKey, promptText, params = {}, featureSpecificData = {}, requestOptions = {}) {
+        // A full parameter set (e.g. a stored chain link's) brings its own audio level; partial ones use the current one
+        const audioLevel = resolveAudioLevel('audioLevel' in params ? params : state.promptParams);
+        const status = requestOptions.status || state;
+        
+        // Enhanced logging for audio prompting debugging
+        console.log(`[VideoFX Artisan] API Call Debug:`, {
+            action: apiActionKey,
+            audioLevel: audioLevel,
+            promptText: promptText?.substring(0, 100) + '...',
+            paramsAudio: resolveAudioLevel(params)
+        });
+        
+        const preamble = buildPreamble(apiActionKey, audioLevel, promptText, params, featureSpecificData);
+
+        // A mentioned character's reference image stands in when no image was uploaded
+        if (!params.imageB64) {
+            const characterWithImage = findMentionedCharacters([promptText]).find(c => c.referenceImage);
+            if (characterWithImage) {
+                params = { ...params, imageB64: characterWithImage.referenceImage.b64, imageMimeType: characterWithImage.referenceImage.mimeType };
+            }
+        }
+
+        let currentCandidateCount = 1;
+        if (apiActionKey === 'mainPromptGen') {
+            currentCandidateCount = params.numberOfPrompts || 1;
+        }
+
+        const userContent = buildUserContentString(apiActionKey, promptText, params, featureSpecificData);
+        status.lastSentRequest = { actionKey: apiActionKey, userContent };
+        renderApp(); // Show the sent content in the active loader
+
+        const provider = getActiveProvider();
+        const requestModelOutput = async (contentToSend) => {
+            const request = provider.buildRequest({
+                preamble, userContent: contentToSend, params,
+                candidateCount: currentCandidateCount,
+                settings: state.providerSettings,
+                sessionId: getActiveSession().id
+            });
+            const apiResponse = await gmFetch({ // apiResponse is already a JS object if successful
+                method: "POST",
+                url: request.url,
+                headers: request.headers,
+                body: request.body,
+                responseType: 'json',
+                signal: requestOptions.signal || getActiveRequestSignal(),
+                mock: { actionKey: apiActionKey, providerId: getActiveProviderId() },
+                onRetry: (attempt, maxRetries, delayMs, error) => {
+                    status.currentApiActionMessage = `Server busy (${error.status}). Retrying ${attempt}/${maxRetries} in ${Math.ceil(delayMs / 1000)}s...`;
+                    renderApp();
+                }
+            });
+            return provider.extractOutput(apiResponse, apiActionKey);
+        };
+
+        try {
+            const output = await requestModelOutput(userContent);
+            const firstAttempt = parseAndValidateModelOutput(output, apiActionKey);
+            const acceptResult = (result) => {
+                recordSessionActivity(apiActionKey, promptText);
+                recordHistoryEntry(apiActionKey, promptText, params, result, featureSpecificData); // Fire-and-forget
+                return result;
+            };
+            if (firstAttempt.errors.length === 0) return acceptResult(firstAttempt.result);
+
+            // One repair round-trip: send the invalid reply and its validation errors back to the model
+            console.warn(`[API Schema Warning S0] Result for ${apiActionKey} failed validation; requesting repair.`, firstAttempt.errors);
+            const repairContent = buildRepairUserContentString(userContent, getRawModelOutputText(output), firstAttempt.errors);
+            status.currentApiActionMessage = "Response didn't match the expected format. Asking the model to repair it...";
+            status.lastSentRequest = { actionKey: apiActionKey, userContent: repairContent };
+            renderApp();
+
+            const repairAttempt = parseAndValidateModelOutput(await requestModelOutput(repairContent), apiActionKey);
+            if (repairAttempt.errors.length === 0) return acceptResult(repairAttempt.result);
+            console.error(`[API Schema Error S1] Repaired result for ${apiActionKey} still invalid:`, repairAttempt.errors);
+            throw new Error(`[API Schema Error S1] The model's reply for ${apiActionKey} did not match the expected format, even after a repair attempt: ${repairAttempt.errors.slice(0, 3).join('; ')}`);
+        } catch (error) {
+            if (isCancellationError(error)) throw error;
+            console.error(`[API Call Failed E] Error in callArtisanApiInternal for ${apiActionKey} (${provider.label}):`, error.message || error, error.stack);
+            throw (error instanceof Error ? error : new Error(String(error.message || "Unknown API call failure.")));
+        }
+    }
+    // --- END: API Interaction Logic ---
+
+
+    // --- START: UI Update and Rendering Functions ---
+    function showLoading(message) {
+        state.isLoading = true;
+        state.currentApiActionMessage = message || "Processing...";
+        state.lastSentRequest = null; // Filled in once the request is built
+        renderApp();
+    }
+
+    function hideLoading() {
+        state.isLoading = false;
+        renderApp();
+    }
+
+    // Aborts in-flight requests and rolls the main and modal loaders back.
+    function handleCancelRequest() {
+        if (activeRequestController) {
+            activeRequestController.abort();
+            activeRequestController = null;
+        }
+        state.isLoading = false;
+        state.lastSentRequest = null;
+        if (state.activeModal && state.activeModal.isLoading) {
+            // Modals that fetch on open have nothing to show without a result, so they close instead
+            const fetchesOnOpen = ['critique', 'elaborate', 'sequence', 'continuity'].includes(state.activeModal.type);
+            state.activeModal = fetchesOnOpen && !state.activeModal.result ? null : { ...state.activeModal, isLoading: false };
+        }
+        showTemporaryNotification("Request cancelled", 'warning');
+        renderApp();
+    }
+
+    function showError(message) {
+        state.errorMsg = message;
+        renderApp();
+    }
+
+    function clearError() {
+        state.errorMsg = null;
+        // No automatic renderApp here, let the caller decide if a full re-render is needed.
+    }
+
+    function openModal(type, data = {}) {
+        state.activeModal = { type, data, isLoading: false, error: null, result: null };
+        renderApp(); // Render the modal structure first
+        // Then trigger data fetching if needed, updating modal state
+        if (type === 'critique') handleCritiquePrompt(data.promptToCritique);
+        else if (type === 'elaborate') handleElaboratePrompt(data.promptToElaborate);
+        else if (type === 'sequence') handleSuggestSequence(data.basePrompt);
+        else if (type === 'history') loadHistoryPage(true);
+        else if (type === 'continuity') handleCheckContinuity();
+        else if (type === 'styleTransfer') {
+            state.activeModal.data.targetStyle = VEO_STYLES.filter(s => s)[0] || "Cinematic"; // Default target style
+            renderApp(); // Re-render if data changed
+        } else if (type === 'storyboard') {
+            state.activeModal.data.conceptInput = state.promptParams.description || "";
+            renderApp();
+        } else if (type === 'segment') {
+            state.activeModal.data = { conceptInput: state.promptParams.description || "", sceneSeconds: DEFAULT_SEGMENT_SCENE_SECONDS, clipSeconds: DEFAULT_SEGMENT_CLIP_SECONDS, ...data };
+            renderApp();
+        } else if (type === 'compare') {
+            state.activeModal.data = { description: state.promptParams.description || "", variants: getDefaultCompareVariants(), ...data };
+            renderApp();
+        } else if (type === 'visualize') {
+            // No immediate data fetching, just render
+            renderApp();
+        }
+    }
+
+    function closeModal() {
+        if (state.activeModal?.isLoading && activeRequestController) {
+            activeRequestController.abort(); // Nothing is left to show the result in
+            activeRequestController = null;
+        }
+        state.activeModal = null;
+        renderApp();
+    }
+
+    function updateModalState(newState) {
+        if (state.activeModal) {
+            if (newState.isLoading) state.lastSentRequest = null; // Filled in once the request is built
+            state.activeModal = { ...state.activeModal, ...newState };
+            renderApp();
+        }
+    }
+
+    function renderApp() {
+        if (!overlayContainer) return; // Should not happen after init
+
+        const mainContentArea = overlayContainer.querySelector('#vfx-artisan-main-content');
+        const currentWelcomeScreen = overlayContainer.querySelector('#vfx-artisan-welcome');
+        const currentPromptListContainer = overlayContainer.querySelector('#vfx-artisan-prompt-list');
 
 
         if (state.isLoading && (!state.activeModal || !state.activeModal.isLoading)) { // Main loading if no modal is actively loading
             mainContentArea.innerHTML = `<div class="flex flex-col items-center justify-center space-y-3 my-10" aria-live="polite" aria-busy="true">
                 ${createIconSpanHTML("Loader", "default", "h-10 w-10 text-purple-500")}
                 <p class="vpa-text-subdued text-sm">${sanitizeHTML(state.currentApiActionMessage)}</p>
+                ${renderActiveProjectBadgeHTML()}
+                ${renderSentContentHTML()}
+                <button id="vfx-cancel-request-btn" class="text-xs studio-button-secondary hover:bg-red-700 hover:border-red-600 inline-flex items-center" aria-label="Cancel request">
+                    ${createIconSpanHTML("close", "default", "w-4 h-4 mr-2")} Cancel
+                </button>
             </div>`;
+             mainContentArea.querySelector('#vfx-cancel-request-btn')?.addEventListener('click', handleCancelRequest);
              if(currentWelcomeScreen) currentWelcomeScreen.style.display = 'none';
              if(currentPromptListContainer) currentPromptListContainer.style.display = 'none';
         } else if (state.errorMsg && (!state.activeModal || !state.activeModal.error)) { // Main error if no modal has an error
@@ -1153,6 +3875,8 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
         // Update common elements
         mainTextarea.value = state.promptParams.description;
         mainTextarea.disabled = state.isLoading;
+        renderTemplatePanel();
+        renderInputLintPanel();
         generateButton.disabled = state.isLoading || ((!state.promptParams.description || !state.promptParams.description.trim()) && !state.uploadedImage);
         generateButton.innerHTML = state.isLoading && (!state.activeModal || !state.activeModal.isLoading) ?
             createIconSpanHTML("Loader", "default", "h-6 w-6 text-white") :
@@ -1164,6 +3888,8 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
         if (uploadImageButton) { // Ensure it exists
             uploadImageButton.disabled = state.isLoading || !!state.uploadedImage;
         }
+        if (footerUndoButton) footerUndoButton.disabled = state.isLoading || undoStack.length === 0;
+        if (footerRedoButton) footerRedoButton.disabled = state.isLoading || redoStack.length === 0;
 
         if (state.uploadedImage) {
             imagePreviewContainer.innerHTML = `
@@ -1183,6 +3909,17 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
             imagePreviewContainer.innerHTML = '';
         }
 
+        const projectSelectEl = overlayContainer.querySelector('#vfx-project-select');
+        if (projectSelectEl) {
+            const activeProjects = state.projects.filter(p => !p.archived).sort((a, b) => a.name.localeCompare(b.name));
+            projectSelectEl.innerHTML = activeProjects.map(p => `<option value="${p.id}" ${p.id === state.activeProject?.id ? 'selected' : ''}>${sanitizeHTML(p.name)}</option>`).join('')
+                + `<option value="__manage__">Manage projects...</option>`;
+            projectSelectEl.disabled = state.isLoading;
+        }
+
+        const sessionNameEl = overlayContainer.querySelector('#vfx-session-name');
+        if (sessionNameEl) sessionNameEl.textContent = getActiveSession()?.name || '';
+
         // Update footer selects based on mode
         const footerStyleSelectEl = overlayContainer.querySelector('#footer-style');
         const footerNumPromptsSelectEl = overlayContainer.querySelector('#footer-numberOfPrompts');
@@ -1195,17 +3932,11 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
 
         const audioToggleContainer = overlayContainer.querySelector('#footer-audio-toggle');
         if (audioToggleContainer) {
-            const audioToggleBtn = audioToggleContainer.querySelector('button');
-            if (audioToggleBtn) {
-                audioToggleBtn.classList.toggle('bg-purple-600', !!state.promptParams.enableAudioPrompting);
-                audioToggleBtn.classList.toggle('bg-gray-600', !state.promptParams.enableAudioPrompting);
-                const spanInsideBtn = audioToggleBtn.querySelector('span');
-                if (spanInsideBtn) {
-                    spanInsideBtn.classList.toggle('translate-x-6', !!state.promptParams.enableAudioPrompting);
-                    spanInsideBtn.classList.toggle('translate-x-1', !state.promptParams.enableAudioPrompting);
-                }
-                audioToggleBtn.setAttribute('aria-checked', String(!!state.promptParams.enableAudioPrompting));
-            }
+            const audioOn = !!state.promptParams.enableAudioPrompting;
+            ['border-purple-500/40', 'bg-purple-500/10'].forEach(cls => audioToggleContainer.classList.toggle(cls, audioOn));
+            ['border-gray-500/20', 'bg-gray-500/5'].forEach(cls => audioToggleContainer.classList.toggle(cls, !audioOn));
+            const audioLevelSelect = audioToggleContainer.querySelector('#vfx-audio-level-select');
+            if (audioLevelSelect) audioLevelSelect.value = state.promptParams.audioLevel;
         }
 
 
@@ -1226,6 +3957,52 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
         renderActiveModal();
     }
 
+    // The selected style/camera/lighting count towards the methodology checks, which wait until the
+    // description is long enough to judge
+    function getInputLintFindings() {
+        const description = state.promptParams.description;
+        const findings = lintPrompt(description, state.promptParams);
+        return countWords(description) < LINT_MIN_WORDS_FOR_METHODOLOGY ? findings.filter(f => !f.ruleId.startsWith('missing-')) : findings;
+    }
+
+    function renderInputLintPanel() {
+        const panel = overlayContainer.querySelector('#vfx-lint-panel');
+        if (!panel) return;
+        const findings = getInputLintFindings();
+        panel.innerHTML = renderLintFindingsHTML(findings, 'data-lint-target="input"', true);
+        panel.querySelectorAll('.lint-fix-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => handleApplyInputLintFix(parseInt(e.currentTarget.dataset.findingIndex, 10), parseInt(e.currentTarget.dataset.fixIndex, 10)));
+        });
+    }
+
+    function renderTemplatePanel() {
+        const panel = overlayContainer.querySelector('#vfx-template-panel');
+        if (!panel) return;
+        const names = getTemplateVariables(state.promptParams.description);
+        if (names.length === 0) {
+            panel.innerHTML = '';
+            return;
+        }
+        const combinations = countTemplateCombinations(getTemplateValueLists(names));
+        panel.innerHTML = `
+            <div class="flex items-center gap-2 text-xs vpa-text-subdued">
+                ${createIconSpanHTML("data_object", "default", "w-4 h-4 text-purple-400")}
+                <span class="truncate">Template: ${names.map(name => `<span class="text-purple-300">{{${sanitizeHTML(name)}}}</span>`).join(' ')} · ${combinations} combination(s)</span>
+                <button id="vfx-template-open-btn" class="ml-auto text-xs studio-button-secondary whitespace-nowrap">Fill Variables</button>
+            </div>`;
+        panel.querySelector('#vfx-template-open-btn').addEventListener('click', () => openModal('template'));
+    }
+
+    // Shows the exact user content of the in-flight request inside a loader (or of one batch row's request).
+    function renderSentContentHTML(sentRequest = state.lastSentRequest, open = true) {
+        if (!sentRequest) return '';
+        return `
+            <details class="w-full max-w-2xl text-left" ${open ? 'open' : ''}>
+                <summary class="text-xs vpa-text-faint cursor-pointer select-none">Sent to model (${sanitizeHTML(sentRequest.actionKey)})</summary>
+                <pre class="mt-2 p-3 text-xs vpa-text-subdued studio-bg-card-nested rounded-md border studio-border-soft whitespace-pre-wrap break-words max-h-40 overflow-y-auto custom-scrollbar">${sanitizeHTML(sentRequest.userContent)}</pre>
+            </details>`;
+    }
+
     function renderPromptList() {
         const listContainer = overlayContainer.querySelector('#vfx-artisan-prompt-list');
         if (!listContainer) return;
@@ -1233,13 +4010,35 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
             listContainer.innerHTML = '';
             return;
         }
-        listContainer.innerHTML = `<div class="space-y-4">${state.generatedPrompts.map(prompt => renderPromptItem(prompt)).join('')}</div>`;
+        const chainId = state.generatedPrompts.find(p => p.chain)?.chain.id;
+        listContainer.innerHTML = `<div class="space-y-4">${chainId ? renderSceneChainToolbarHTML(chainId) : ''}${state.generatedPrompts.map(prompt => renderPromptItem(prompt)).join('')}</div>`;
         attachPromptItemEventListeners();
+        if (chainId) {
+            listContainer.querySelector('#chain-export-btn')?.addEventListener('click', () => handleExportSceneChain(chainId, listContainer.querySelector('#chain-export-format').value));
+            listContainer.querySelector('#chain-storyboard-btn')?.addEventListener('click', () => handleOpenSceneChainAsStoryboard(chainId));
+        }
+    }
+
+    function renderSceneChainToolbarHTML(chainId) {
+        const links = getSceneChainLinks(chainId);
+        return `
+            <div class="studio-bg-card-nested p-3 rounded-md border studio-border-soft flex flex-wrap items-center gap-2">
+                <span class="text-sm vpa-text-main flex items-center">${createIconSpanHTML("link", "default", "w-4 h-4 mr-1")} Scene chain · ${links.length} link(s)</span>
+                <span class="text-xs vpa-text-faint truncate max-w-[200px]" title="${sanitizeHTML(links[0].chain.direction)}">${sanitizeHTML(links[0].chain.direction)}</span>
+                <span class="ml-auto"></span>
+                <select id="chain-export-format" class="studio-input-base text-xs" aria-label="Chain export format">
+                    ${Object.entries(STORYBOARD_EXPORT_FORMATS).map(([key, format]) => `<option value="${key}">${format.label}</option>`).join('')}
+                </select>
+                <button id="chain-export-btn" class="text-xs studio-button-secondary flex items-center">${createIconSpanHTML("download", "default", "w-4 h-4 mr-1")} Export</button>
+                <button id="chain-storyboard-btn" class="text-xs studio-button-secondary flex items-center">${createIconSpanHTML("view_carousel", "default", "w-4 h-4 mr-1")} Open as Storyboard</button>
+            </div>`;
     }
 
     function renderPromptItem(prompt) {
       const isEditing = state.activeModal?.type === 'editPrompt' && state.activeModal?.data?.promptId === prompt.id;
       const editingText = isEditing ? state.activeModal.data.editingText : prompt.text;
+      const isFavorite = !!findFavoriteByText(prompt.text);
+      const lintFindings = isEditing ? [] : lintPrompt(prompt.text);
 
       const buttonsHTML = isEditing ? `
           <button data-prompt-id="${prompt.id}" data-action="saveEdit" aria-label="Save changes" title="Save" class="p-2.5 rounded-full vpa-text-main transition-colors duration-150 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-opacity-75 bg-green-600 hover:bg-green-500 text-white">
@@ -1249,6 +4048,9 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
               ${createIconSpanHTML("cancel", "symbols-outlined", "w-5 h-5")}
           </button>
       ` : `
+          ${prompt.chain ? `<button data-prompt-id="${prompt.id}" data-action="regenerateLink" aria-label="Regenerate this link" title="Regenerate this link (keeps the rest of the chain)" class="p-2.5 rounded-full vpa-text-subdued hover:vpa-text-main transition-colors duration-150 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-opacity-75 studio-icon-button">
+              ${createIconSpanHTML("refresh", "symbols-outlined", "w-5 h-5")}
+          </button>` : ''}
           <button data-prompt-id="${prompt.id}" data-action="suggestSequence" aria-label="Suggest Shot Sequence ✨" title="Suggest Shot Sequence ✨" class="p-2.5 rounded-full vpa-text-subdued hover:vpa-text-main transition-colors duration-150 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-opacity-75 bg-transparent hover:bg-orange-600">
               ${createIconSpanHTML("movie", "symbols-outlined", "w-5 h-5")}
           </button>
@@ -1264,9 +4066,18 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
           <button data-prompt-id="${prompt.id}" data-action="critiquePrompt" aria-label="Critique & Enhance Prompt ✨" title="Critique & Enhance Prompt ✨" class="p-2.5 rounded-full vpa-text-subdued hover:vpa-text-main transition-colors duration-150 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-opacity-75 bg-transparent hover:bg-teal-600">
               ${createIconSpanHTML("auto_awesome", "symbols-outlined", "w-5 h-5")}
           </button>
+          <button data-prompt-id="${prompt.id}" data-action="audioTrack" aria-label="Edit audio track" title="Audio Track" class="p-2.5 rounded-full vpa-text-subdued hover:vpa-text-main transition-colors duration-150 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-opacity-75 bg-transparent hover:bg-sky-600">
+              ${createIconSpanHTML("queue_music", "symbols-outlined", "w-5 h-5")}
+          </button>
           <button data-prompt-id="${prompt.id}" data-action="useAsBase" aria-label="Use as Base" title="Use as Base" class="p-2.5 rounded-full vpa-text-subdued hover:vpa-text-main transition-colors duration-150 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-opacity-75 bg-transparent hover:bg-blue-600">
               ${createIconSpanHTML("flare", "symbols-outlined", "w-5 h-5")}
           </button>
+          <button data-prompt-id="${prompt.id}" data-action="toggleFavorite" aria-label="${isFavorite ? 'Remove from favorites' : 'Add to favorites'}" title="${isFavorite ? 'Remove from Favorites' : 'Add to Favorites'}" class="p-2.5 rounded-full ${isFavorite ? 'text-yellow-400' : 'vpa-text-subdued'} hover:vpa-text-main transition-colors duration-150 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-opacity-75 studio-icon-button">
+              ${createIconSpanHTML("star", isFavorite ? "symbols-filled" : "symbols-outlined", "w-5 h-5")}
+          </button>
+          <button data-prompt-id="${prompt.id}" data-action="showLineage" aria-label="Version history" title="Version History${prompt.versions?.length > 1 ? ` (${prompt.versions.length} versions)` : ''}" class="p-2.5 rounded-full vpa-text-subdued hover:vpa-text-main transition-colors duration-150 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-opacity-75 studio-icon-button">
+              ${createIconSpanHTML("account_tree", "symbols-outlined", "w-5 h-5")}
+          </button>
           <button data-prompt-id="${prompt.id}" data-action="editPrompt" aria-label="Edit prompt" title="Edit Prompt" class="p-2.5 rounded-full vpa-text-subdued hover:vpa-text-main transition-colors duration-150 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-opacity-75 studio-icon-button">
               ${createIconSpanHTML("edit", "symbols-outlined", "w-5 h-5")}
           </button>
@@ -1277,12 +4088,14 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
 
       return `
           <div class="studio-bg-elevated p-4 rounded-xl shadow-lg flex flex-col border studio-border-strong" id="prompt-item-${prompt.id}">
+              ${prompt.chain ? `<p class="text-xs text-purple-400 font-medium mb-2">Link ${getSceneChainLinks(prompt.chain.id).indexOf(prompt) + 1}</p>` : ''}
               ${isEditing ? `
                   <div class="flex-grow mb-3">
                       <textarea data-prompt-id="${prompt.id}" class="prompt-edit-area w-full studio-input-base bg-gray-800 border-gray-700 vpa-text-main rounded-md shadow-sm focus:ring-1 focus:ring-purple-500 focus:border-purple-500 p-2.5 text-sm resize-y custom-scrollbar" aria-label="Edit prompt text" rows="${Math.max(3, Math.min(10, (editingText || "").split('\n').length + Math.floor((editingText || "").length / 60)))}">${sanitizeHTML(editingText)}</textarea>
                   </div>
               ` : `
-                  <p class="vpa-text-main text-sm flex-grow mb-4 break-words whitespace-pre-wrap leading-relaxed">${sanitizeHTML(prompt.text)}</p>
+                  <p class="vpa-text-main text-sm flex-grow mb-4 break-words whitespace-pre-wrap leading-relaxed">${renderLintedTextHTML(prompt.text, lintFindings)}</p>
+                  ${lintFindings.length > 0 ? `<div class="mb-3">${renderLintFindingsHTML(lintFindings, `data-prompt-id="${prompt.id}" data-action="lintFix"`)}</div>` : ''}
               `}
               <div class="flex flex-wrap items-center justify-end space-x-1 sm:space-x-2 mt-auto">
                   ${buttonsHTML}
@@ -1310,6 +4123,8 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
                     }, 2000);
                 } else if (action === 'useAsBase') {
                     handleUseAsBase(prompt.text);
+                } else if (action === 'toggleFavorite') {
+                    handleToggleFavorite(prompt.text);
                 } else if (action === 'editPrompt') {
                     state.activeModal = {
                         type: 'editPrompt',
@@ -1322,6 +4137,7 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
                         handleUpdatePromptText(promptId, textarea.value);
                         state.activeModal = null; // Clear edit mode
                         renderPromptList(); // Re-render list to show text
+                        showUndoableNotification("Prompt updated");
                     }
                 } else if (action === 'cancelEdit') {
                     state.activeModal = null; // Clear edit mode
@@ -1332,12 +4148,48 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
                 else if (action === 'suggestSequence') openModal('sequence', { basePrompt: prompt });
                 else if (action === 'styleTransfer') openModal('styleTransfer', { promptToStyle: prompt, originalPromptText: prompt.text });
                 else if (action === 'visualizePrompt') openModal('visualize', { promptToVisualize: prompt });
+                else if (action === 'showLineage') handleShowPromptLineage(prompt.id);
+                else if (action === 'audioTrack') openAudioTrackEditor(prompt.id);
+                else if (action === 'regenerateLink') handleRegenerateChainLink(prompt.id);
+                else if (action === 'lintFix') handleApplyPromptLintFix(prompt.id, parseInt(targetButton.dataset.findingIndex, 10), parseInt(targetButton.dataset.fixIndex, 10));
             });
         });
     }
     // --- END: UI Update and Rendering Functions ---
 
     // --- START: Modal Rendering ---
+    function renderHistoryResultsHTML(data) {
+        if (!data.loaded) return '<p class="vpa-text-subdued text-sm">Loading history...</p>';
+        if (data.entries.length === 0) return '<p class="vpa-text-subdued text-sm">No history entries match these filters.</p>';
+        let currentGroup = null;
+        return data.entries.map(entry => {
+            const groupLabel = getHistoryDateGroupLabel(entry.createdAt);
+            const groupHeader = groupLabel !== currentGroup ? `<h4 class="font-semibold text-purple-300 pt-2">${sanitizeHTML(groupLabel)}</h4>` : '';
+            currentGroup = groupLabel;
+            return `${groupHeader}
+                <div class="studio-bg-card-nested p-3 rounded-md border studio-border-soft">
+                    <div class="flex items-center justify-between mb-1">
+                        <p class="text-xs vpa-text-faint">
+                            <span class="text-purple-400 font-medium">${sanitizeHTML(ACTION_DISPLAY_NAMES[entry.actionKey] || entry.actionKey)}</span>
+                            · ${sanitizeHTML(new Date(entry.createdAt).toLocaleTimeString())}
+                            ${entry.promptParams?.style ? `· ${sanitizeHTML(entry.promptParams.style)}` : ''}
+                            ${entry.image ? `· ${createIconSpanHTML("image", "default", "w-3 h-3 inline-block")} ${sanitizeHTML(entry.image.name)}` : ''}
+                        </p>
+                        <div class="flex space-x-2 shrink-0">
+                            <button data-history-id="${entry.id}" class="history-restore-btn text-xs studio-button-secondary hover:bg-purple-700 hover:border-purple-600" title="Restore the settings and prompts of this entry, or reopen its result">Restore</button>
+                            <button data-history-id="${entry.id}" class="history-delete-btn text-xs studio-button-secondary hover:bg-red-700 hover:border-red-600" title="Delete entry">${createIconSpanHTML("delete", "default", "w-4 h-4")}</button>
+                        </div>
+                    </div>
+                    <p class="text-sm vpa-text-subdued mb-1 line-clamp-3">${sanitizeHTML(entry.input)}</p>
+                    <ul class="list-disc list-inside text-xs vpa-text-faint space-y-1">
+                        ${entry.outputs.slice(0, 3).map(output => `<li class="line-clamp-3">${sanitizeHTML(output)}</li>`).join('')}
+                        ${entry.outputs.length > 3 ? `<li>...and ${entry.outputs.length - 3} more</li>` : ''}
+                    </ul>
+                </div>`;
+        }).join('') + (data.hasMore ? `
+            <button id="history-load-more-btn" class="w-full text-sm studio-button-secondary">Load more</button>` : '');
+    }
+
     function renderActiveModal() {
         if (!generalModalContainer) return;
         if (!state.activeModal) {
@@ -1353,6 +4205,16 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
         let title = "";
         switch(type) {
             case 'advancedSettings': title = "Advanced Veo Settings"; break;
+            case 'connectionSettings': title = "Connection Settings"; break;
+            case 'sessions': title = "Sessions"; break;
+            case 'history': title = "Prompt History"; break;
+            case 'favorites': title = "Favorites"; break;
+            case 'projects': title = "Projects"; break;
+            case 'batch': title = "Batch Generation"; break;
+            case 'diffReview': title = `Review Changes: ${data.sourceLabel}`; break;
+            case 'lineage': title = "Version History"; break;
+            case 'characterBible': title = "Character Bible"; break;
+            case 'continuity': title = `Continuity Check: ${data.sourceLabel}`; break;
             case 'critique': title = "Prompt Critique & Suggestions ✨"; break;
             case 'themeExplorer': title = "Theme Explorer ✨"; break;
             case 'elaborate': title = "Elaborate Prompt ✨"; break;
@@ -1360,6 +4222,11 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
             case 'characterGen': title = "Character Detail Generator ✨"; break;
             case 'styleTransfer': title = "Transfer Style ✨"; break;
             case 'storyboard': title = "Prompt to Storyboard ✨"; break;
+            case 'segment': title = "Segment into Clips ✨"; break;
+            case 'template': title = "Prompt Template Variables"; break;
+            case 'compare': title = "A/B Compare ✨"; break;
+            case 'preambles': title = "Preamble Editor"; break;
+            case 'audioTrack': title = "Audio Track"; break;
             case 'visualize': title = "Visualize Prompt ✨ (UI Only)"; break;
             default: title = "Modal";
         }
@@ -1369,6 +4236,11 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
             bodyHTML = `<div class="flex flex-col items-center justify-center space-y-3 my-10" aria-live="polite" aria-busy="true">
                             ${createIconSpanHTML("Loader", "default", "h-10 w-10 text-purple-500")}
                             <p class="vpa-text-subdued text-sm">${sanitizeHTML(state.currentApiActionMessage || "Loading...")}</p>
+                            ${renderActiveProjectBadgeHTML()}
+                            ${renderSentContentHTML()}
+                            <button id="vfx-modal-cancel-request-btn" class="text-xs studio-button-secondary hover:bg-red-700 hover:border-red-600 inline-flex items-center" aria-label="Cancel request">
+                                ${createIconSpanHTML("close", "default", "w-4 h-4 mr-2")} Cancel
+                            </button>
                         </div>`;
         } else if (error) {
             bodyHTML = `<div class="p-3 bg-red-700 bg-opacity-20 text-red-200 rounded-md"><p class="font-medium">Error:</p><p class="text-sm">${sanitizeHTML(error)}</p></div>`;
@@ -1377,9 +4249,9 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
         }
 
         const sizeClasses = {
-            advancedSettings: 'max-w-4xl', critique: 'max-w-2xl', themeExplorer: 'max-w-2xl',
+            advancedSettings: 'max-w-4xl', connectionSettings: 'max-w-2xl', sessions: 'max-w-2xl', history: 'max-w-4xl', favorites: 'max-w-4xl', projects: 'max-w-4xl', batch: 'max-w-5xl', diffReview: 'max-w-5xl', lineage: 'max-w-5xl', characterBible: 'max-w-5xl', continuity: 'max-w-4xl', critique: 'max-w-2xl', themeExplorer: 'max-w-2xl',
             elaborate: 'max-w-2xl', sequence: 'max-w-2xl', characterGen: 'max-w-2xl',
-            styleTransfer: 'max-w-2xl', storyboard: 'max-w-4xl', visualize: 'max-w-2xl'
+            styleTransfer: 'max-w-2xl', storyboard: 'max-w-4xl', segment: 'max-w-4xl', template: 'max-w-3xl', compare: 'max-w-5xl', preambles: 'max-w-5xl', audioTrack: 'max-w-4xl', visualize: 'max-w-2xl'
         };
         const currentSizeClass = sizeClasses[type] || 'max-w-lg';
 
@@ -1387,7 +4259,10 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
         generalModalContainer.innerHTML = `
             <div class="studio-bg-elevated rounded-xl shadow-2xl w-full ${currentSizeClass} max-h-[90vh] flex flex-col overflow-hidden border studio-border-strong animate-popIn" id="modal-inner-container">
                 <div class="flex items-center justify-between p-4 sm:p-5 border-b studio-border-soft">
-                    <h2 class="text-lg font-medium vpa-text-main">${sanitizeHTML(title)}</h2>
+                    <div class="flex items-center space-x-3">
+                        <h2 class="text-lg font-medium vpa-text-main">${sanitizeHTML(title)}</h2>
+                        ${renderActiveProjectBadgeHTML()}
+                    </div>
                     <button id="vfx-modal-close-btn" aria-label="Close modal" class="p-1 rounded-full vpa-text-subdued hover:bg-gray-700 hover:vpa-text-main focus:outline-none focus:ring-2 focus:ring-purple-500">
                         ${createIconSpanHTML("close", "default", "w-6 h-6")}
                     </button>
@@ -1397,6 +4272,7 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
         `;
         const modalCloseBtn = generalModalContainer.querySelector('#vfx-modal-close-btn');
         if(modalCloseBtn) modalCloseBtn.addEventListener('click', closeModal);
+        generalModalContainer.querySelector('#vfx-modal-cancel-request-btn')?.addEventListener('click', handleCancelRequest);
         attachModalSpecificEventListeners(type);
     }
 
@@ -1420,6 +4296,476 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
                             <button id="adv-done-btn" class="px-6 py-2 text-sm font-medium rounded-md studio-button-primary">Done</button>
                         </div>
                     </div>`;
+            case 'connectionSettings':
+                return `
+                    <div class="space-y-6 p-1">
+                        <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            ${createSelectFieldHTML("provider-providerId", "Model Provider", state.providerSettings.providerId, Object.values(MODEL_PROVIDERS).map(p => p.label), Object.keys(MODEL_PROVIDERS), PARAM_INFO_TOOLTIPS.providerId, "md:col-span-2")}
+                            ${state.providerSettings.providerId === 'openAiCompatible' ? `
+                                ${createTextFieldHTML("provider-openAiBaseUrl", "Base URL", state.providerSettings.openAiBaseUrl, "http://localhost:11434", PARAM_INFO_TOOLTIPS.openAiBaseUrl)}
+                                ${createTextFieldHTML("provider-openAiModel", "Model", state.providerSettings.openAiModel, "llama3.1", PARAM_INFO_TOOLTIPS.openAiModel)}
+                                ${createTextFieldHTML("provider-openAiApiKey", "API Key (optional)", state.providerSettings.openAiApiKey, "sk-...", PARAM_INFO_TOOLTIPS.openAiApiKey, "md:col-span-2", "password")}
+                            ` : ''}
+                        </div>
+                        <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 pt-4 border-t studio-border-soft">
+                            ${createNumberFieldHTML("conn-timeoutSeconds", "Timeout (seconds)", state.requestSettings.timeoutSeconds, 5, 600, PARAM_INFO_TOOLTIPS.timeoutSeconds)}
+                            ${createNumberFieldHTML("conn-maxRetries", "Max Retries", state.requestSettings.maxRetries, 0, 5, PARAM_INFO_TOOLTIPS.maxRetries)}
+                            ${createNumberFieldHTML("conn-retryBaseDelayMs", "Retry Delay (ms)", state.requestSettings.retryBaseDelayMs, 100, 30000, PARAM_INFO_TOOLTIPS.retryBaseDelayMs)}
+                        </div>
+                        <div class="grid grid-cols-1 md:grid-cols-2 gap-4 pt-4 border-t studio-border-soft">
+                            ${createSelectFieldHTML("mock-mode", "Mock Backend", state.mockSettings.mode, ["Off (live requests)", "Record responses", "Replay fixtures (offline)"], ["off", "record", "replay"], PARAM_INFO_TOOLTIPS.mockMode)}
+                            <div class="flex items-end space-x-2">
+                                <button id="mock-run-regression-btn" class="px-3 py-2 text-sm font-medium rounded-md studio-button-secondary flex items-center" title="Run every fixture through the response parsers (results in the console)">
+                                    ${createIconSpanHTML("fact_check", "default", "w-4 h-4 mr-2")} Run Regression
+                                </button>
+                                <button id="mock-clear-fixtures-btn" class="px-3 py-2 text-sm font-medium rounded-md studio-button-secondary hover:bg-red-700 hover:border-red-600 flex items-center" title="Delete all recorded fixtures (built-in fixtures are kept)">
+                                    ${createIconSpanHTML("delete", "default", "w-4 h-4 mr-2")} Clear Recorded (${Object.values(loadMockFixtures()).reduce((sum, list) => sum + list.length, 0)})
+                                </button>
+                            </div>
+                        </div>
+                        <div class="flex flex-wrap items-center justify-between gap-2 pt-4 border-t studio-border-soft">
+                            <p class="text-xs vpa-text-subdued">Model instructions (preambles): ${Object.keys(PREAMBLE_CONFIG).reduce((sum, actionKey) => sum + Object.keys(PREAMBLE_VARIANT_LABELS).filter(variantKey => getActivePreambleOverrideText(actionKey, variantKey) !== null).length, 0)} override(s) active</p>
+                            <button id="preamble-editor-open-btn" class="px-3 py-2 text-sm font-medium rounded-md studio-button-secondary flex items-center">
+                                ${createIconSpanHTML("edit_note", "default", "w-4 h-4 mr-2")} Edit Preambles
+                            </button>
+                        </div>
+                        <div class="flex flex-col sm:flex-row justify-end items-center space-y-3 sm:space-y-0 sm:space-x-3 pt-4 border-t studio-border-soft">
+                            <button id="conn-reset-btn" class="px-4 py-2 text-sm font-medium rounded-md studio-button-secondary flex items-center" title="Restore default connection settings">
+                                ${createIconSpanHTML("restart_alt", "default", "w-4 h-4 mr-2")} Restore Defaults
+                            </button>
+                            <button id="conn-done-btn" class="px-6 py-2 text-sm font-medium rounded-md studio-button-primary">Done</button>
+                        </div>
+                    </div>`;
+            case 'characterBible': {
+                const selected = state.characterBible.find(c => c.id === data.selectedId);
+                return `
+                    <div class="grid grid-cols-1 md:grid-cols-4 gap-4">
+                        <div class="space-y-2">
+                            <button id="character-new-btn" class="w-full text-sm studio-button-primary flex items-center justify-center">${createIconSpanHTML("person_add", "default", "w-4 h-4 mr-1")} New Character</button>
+                            <ul class="space-y-1 max-h-[55vh] overflow-y-auto custom-scrollbar">
+                                ${state.characterBible.length === 0 ? '<li class="text-xs vpa-text-faint p-2">No characters yet. Save one from the Character Detail Generator or create one here.</li>' : ''}
+                                ${state.characterBible.map(c => `
+                                    <li>
+                                        <button data-character-id="${c.id}" class="character-select-btn w-full text-left p-2 rounded-md border ${c.id === data.selectedId ? 'border-purple-500/40 studio-bg-elevated' : 'studio-border-soft studio-bg-card-nested'}">
+                                            <span class="block text-sm vpa-text-main truncate">${sanitizeHTML(c.name)}</span>
+                                            <span class="block text-xs vpa-text-faint">@${sanitizeHTML(c.handle)}</span>
+                                        </button>
+                                    </li>`).join('')}
+                            </ul>
+                        </div>
+                        <div class="md:col-span-3 space-y-3 max-h-[60vh] overflow-y-auto custom-scrollbar pr-2">
+                            ${!selected ? '<p class="vpa-text-subdued text-sm">Select a character to edit it. Type @ in the main description or a storyboard concept to mention one.</p>' : `
+                            <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+                                <div>
+                                    <label for="character-name" class="block text-xs font-medium vpa-text-subdued mb-1">Name</label>
+                                    <input type="text" id="character-name" data-field="name" value="${sanitizeHTML(selected.name)}" class="character-field w-full studio-input-base text-sm" />
+                                </div>
+                                <div>
+                                    <label for="character-handle" class="block text-xs font-medium vpa-text-subdued mb-1">Mention handle</label>
+                                    <input type="text" id="character-handle" data-field="handle" value="${sanitizeHTML(selected.handle)}" class="character-field w-full studio-input-base text-sm" />
+                                </div>
+                            </div>
+                            ${CHARACTER_TEXT_FIELDS.map(field => `
+                                <div>
+                                    <label for="character-${field.key}" class="block text-xs font-medium vpa-text-subdued mb-1">${field.label}${field.audioOnly ? ' (sent when the audio level includes dialogue)' : ''}</label>
+                                    <textarea id="character-${field.key}" data-field="${field.key}" rows="2" class="character-field w-full studio-input-base text-sm resize-y custom-scrollbar">${sanitizeHTML(selected[field.key] || '')}</textarea>
+                                </div>`).join('')}
+                            <div class="flex items-center space-x-3">
+                                ${selected.referenceImage
+                                    ? `<img src="data:${sanitizeHTML(selected.referenceImage.mimeType)};base64,${selected.referenceImage.b64}" alt="Reference for ${sanitizeHTML(selected.name)}" class="w-12 h-12 object-cover rounded" />
+                                       <span class="text-xs vpa-text-faint truncate">${sanitizeHTML(selected.referenceImage.name)}</span>
+                                       <button id="character-image-clear-btn" class="text-xs studio-button-secondary">Remove image</button>`
+                                    : '<span class="text-xs vpa-text-faint">No reference image. It is sent with prompts that mention this character when none is uploaded.</span>'}
+                                <input type="file" id="character-image-input" accept="${ALLOWED_IMAGE_TYPES.join(',')}" class="hidden" />
+                                <button id="character-image-btn" class="text-xs studio-button-secondary shrink-0">${selected.referenceImage ? 'Replace' : 'Add'} image</button>
+                            </div>
+                            <div>
+                                <h4 class="font-semibold text-purple-300 text-sm mb-1">Sent to the model as</h4>
+                                <p class="text-xs vpa-text-subdued whitespace-pre-wrap p-2 studio-bg-card-nested rounded-md">@${sanitizeHTML(selected.handle)} = ${sanitizeHTML(describeCharacter(selected, state.promptParams.audioLevel === 'dialogue'))}</p>
+                            </div>
+                            <div class="flex justify-between">
+                                <button id="character-delete-btn" class="text-sm studio-button-secondary hover:bg-red-700 hover:border-red-600">Delete</button>
+                                <button id="character-insert-btn" class="text-sm studio-button-primary">Insert @${sanitizeHTML(selected.handle)} into Description</button>
+                            </div>`}
+                        </div>
+                    </div>`;
+            }
+            case 'lineage': {
+                const prompt = state.generatedPrompts.find(p => p.id === data.promptId);
+                if (!prompt?.versions) return '<p class="vpa-text-subdued">This prompt is no longer in the list.</p>';
+                const selected = prompt.versions.find(v => v.id === data.selectedVersionId) || prompt.versions.find(v => v.id === prompt.currentVersionId);
+                const current = prompt.versions.find(v => v.id === prompt.currentVersionId);
+                const pathIds = new Set(getPromptVersionPath(prompt).map(v => v.id));
+                const comparison = data.compare && selected.id !== current.id
+                    ? diffWords(selected.text, current.text).map(op => op.type === 'equal' ? sanitizeHTML(op.text) : `<span class="${op.type === 'delete' ? 'vpa-diff-removed' : 'vpa-diff-added'}">${sanitizeHTML(op.text)}</span>`).join('')
+                    : null;
+                return `
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <ul class="space-y-1 max-h-[60vh] overflow-y-auto custom-scrollbar pr-2">
+                            ${flattenPromptVersionTree(prompt).map(({ version, depth }) => `
+                                <li>
+                                    <button data-version-id="${version.id}" class="lineage-select-btn w-full text-left p-2 rounded-md border ${version.id === selected.id ? 'border-purple-500/40 studio-bg-elevated' : 'studio-border-soft studio-bg-card-nested'}" style="margin-left: ${depth * 16}px; width: calc(100% - ${depth * 16}px);">
+                                        <span class="flex items-center justify-between text-xs">
+                                            <span class="font-medium ${pathIds.has(version.id) ? 'text-purple-300' : 'vpa-text-subdued'}">${sanitizeHTML(LINEAGE_OPERATION_LABELS[version.operation] || version.operation)}${version.id === current.id ? ' · current' : ''}</span>
+                                            <span class="vpa-text-faint">${sanitizeHTML(new Date(version.createdAt).toLocaleString())}</span>
+                                        </span>
+                                        <span class="block text-xs vpa-text-faint truncate mt-1">${sanitizeHTML(version.text)}</span>
+                                    </button>
+                                </li>`).join('')}
+                        </ul>
+                        <div class="space-y-3">
+                            <div>
+                                <h4 class="font-semibold text-purple-300 text-sm mb-1">${sanitizeHTML(LINEAGE_OPERATION_LABELS[selected.operation] || selected.operation)}</h4>
+                                <p class="text-xs vpa-text-faint">${sanitizeHTML(describeVersionParams(selected.params)) || 'No parameters recorded.'}</p>
+                            </div>
+                            <p class="text-sm vpa-text-main whitespace-pre-wrap p-3 studio-bg-card-nested rounded-md border studio-border-soft max-h-[30vh] overflow-y-auto custom-scrollbar">${comparison !== null ? comparison : sanitizeHTML(selected.text)}</p>
+                            ${comparison !== null ? '<p class="text-xs vpa-text-faint">Showing changes from this version to the current one.</p>' : ''}
+                            <div class="flex justify-end space-x-2">
+                                <button id="lineage-compare-btn" class="text-xs studio-button-secondary" ${selected.id === current.id ? 'disabled' : ''}>${data.compare ? 'Show Text' : 'Compare with Current'}</button>
+                                <button id="lineage-restore-btn" class="text-xs studio-button-primary" ${selected.id === current.id ? 'disabled' : ''}>Restore this Version</button>
+                            </div>
+                        </div>
+                    </div>`;
+            }
+            case 'diffReview': {
+                const hunks = data.segments.filter(seg => seg.type === 'change');
+                const acceptedCount = hunks.filter(h => h.accepted).length;
+                const renderSide = (side) => data.segments.map(seg => {
+                    if (seg.type === 'equal') return sanitizeHTML(seg.text);
+                    const text = side === 'original' ? seg.removed : seg.added;
+                    if (!text) return '';
+                    const diffClass = side === 'original' ? 'vpa-diff-removed' : 'vpa-diff-added';
+                    // Accepted: removals are struck through, additions highlighted. Rejected: a removal stays as plain
+                    // text and an addition is faded and struck through, since it won't be applied.
+                    return `<span data-hunk-id="${seg.id}" class="diff-hunk cursor-pointer ${diffClass} ${seg.accepted ? '' : 'vpa-diff-rejected'}" title="Click to ${seg.accepted ? 'reject' : 'accept'} this change">${sanitizeHTML(text)}</span>`;
+                }).join('');
+                return `
+                    <div class="space-y-4">
+                        <div class="flex items-center justify-between text-xs vpa-text-subdued">
+                            <span>${hunks.length === 0 ? 'No differences: the proposal matches the current prompt.' : `${acceptedCount} of ${hunks.length} change(s) accepted. Click a highlighted span to toggle it.`}</span>
+                            <span class="flex space-x-2">
+                                <button id="diff-accept-all-btn" class="text-xs studio-button-secondary" ${hunks.length === 0 ? 'disabled' : ''}>Accept all</button>
+                                <button id="diff-reject-all-btn" class="text-xs studio-button-secondary" ${hunks.length === 0 ? 'disabled' : ''}>Reject all</button>
+                            </span>
+                        </div>
+                        <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <div>
+                                <h4 class="font-semibold text-purple-300 mb-1 text-sm">Original</h4>
+                                <p class="text-sm vpa-text-subdued whitespace-pre-wrap p-3 studio-bg-card-nested rounded-md border studio-border-soft max-h-[40vh] overflow-y-auto custom-scrollbar">${renderSide('original')}</p>
+                            </div>
+                            <div>
+                                <h4 class="font-semibold text-purple-300 mb-1 text-sm">Proposed</h4>
+                                <p class="text-sm vpa-text-main whitespace-pre-wrap p-3 studio-bg-card-nested rounded-md border studio-border-soft max-h-[40vh] overflow-y-auto custom-scrollbar">${renderSide('proposed')}</p>
+                            </div>
+                        </div>
+                        <div>
+                            <h4 class="font-semibold text-purple-300 mb-1 text-sm">Result</h4>
+                            <p class="text-sm vpa-text-main whitespace-pre-wrap p-3 studio-bg-card-nested rounded-md border studio-border-soft max-h-40 overflow-y-auto custom-scrollbar">${sanitizeHTML(composeDiffText(data.segments))}</p>
+                        </div>
+                        <div class="flex justify-end space-x-2">
+                            ${data.returnTo ? '<button id="diff-back-btn" class="text-sm studio-button-secondary">Back</button>' : ''}
+                            <button id="diff-commit-btn" class="text-sm studio-button-primary" ${acceptedCount === 0 ? 'disabled' : ''}>Apply to Prompt</button>
+                        </div>
+                    </div>`;
+            }
+            case 'batch': {
+                const batch = state.batch;
+                const counts = { pending: 0, running: 0, done: 0, failed: 0 };
+                batch.rows.forEach(row => { counts[row.status]++; });
+                const finishedPercent = batch.rows.length ? Math.round(((counts.done + counts.failed) / batch.rows.length) * 100) : 0;
+                const statusClasses = { pending: 'vpa-text-faint', running: 'text-purple-400', done: 'text-green-400', failed: 'text-red-400' };
+                const variableNames = [...new Set(batch.rows.flatMap(row => Object.keys(row.variables || {})))];
+                const renderBatchRowHTML = row => `
+                                        <tr class="border-t studio-border-soft align-top">
+                                            <td class="p-2 vpa-text-faint">${row.index}</td>
+                                            <td class="p-2 vpa-text-main">${sanitizeHTML(row.description)}</td>
+                                            <td class="p-2 vpa-text-faint">${sanitizeHTML([...Object.entries(row.variables || {}).map(([name, value]) => `${name}: ${value}`), ...Object.values(row.overrides)].join(', ')) || '—'}</td>
+                                            <td class="p-2 font-medium ${statusClasses[row.status]}">
+                                                ${row.status}
+                                                ${row.status === 'running' && row.currentApiActionMessage ? `<p class="font-normal vpa-text-faint">${sanitizeHTML(row.currentApiActionMessage)}</p>` : ''}
+                                            </td>
+                                            <td class="p-2 vpa-text-subdued">
+                                                ${row.status === 'done' ? row.prompts.map(text => `<p class="mb-1 whitespace-pre-wrap">${sanitizeHTML(text)}</p>`).join('') : ''}
+                                                ${row.error ? `<p class="text-red-400">${sanitizeHTML(row.error)}</p>` : ''}
+                                                ${renderSentContentHTML(row.lastSentRequest, false)}
+                                            </td>
+                                            <td class="p-2 whitespace-nowrap">
+                                                ${row.status === 'failed' ? `<button data-row-id="${row.id}" class="batch-retry-row-btn text-xs studio-button-secondary">Retry</button>` : ''}
+                                                ${row.status === 'done' ? `<button data-row-id="${row.id}" class="batch-use-row-btn text-xs studio-button-secondary hover:bg-purple-700 hover:border-purple-600">Use</button>` : ''}
+                                            </td>
+                                        </tr>`;
+                return `
+                    <div class="space-y-4">
+                        <p class="text-xs vpa-text-subdued">Import a CSV (header row with a <code>description</code> column, plus optional <code>style</code>, <code>camera</code>, <code>movement</code>, <code>lighting</code>) or a JSON array of strings or objects. Unset fields use the current footer and advanced settings.</p>
+                        <div class="flex flex-wrap items-center gap-2">
+                            <input type="file" id="batch-file-input" accept=".csv,.json,text/csv,application/json" class="hidden" />
+                            <button id="batch-import-btn" class="text-sm studio-button-secondary flex items-center" ${batch.isRunning ? 'disabled' : ''}>${createIconSpanHTML("upload_file", "default", "w-4 h-4 mr-1")} Import CSV/JSON</button>
+                            ${batch.fileName ? `<span class="text-xs vpa-text-faint truncate max-w-[200px]" title="${sanitizeHTML(batch.fileName)}">${sanitizeHTML(batch.fileName)}</span>` : ''}
+                            <label for="batch-concurrency" class="text-xs vpa-text-subdued ml-auto">Parallel requests</label>
+                            <select id="batch-concurrency" class="studio-input-base text-xs" ${batch.isRunning ? 'disabled' : ''}>
+                                ${BATCH_CONCURRENCY_OPTIONS.map(n => `<option value="${n}" ${n === batch.concurrency ? 'selected' : ''}>${n}</option>`).join('')}
+                            </select>
+                            ${batch.isRunning
+                                ? `<button id="batch-stop-btn" class="text-sm studio-button-secondary hover:bg-red-700 hover:border-red-600">Stop</button>`
+                                : `<button id="batch-run-btn" class="text-sm studio-button-primary" ${counts.pending === 0 ? 'disabled' : ''}>Run ${counts.pending} row(s)</button>`}
+                            <button id="batch-retry-failed-btn" class="text-sm studio-button-secondary" ${counts.failed === 0 ? 'disabled' : ''}>Retry failed (${counts.failed})</button>
+                        </div>
+                        ${batch.rows.length === 0 ? '<p class="vpa-text-subdued text-sm text-center py-6">No rows imported yet.</p>' : `
+                        <div>
+                            <div class="flex justify-between text-xs vpa-text-subdued mb-1">
+                                <span>${counts.done} done · ${counts.failed} failed · ${counts.running} running · ${counts.pending} pending</span>
+                                <span>${finishedPercent}%</span>
+                            </div>
+                            <div class="w-full h-2 rounded-full bg-gray-700 overflow-hidden"><div class="h-2 bg-purple-600" style="width: ${finishedPercent}%;"></div></div>
+                        </div>
+                        ${variableNames.length ? `
+                        <div class="flex items-center gap-2">
+                            <label for="batch-group-by" class="text-xs vpa-text-subdued">Group results by</label>
+                            <select id="batch-group-by" class="studio-input-base text-xs">
+                                <option value="">No grouping</option>
+                                ${variableNames.map(name => `<option value="${sanitizeHTML(name)}" ${name === batch.groupBy ? 'selected' : ''}>{{${sanitizeHTML(name)}}}</option>`).join('')}
+                            </select>
+                        </div>` : ''}
+                        <div class="max-h-[50vh] overflow-y-auto custom-scrollbar border studio-border-soft rounded-md">
+                            <table class="w-full text-xs">
+                                <thead class="vpa-text-faint text-left">
+                                    <tr><th class="p-2">#</th><th class="p-2">Description</th><th class="p-2">${variableNames.length ? 'Variables' : 'Overrides'}</th><th class="p-2">Status</th><th class="p-2">Result</th><th class="p-2"></th></tr>
+                                </thead>
+                                <tbody>
+                                    ${groupBatchRows(batch.rows, batch.groupBy).map(group => `
+                                        ${group.label ? `<tr class="border-t studio-border-soft"><td colspan="6" class="p-2 font-medium text-purple-300">${sanitizeHTML(group.label)} <span class="vpa-text-faint font-normal">(${group.rows.filter(row => row.status === 'done').length}/${group.rows.length} done)</span></td></tr>` : ''}
+                                        ${group.rows.map(renderBatchRowHTML).join('')}`).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                        <div class="flex justify-end space-x-2">
+                            <button id="batch-clear-btn" class="text-sm studio-button-secondary" ${batch.isRunning ? 'disabled' : ''}>Clear</button>
+                            <button data-format="csv" class="batch-export-btn text-sm studio-button-secondary flex items-center">${createIconSpanHTML("download", "default", "w-4 h-4 mr-1")} Export CSV</button>
+                            <button data-format="json" class="batch-export-btn text-sm studio-button-secondary flex items-center">${createIconSpanHTML("download", "default", "w-4 h-4 mr-1")} Export JSON</button>
+                        </div>`}
+                    </div>`;
+            }
+            case 'projects': {
+                const project = state.activeProject;
+                const listedProjects = state.projects.filter(p => data.showArchived || !p.archived).sort((a, b) => b.updatedAt - a.updatedAt);
+                const assetList = (kind, heading, labelOf, actionLabel) => `
+                    <div>
+                        <h4 class="font-semibold text-purple-300 text-sm mb-1">${heading} (${project[kind].length})</h4>
+                        ${project[kind].length === 0 ? '<p class="text-xs vpa-text-faint">None yet.</p>' : `
+                        <ul class="space-y-1">
+                            ${project[kind].map(asset => `
+                                <li class="flex items-center justify-between text-sm studio-bg-card-nested px-2 py-1 rounded-md">
+                                    <span class="truncate vpa-text-subdued" title="${sanitizeHTML(labelOf(asset))}">${sanitizeHTML(labelOf(asset))}</span>
+                                    <span class="flex space-x-1 shrink-0">
+                                        <button data-asset-kind="${kind}" data-asset-id="${asset.id}" class="project-asset-open-btn text-xs studio-button-secondary">${actionLabel}</button>
+                                        <button data-asset-kind="${kind}" data-asset-id="${asset.id}" class="project-asset-remove-btn p-1 vpa-text-subdued hover:text-red-400" title="Remove from project">${createIconSpanHTML("close", "default", "w-4 h-4")}</button>
+                                    </span>
+                                </li>`).join('')}
+                        </ul>`}
+                    </div>`;
+                return `
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div class="space-y-3">
+                            <div class="flex items-center space-x-2">
+                                <input type="text" id="project-new-name" placeholder="New project name" class="flex-grow studio-input-base text-sm" />
+                                <button id="project-new-btn" class="px-4 py-2 text-sm font-medium rounded-md studio-button-primary shrink-0">Create</button>
+                            </div>
+                            <label class="flex items-center text-xs vpa-text-subdued space-x-2">
+                                <input type="checkbox" id="project-show-archived" ${data.showArchived ? 'checked' : ''} />
+                                <span>Show archived</span>
+                            </label>
+                            <ul class="space-y-2 max-h-[50vh] overflow-y-auto custom-scrollbar pr-2">
+                                ${listedProjects.map(p => `
+                                    <li class="studio-bg-card-nested p-3 rounded-md border ${p.id === project?.id ? 'border-purple-500/40' : 'studio-border-soft'}">
+                                        <input type="text" data-project-id="${p.id}" value="${sanitizeHTML(p.name)}" class="project-rename-input w-full studio-input-base text-sm mb-2" aria-label="Project name" />
+                                        <div class="flex items-center justify-between">
+                                            <span class="text-xs vpa-text-faint">${p.archived ? 'Archived · ' : ''}updated ${sanitizeHTML(new Date(p.updatedAt).toLocaleString())}</span>
+                                            <span class="flex space-x-1">
+                                                ${p.id === project?.id ? '<span class="text-xs text-purple-400 font-medium px-2">Active</span>' : `<button data-project-id="${p.id}" class="project-switch-btn text-xs studio-button-secondary hover:bg-purple-700 hover:border-purple-600" ${p.archived ? 'disabled title="Unarchive to open"' : ''}>Open</button>`}
+                                                <button data-project-id="${p.id}" class="project-duplicate-btn text-xs studio-button-secondary" title="Duplicate project">${createIconSpanHTML("content_copy", "default", "w-4 h-4")}</button>
+                                                ${p.id === project?.id ? '' : `<button data-project-id="${p.id}" class="project-archive-btn text-xs studio-button-secondary" title="${p.archived ? 'Unarchive' : 'Archive'}">${createIconSpanHTML(p.archived ? "unarchive" : "archive", "default", "w-4 h-4")}</button>`}
+                                            </span>
+                                        </div>
+                                    </li>`).join('')}
+                            </ul>
+                        </div>
+                        ${project ? `
+                        <div class="space-y-3 max-h-[60vh] overflow-y-auto custom-scrollbar pr-2">
+                            <h3 class="text-lg font-semibold vpa-text-main">In <span class="text-purple-400">${sanitizeHTML(project.name)}</span></h3>
+                            <p class="text-xs vpa-text-faint">${project.generatedPrompts.length} prompt(s) in the working list</p>
+                            ${assetList('storyboards', 'Storyboards', a => a.concept, 'Open')}
+                            ${assetList('characters', 'Characters', a => a.concept, 'Open')}
+                            ${assetList('themes', 'Themes', a => a.theme, 'Open')}
+                            ${assetList('referenceImages', 'Reference Images', a => a.name, 'Use')}
+                        </div>` : '<p class="vpa-text-subdued text-sm">Projects are unavailable (IndexedDB could not be opened).</p>'}
+                    </div>`;
+            }
+            case 'favorites': {
+                const visibleFavorites = getVisibleFavorites(data);
+                const allTags = [...new Set(state.favorites.items.flatMap(item => item.tags))].sort();
+                const folderOptionsDisplay = ["Unfiled", ...state.favorites.folders.map(f => f.name)];
+                const folderOptionsValues = ["", ...state.favorites.folders.map(f => f.id)];
+                const folderButton = (value, label, count) => `
+                    <button data-folder-filter="${sanitizeHTML(value)}" class="favorites-folder-btn w-full text-left text-sm px-2 py-1 rounded-md ${data.folderFilter === value ? 'bg-purple-600 text-white' : 'vpa-text-subdued hover:bg-gray-700'}">${sanitizeHTML(label)} <span class="text-xs vpa-text-faint">(${count})</span></button>`;
+                return `
+                    <div class="grid grid-cols-1 md:grid-cols-4 gap-4">
+                        <div class="space-y-2">
+                            <h4 class="font-semibold text-purple-300 text-sm">Folders</h4>
+                            ${folderButton('all', 'All favorites', state.favorites.items.length)}
+                            ${folderButton('unfiled', 'Unfiled', state.favorites.items.filter(i => !i.folderId).length)}
+                            ${state.favorites.folders.map(folder => `
+                                <div class="flex items-center space-x-1">
+                                    ${folderButton(folder.id, folder.name, state.favorites.items.filter(i => i.folderId === folder.id).length)}
+                                    <button data-folder-id="${folder.id}" class="favorites-rename-folder-btn p-1 vpa-text-subdued hover:vpa-text-main" title="Rename folder">${createIconSpanHTML("edit", "default", "w-4 h-4")}</button>
+                                    <button data-folder-id="${folder.id}" class="favorites-delete-folder-btn p-1 vpa-text-subdued hover:text-red-400" title="Delete folder (items become Unfiled)">${createIconSpanHTML("delete", "default", "w-4 h-4")}</button>
+                                </div>`).join('')}
+                            <div class="flex items-center space-x-1 pt-2">
+                                <input type="text" id="favorites-new-folder-name" placeholder="New folder" class="flex-grow studio-input-base text-sm" />
+                                <button id="favorites-new-folder-btn" class="p-2 studio-button-secondary" title="Create folder">${createIconSpanHTML("create_new_folder", "default", "w-4 h-4")}</button>
+                            </div>
+                        </div>
+                        <div class="md:col-span-3 space-y-3">
+                            <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 items-end">
+                                ${createSelectFieldHTML("favorites-sort", "Sort", data.sort, Object.values(FAVORITE_SORT_OPTIONS), Object.keys(FAVORITE_SORT_OPTIONS))}
+                                ${createSelectFieldHTML("favorites-tag-filter", "Tag", data.tagFilter, ["All tags", ...allTags], ["", ...allTags])}
+                                ${createSelectFieldHTML("favorites-move-target", "Move selected to", "", folderOptionsDisplay, folderOptionsValues)}
+                                <div class="flex space-x-2">
+                                    <button id="favorites-move-btn" class="text-xs studio-button-secondary" ${data.selectedIds.length === 0 ? 'disabled' : ''}>Move (${data.selectedIds.length})</button>
+                                    <button id="favorites-delete-selected-btn" class="text-xs studio-button-secondary hover:bg-red-700 hover:border-red-600" ${data.selectedIds.length === 0 ? 'disabled' : ''}>Delete</button>
+                                </div>
+                            </div>
+                            <label class="flex items-center text-xs vpa-text-subdued space-x-2">
+                                <input type="checkbox" id="favorites-select-all" ${visibleFavorites.length > 0 && visibleFavorites.every(item => data.selectedIds.includes(item.id)) ? 'checked' : ''} />
+                                <span>Select all ${visibleFavorites.length} shown</span>
+                            </label>
+                            <ul class="space-y-3 max-h-[50vh] overflow-y-auto custom-scrollbar pr-2">
+                                ${visibleFavorites.length === 0 ? '<p class="vpa-text-subdued text-sm">No favorites here yet. Star a prompt to add it.</p>' : visibleFavorites.map(item => `
+                                    <li class="studio-bg-card-nested p-3 rounded-md border studio-border-soft space-y-2">
+                                        <div class="flex items-start space-x-2">
+                                            <input type="checkbox" data-favorite-id="${item.id}" class="favorites-select-checkbox mt-1" ${data.selectedIds.includes(item.id) ? 'checked' : ''} aria-label="Select favorite" />
+                                            <p class="text-sm vpa-text-main flex-grow whitespace-pre-wrap">${sanitizeHTML(item.text)}</p>
+                                        </div>
+                                        <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                            <input type="text" data-favorite-id="${item.id}" value="${sanitizeHTML(item.tags.join(', '))}" placeholder="Tags, comma-separated" class="favorites-tags-input studio-input-base text-xs" aria-label="Tags" />
+                                            <select data-favorite-id="${item.id}" class="favorites-folder-select studio-input-base text-xs" aria-label="Folder">
+                                                ${folderOptionsValues.map((value, i) => `<option value="${sanitizeHTML(value)}" ${(item.folderId || '') === value ? 'selected' : ''}>${sanitizeHTML(folderOptionsDisplay[i])}</option>`).join('')}
+                                            </select>
+                                        </div>
+                                        <textarea data-favorite-id="${item.id}" rows="2" placeholder="Private notes" class="favorites-notes-input w-full studio-input-base text-xs resize-y" aria-label="Notes">${sanitizeHTML(item.notes)}</textarea>
+                                        <div class="flex space-x-2 justify-end">
+                                            <button data-favorite-id="${item.id}" class="favorites-use-btn text-xs studio-button-secondary hover:bg-blue-600">Use as Base</button>
+                                            <button data-favorite-id="${item.id}" class="favorites-copy-btn text-xs studio-button-secondary hover:bg-purple-700 hover:border-purple-600">Copy</button>
+                                        </div>
+                                    </li>`).join('')}
+                            </ul>
+                        </div>
+                    </div>`;
+            }
+            case 'history':
+                return `
+                    <div class="space-y-4">
+                        <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                            ${createTextFieldHTML("history-search", "Search", data.filters.search, "Words in inputs or outputs...", "", "md:col-span-2 lg:col-span-1")}
+                            ${createSelectFieldHTML("history-mode", "Mode", data.filters.mode, ["All modes", "Generator", "Scene Extender"], ["", "generator", "sceneExtender"])}
+                            ${createSelectFieldHTML("history-actionKey", "Tool", data.filters.actionKey, ["All tools", ...Object.values(ACTION_DISPLAY_NAMES)], ["", ...Object.keys(ACTION_DISPLAY_NAMES)])}
+                            ${createSelectFieldHTML("history-style", "Style", data.filters.style, ["All styles", ...VEO_STYLES.filter(s => s)], ["", ...VEO_STYLES.filter(s => s)])}
+                        </div>
+                        <div id="history-results" class="space-y-4 max-h-[50vh] overflow-y-auto custom-scrollbar pr-2">
+                            ${renderHistoryResultsHTML(data)}
+                        </div>
+                        <div class="flex justify-between items-center pt-4 border-t studio-border-soft">
+                            <button id="history-clear-btn" class="px-4 py-2 text-sm font-medium rounded-md studio-button-secondary hover:bg-red-700 hover:border-red-600 flex items-center" title="Delete every history entry">
+                                ${createIconSpanHTML("delete", "default", "w-4 h-4 mr-2")} Clear History
+                            </button>
+                            <button id="history-done-btn" class="px-6 py-2 text-sm font-medium rounded-md studio-button-primary">Done</button>
+                        </div>
+                    </div>`;
+            case 'sessions': {
+                const activeSession = getActiveSession();
+                return `
+                    <div class="space-y-4">
+                        <div class="flex items-center space-x-2">
+                            <input type="text" id="session-new-name" placeholder="New session name (optional)" class="flex-grow studio-input-base text-sm" />
+                            <button id="session-new-btn" class="px-4 py-2 text-sm font-medium rounded-md studio-button-primary flex items-center shrink-0" title="Start a fresh session with a new ID">
+                                ${createIconSpanHTML("add", "default", "w-4 h-4 mr-2")} Start New Session
+                            </button>
+                        </div>
+                        <ul class="space-y-3 max-h-[50vh] overflow-y-auto custom-scrollbar pr-2">
+                            ${[...state.sessions].sort((a, b) => b.updatedAt - a.updatedAt).map(session => `
+                                <li class="studio-bg-card-nested p-3 rounded-md border ${session.id === activeSession.id ? 'border-purple-500/40' : 'studio-border-soft'}">
+                                    <div class="flex items-center space-x-2 mb-1">
+                                        <input type="text" data-session-id="${session.id}" value="${sanitizeHTML(session.name)}" class="session-rename-input flex-grow studio-input-base text-sm" aria-label="Session name" />
+                                        ${session.id === activeSession.id
+                                            ? '<span class="text-xs text-purple-400 font-medium px-2">Active</span>'
+                                            : `<button data-session-id="${session.id}" class="session-switch-btn text-xs studio-button-secondary hover:bg-purple-700 hover:border-purple-600" title="Trace later calls under this session">Switch</button>
+                                               <button data-session-id="${session.id}" class="session-delete-btn text-xs studio-button-secondary hover:bg-red-700 hover:border-red-600" title="Delete session">${createIconSpanHTML("delete", "default", "w-4 h-4")}</button>`}
+                                    </div>
+                                    <p class="text-xs vpa-text-faint">${session.prompts.length} prompt(s) · ${session.activity.length} call(s) · updated ${sanitizeHTML(new Date(session.updatedAt).toLocaleString())}</p>
+                                    <p class="text-xs vpa-text-faint font-mono truncate" title="Sent as the API sessionId">${sanitizeHTML(session.id)}</p>
+                                    ${session.activity.length > 0 ? `
+                                        <details class="mt-2">
+                                            <summary class="text-xs vpa-text-subdued cursor-pointer">Call trail</summary>
+                                            <ol class="list-decimal list-inside text-xs vpa-text-faint space-y-1 mt-1">
+                                                ${session.activity.slice(-20).map(entry => `<li><span class="text-purple-400">${sanitizeHTML(entry.actionKey)}</span> · ${sanitizeHTML(new Date(entry.at).toLocaleTimeString())} · ${sanitizeHTML(entry.input)}</li>`).join('')}
+                                            </ol>
+                                        </details>` : ''}
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </div>`;
+            }
+            case 'continuity': {
+                if (!result) return '';
+                const conflicts = result.conflicts || [];
+                const entities = result.entities || [];
+                const severityClasses = { high: 'text-red-400', medium: 'text-yellow-400', low: 'vpa-text-faint' };
+                return `
+                    <div class="space-y-4 max-h-[65vh] overflow-y-auto custom-scrollbar pr-2">
+                        ${result.summary ? `<p class="text-sm vpa-text-subdued">${sanitizeHTML(result.summary)}</p>` : ''}
+                        <div>
+                            <h4 class="font-semibold text-purple-300 mb-2">Conflicts (${conflicts.length}):</h4>
+                            ${conflicts.length === 0 ? '<p class="text-sm text-green-400">No continuity conflicts found across these shots.</p>' : `
+                            <ul class="space-y-3">
+                                ${conflicts.map((conflict, conflictIndex) => `
+                                    <li class="studio-bg-card-nested p-3 rounded-md border studio-border-soft">
+                                        <div class="flex items-center justify-between text-xs mb-1">
+                                            <span class="font-medium vpa-text-main">${sanitizeHTML(conflict.entity || 'Continuity')} · Shots ${sanitizeHTML((conflict.shots || []).join(', '))}</span>
+                                            <span class="uppercase font-semibold ${severityClasses[conflict.severity] || 'vpa-text-faint'}">${sanitizeHTML(conflict.severity || '')}</span>
+                                        </div>
+                                        <p class="text-sm vpa-text-subdued mb-2">${sanitizeHTML(conflict.issue)}</p>
+                                        ${(conflict.suggested_rewrites || []).map((rewrite, rewriteIndex) => `
+                                            <div class="p-2 rounded-md border studio-border-soft mt-2">
+                                                <p class="text-xs vpa-text-faint mb-1">Rewritten shot ${rewrite.shot}${data.shots[rewrite.shot - 1] ? ` (${sanitizeHTML(data.shots[rewrite.shot - 1].label)})` : ''}:</p>
+                                                <p class="text-sm vpa-text-main whitespace-pre-wrap mb-2">${sanitizeHTML(rewrite.rewritten_text)}</p>
+                                                <div class="flex justify-end">
+                                                    ${rewrite.applied
+                                                        ? '<span class="text-xs text-green-400">Applied</span>'
+                                                        : `<button data-conflict-index="${conflictIndex}" data-rewrite-index="${rewriteIndex}" ${data.shots[rewrite.shot - 1] ? '' : 'disabled'} class="continuity-apply-btn text-xs studio-button-secondary hover:bg-green-700 hover:border-green-600">Apply to Shot ${rewrite.shot}</button>`}
+                                                </div>
+                                            </div>`).join('')}
+                                    </li>`).join('')}
+                            </ul>`}
+                        </div>
+                        ${entities.length > 0 ? `
+                        <details>
+                            <summary class="text-sm vpa-text-subdued cursor-pointer">Entities by shot (${entities.length})</summary>
+                            <table class="w-full text-xs mt-2">
+                                <thead><tr class="vpa-text-faint text-left"><th class="p-1">Entity</th>${data.shots.map((_, index) => `<th class="p-1">Shot ${index + 1}</th>`).join('')}</tr></thead>
+                                <tbody>
+                                    ${entities.map(entity => `
+                                        <tr class="border-t studio-border-soft">
+                                            <td class="p-1 vpa-text-main">${sanitizeHTML(entity.name)}${entity.type ? ` <span class="vpa-text-faint">(${sanitizeHTML(entity.type.replace(/_/g, ' '))})</span>` : ''}</td>
+                                            ${data.shots.map((_, index) => `<td class="p-1 vpa-text-subdued">${sanitizeHTML((entity.appearances || []).filter(a => a.shot === index + 1).map(a => a.attributes).join('; ') || '—')}</td>`).join('')}
+                                        </tr>`).join('')}
+                                </tbody>
+                            </table>
+                        </details>` : ''}
+                        <div class="flex justify-end space-x-2">
+                            <button id="continuity-recheck-btn" class="text-sm studio-button-secondary">Re-check</button>
+                            ${data.returnTo ? '<button id="continuity-back-btn" class="text-sm studio-button-secondary">Back</button>' : ''}
+                        </div>
+                    </div>`;
+            }
             case 'critique':
                 if (result) {
                     return `
@@ -1463,7 +4809,7 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
                                         <h4 class="font-medium vpa-text-subdued mt-2 mb-1">${sanitizeHTML(title)}:</h4>
                                         <ul class="list-disc list-inside space-y-1 pl-1">
                                             ${(ideas).map(idea => `
-                                                <li data-idea-text="${sanitizeHTML(String(idea))}" data-is-audio="${isAudioCat}" class="theme-apply-idea text-sm vpa-text-faint hover:vpa-text-main hover:text-purple-400 cursor-pointer p-1 rounded hover:bg-purple-500/10 transition-colors" title="Click to add: &quot;${sanitizeHTML(String(idea))}&quot;">
+                                                <li data-idea-text="${sanitizeHTML(String(idea)).replace(/"/g, '&quot;')}" data-is-audio="${isAudioCat}" class="theme-apply-idea text-sm vpa-text-faint hover:vpa-text-main hover:text-purple-400 cursor-pointer p-1 rounded hover:bg-purple-500/10 transition-colors" title="Click to add: &quot;${sanitizeHTML(String(idea))}&quot;">
                                                     ${sanitizeHTML(String(idea))}
                                                 </li>`).join('')}
                                         </ul>
@@ -1519,6 +4865,7 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
                                         </li>
                                     `).join('')}
                                 </ul>
+                                <button id="sequence-continuity-btn" class="w-full mt-3 text-sm studio-button-secondary flex items-center justify-center">${createIconSpanHTML("fact_check", "default", "w-4 h-4 mr-2")} Check Continuity</button>
                             </div>` : '<p class="vpa-text-subdued">No sequence suggestions generated for this prompt.</p>'}
                         </div>`;
                 }
@@ -1534,7 +4881,10 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
                 if (result) {
                      charGenContent += `
                         <div class="space-y-3 max-h-[50vh] overflow-y-auto custom-scrollbar pr-2">
-                            <h3 class="text-lg font-semibold vpa-text-main">Details for: <span class="text-purple-400">${sanitizeHTML(result.character_concept)}</span></h3>
+                            <div class="flex items-center justify-between">
+                                <h3 class="text-lg font-semibold vpa-text-main">Details for: <span class="text-purple-400">${sanitizeHTML(result.character_concept)}</span></h3>
+                                <button id="char-gen-save-btn" class="text-xs studio-button-secondary flex items-center shrink-0">${createIconSpanHTML("bookmark_add", "default", "w-4 h-4 mr-1")} Save to Character Bible</button>
+                            </div>
                             ${Object.entries(result).map(([key, details]) => {
                                 if (key === 'character_concept' || !Array.isArray(details) || details.length === 0) return '';
                                 const title = key.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
@@ -1544,7 +4894,7 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
                                         <h4 class="font-medium vpa-text-subdued mt-2 mb-1">${sanitizeHTML(title)}:</h4>
                                         <ul class="list-disc list-inside space-y-1 pl-1">
                                             ${(details).map(detail => `
-                                                <li data-detail-text="${sanitizeHTML(String(detail))}" data-is-audio="${isAudioCat}" class="char-apply-detail text-sm vpa-text-faint hover:vpa-text-main hover:text-purple-400 cursor-pointer p-1 rounded hover:bg-purple-500/10 transition-colors" title="Click to add: &quot;${sanitizeHTML(String(detail))}&quot;">
+                                                <li data-detail-text="${sanitizeHTML(String(detail)).replace(/"/g, '&quot;')}" data-is-audio="${isAudioCat}" class="char-apply-detail text-sm vpa-text-faint hover:vpa-text-main hover:text-purple-400 cursor-pointer p-1 rounded hover:bg-purple-500/10 transition-colors" title="Click to add: &quot;${sanitizeHTML(String(detail))}&quot;">
                                                     ${sanitizeHTML(String(detail))}
                                                 </li>`).join('')}
                                         </ul>
@@ -1563,39 +4913,304 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
                             <p class="text-sm vpa-text-subdued whitespace-pre-wrap p-2 studio-bg-card-nested rounded-md max-h-40 overflow-y-auto custom-scrollbar">${sanitizeHTML(data.originalPromptText)}</p>
                         </div>
                         <div>
-                            <label for="targetStyleSelect" class="block text-sm font-medium vpa-text-subdued mb-1">New Target Style:</label>
-                            <select id="targetStyleSelect" class="w-full studio-input-base text-sm">
-                                ${VEO_STYLES.filter(s => s && s.trim() !== "").map(style => `<option value="${sanitizeHTML(style)}" ${style === data.targetStyle ? 'selected' : ''}>${sanitizeHTML(style)}</option>`).join('')}
-                            </select>
+                            <label for="targetStyleSelect" class="block text-sm font-medium vpa-text-subdued mb-1">New Target Style:</label>
+                            <select id="targetStyleSelect" class="w-full studio-input-base text-sm">
+                                ${VEO_STYLES.filter(s => s && s.trim() !== "").map(style => `<option value="${sanitizeHTML(style)}" ${style === data.targetStyle ? 'selected' : ''}>${sanitizeHTML(style)}</option>`).join('')}
+                            </select>
+                        </div>
+                        <button id="style-transfer-execute-btn" ${!data.targetStyle ? 'disabled' : ''} class="w-full studio-button-primary mt-2">Apply Style Transfer</button>
+                    </div>`;
+
+            case 'storyboard':
+                let storyboardContent = `
+                    <div class="space-y-4">
+                        <textarea id="storyboard-concept-input" placeholder="Enter core concept or brief prompt for storyboard..." rows="3" class="w-full studio-input-base text-sm">${sanitizeHTML(data.conceptInput || "")}</textarea>
+                        <button id="storyboard-generate-btn" ${(!data.conceptInput || !data.conceptInput.trim()) ? 'disabled' : ''} class="w-full studio-button-primary flex items-center justify-center">
+                            ${createIconSpanHTML("auto_stories", "default", "w-5 h-5 mr-2")} Generate Storyboard
+                        </button>`;
+                if (result) {
+                    const shots = result.storyboard_shots;
+                    const runtime = getStoryboardRuntime(result);
+                    const runtimeCheck = checkStoryboardRuntime(result);
+                    const runtimeClasses = { ok: 'text-green-400', under: 'text-yellow-400', over: 'text-red-400', unchecked: 'vpa-text-faint' };
+                    storyboardContent += `
+                        <div id="storyboard-timeline-scroll" class="space-y-4 max-h-[60vh] overflow-y-auto custom-scrollbar pr-2 mt-3">
+                            <div class="flex items-center justify-between">
+                                <h3 class="text-lg font-semibold vpa-text-main">Storyboard for: <span class="text-purple-400">${sanitizeHTML(result.original_concept)}</span></h3>
+                                <div class="flex items-center space-x-2 shrink-0">
+                                    <select id="storyboard-export-format" class="studio-input-base text-xs" aria-label="Export format">
+                                        ${Object.entries(STORYBOARD_EXPORT_FORMATS).map(([key, format]) => `<option value="${key}">${format.label}</option>`).join('')}
+                                    </select>
+                                    <button id="storyboard-export-btn" class="text-xs studio-button-secondary flex items-center">${createIconSpanHTML("download", "default", "w-4 h-4 mr-1")} Export</button>
+                                    <button id="storyboard-continuity-btn" class="text-xs studio-button-secondary flex items-center">${createIconSpanHTML("fact_check", "default", "w-4 h-4 mr-1")} Check Continuity</button>
+                                </div>
+                            </div>
+                            <div class="studio-bg-card-nested p-3 rounded-md border studio-border-soft space-y-2">
+                                <div class="flex items-center justify-between text-xs">
+                                    <span class="vpa-text-subdued">Runtime <span class="font-semibold vpa-text-main">${formatSeconds(runtime)}</span> across ${shots.length} shot(s)</span>
+                                    <select id="storyboard-target-duration" class="studio-input-base text-xs" aria-label="Target duration">
+                                        ${VEO_DURATION_HINTS.map(hint => `<option value="${sanitizeHTML(hint)}" ${hint === result.target_duration_hint ? 'selected' : ''}>${sanitizeHTML(hint || 'No target duration')}</option>`).join('')}
+                                    </select>
+                                </div>
+                                <div class="flex h-2 rounded-md overflow-hidden" aria-hidden="true">
+                                    ${shots.map((shot, index) => `<span title="Shot ${shot.shot_number}: ${formatSeconds(shot.duration_seconds)}" style="width: ${runtime ? (shot.duration_seconds / runtime) * 100 : 0}%; background-color: hsl(${260 + (index % 2) * 20}, 70%, ${index % 2 ? 45 : 60}%);"></span>`).join('')}
+                                </div>
+                                <p class="text-xs ${runtimeClasses[runtimeCheck.status]}">${sanitizeHTML(runtimeCheck.message)}</p>
+                            </div>
+                            ${shots.map((shot, index) => `
+                                <div draggable="true" data-shot-index="${index}" class="storyboard-shot-card studio-bg-card-nested p-3 rounded-md border studio-border-soft">
+                                    <div class="flex items-center justify-between mb-1">
+                                        <h4 class="font-medium vpa-text-main flex items-center">
+                                            <span class="cursor-move vpa-text-faint mr-1" title="Drag to reorder">${createIconSpanHTML("drag_indicator", "default", "w-4 h-4")}</span>
+                                            Shot ${shot.shot_number} ${shot.suggested_shot_type ? `(${sanitizeHTML(shot.suggested_shot_type)})` : ''}
+                                        </h4>
+                                        <label class="flex items-center text-xs vpa-text-faint">
+                                            <input type="number" min="${STORYBOARD_MIN_SHOT_SECONDS}" step="0.5" value="${shot.duration_seconds}" data-shot-index="${index}" class="storyboard-duration-input studio-input-base text-xs w-16 mr-1" aria-label="Shot ${shot.shot_number} duration in seconds" />s
+                                        </label>
+                                    </div>
+                                    ${shot.suggested_camera_angle ? `<p class="text-xs vpa-text-faint mb-1">Angle: ${sanitizeHTML(shot.suggested_camera_angle)}</p>` : ''}
+                                    <p class="text-sm vpa-text-subdued whitespace-pre-wrap mb-2">${sanitizeHTML(shot.description)}</p>
+                                    ${shot.audio_description ? `<div class="mb-2"><p class="text-xs font-semibold vpa-text-faint">Audio:</p><p class="text-xs vpa-text-faint italic">${sanitizeHTML(shot.audio_description)}</p></div>` : ''}
+                                    ${shot.key_elements && shot.key_elements.length > 0 ? `<div class="mb-2"><p class="text-xs font-semibold vpa-text-faint">Key Elements:</p><ul class="list-disc list-inside pl-2 text-xs vpa-text-faint">${shot.key_elements.map(el => `<li>${sanitizeHTML(el)}</li>`).join('')}</ul></div>` : ''}
+                                    <div class="flex items-center flex-wrap gap-2">
+                                        <button data-shot-description="${sanitizeHTML(shot.description)}" class="storyboard-apply-shot-btn text-xs studio-button-secondary hover:bg-purple-700 hover:border-purple-600">Use Shot as Base Prompt</button>
+                                        <span class="ml-auto"></span>
+                                        <button data-shot-index="${index}" data-timeline-edit="split" class="storyboard-timeline-btn text-xs studio-button-secondary" title="Split shot">${createIconSpanHTML("call_split", "default", "w-4 h-4")}</button>
+                                        <button data-shot-index="${index}" data-timeline-edit="merge" ${index === shots.length - 1 ? 'disabled' : ''} class="storyboard-timeline-btn text-xs studio-button-secondary" title="Merge with next shot">${createIconSpanHTML("merge", "default", "w-4 h-4")}</button>
+                                        <button data-shot-index="${index}" data-timeline-edit="duplicate" class="storyboard-timeline-btn text-xs studio-button-secondary" title="Duplicate shot">${createIconSpanHTML("content_copy", "default", "w-4 h-4")}</button>
+                                        <button data-shot-index="${index}" data-timeline-edit="delete" ${shots.length === 1 ? 'disabled' : ''} class="storyboard-timeline-btn text-xs studio-button-secondary hover:bg-red-700 hover:border-red-600" title="Delete shot">${createIconSpanHTML("delete", "default", "w-4 h-4")}</button>
+                                    </div>
+                                </div>
+                                ${index < shots.length - 1 ? `
+                                <div class="flex items-center justify-center text-xs vpa-text-faint">
+                                    <select data-shot-index="${index}" class="storyboard-transition-select studio-input-base text-xs" aria-label="Transition from shot ${shot.shot_number} to shot ${shot.shot_number + 1}">
+                                        ${Object.entries(STORYBOARD_TRANSITIONS).map(([key, transition]) => `<option value="${key}" ${key === shot.transition_to_next ? 'selected' : ''}>${transition.label}</option>`).join('')}
+                                    </select>
+                                </div>` : ''}
+                            `).join('')}
+                        </div>`;
+                }
+                storyboardContent += `</div>`;
+                return storyboardContent;
+
+            case 'segment': {
+                const clipCount = getSegmentClipCount(data.sceneSeconds, data.clipSeconds);
+                const reusedSettings = [state.promptParams.style, state.promptParams.cameraAngle, state.promptParams.cameraMovement, state.promptParams.lighting].filter(Boolean);
+                if (state.promptParams.enableAudioPrompting) reusedSettings.push(`Audio: ${AUDIO_LEVELS[state.promptParams.audioLevel].label}`);
+                let segmentContent = `
+                    <div class="space-y-4">
+                        <textarea id="segment-concept-input" placeholder="Describe the whole scene (30-60 seconds of action)..." rows="4" class="w-full studio-input-base text-sm">${sanitizeHTML(data.conceptInput || "")}</textarea>
+                        <div class="flex items-end gap-2">
+                            <label class="text-xs vpa-text-subdued flex-grow">Scene length (seconds)
+                                <input type="number" id="segment-scene-seconds" min="5" max="${SEGMENT_MAX_CLIPS * 8}" step="1" value="${data.sceneSeconds}" class="w-full studio-input-base text-sm mt-1" />
+                            </label>
+                            <label class="text-xs vpa-text-subdued flex-grow">Clip length
+                                <select id="segment-clip-seconds" class="w-full studio-input-base text-sm mt-1">
+                                    ${SEGMENT_CLIP_SECONDS_OPTIONS.map(seconds => `<option value="${seconds}" ${seconds === data.clipSeconds ? 'selected' : ''}>${seconds} seconds</option>`).join('')}
+                                </select>
+                            </label>
+                        </div>
+                        <p class="text-xs vpa-text-faint"><span id="segment-clip-count">${clipCount}</span> clip(s). Uses current settings: ${sanitizeHTML(reusedSettings.join(' · ') || 'none set')}</p>
+                        <button id="segment-generate-btn" ${(!data.conceptInput || !data.conceptInput.trim()) ? 'disabled' : ''} class="w-full studio-button-primary flex items-center justify-center">
+                            ${createIconSpanHTML("splitscreen", "default", "w-5 h-5 mr-2")} Segment into Clips
+                        </button>`;
+                if (result) {
+                    segmentContent += `
+                        <div class="space-y-3 max-h-[50vh] overflow-y-auto custom-scrollbar pr-2">
+                            <div class="flex items-center justify-end space-x-2">
+                                <button id="segment-add-all-btn" class="text-xs studio-button-secondary hover:bg-green-700 hover:border-green-600">Add All to My Prompts</button>
+                                <button id="segment-storyboard-btn" class="text-xs studio-button-secondary flex items-center">${createIconSpanHTML("view_carousel", "default", "w-4 h-4 mr-1")} Open as Storyboard</button>
+                            </div>
+                            ${result.clips.map((clip, index) => `
+                                <div class="studio-bg-card-nested p-3 rounded-md border studio-border-soft">
+                                    <h4 class="font-medium vpa-text-main mb-1">Clip ${clip.clip_number} <span class="text-xs vpa-text-faint">(${data.resultClipSeconds}s)</span></h4>
+                                    ${clip.opening_state ? `<p class="text-xs vpa-text-faint mb-1">Opens on: ${sanitizeHTML(clip.opening_state)}</p>` : ''}
+                                    <p class="text-sm vpa-text-subdued whitespace-pre-wrap mb-1">${sanitizeHTML(clip.prompt_text)}</p>
+                                    ${clip.audio_description ? `<p class="text-xs vpa-text-faint italic mb-1">Audio: ${sanitizeHTML(clip.audio_description)}</p>` : ''}
+                                    ${clip.ending_state ? `<p class="text-xs vpa-text-faint mb-2">Ends on: ${sanitizeHTML(clip.ending_state)}</p>` : ''}
+                                    <button data-clip-index="${index}" class="segment-add-btn text-xs studio-button-secondary hover:bg-green-700 hover:border-green-600">Add to My Prompts</button>
+                                </div>
+                            `).join('')}
+                        </div>`;
+                }
+                segmentContent += `</div>`;
+                return segmentContent;
+            }
+
+            case 'preambles': {
+                const override = getPreambleOverride(data.actionKey, data.variantKey);
+                const argNames = getPreambleArgNames(data.actionKey);
+                const unknownNames = getTemplateVariables(data.draft).filter(name => !argNames.includes(name) && !PREAMBLE_SHARED_ARG_NAMES.includes(name));
+                const activeVersion = override ? override.activeVersion : null;
+                return `
+                    <div class="space-y-4">
+                        <div class="flex flex-wrap items-end gap-2">
+                            <label class="text-xs vpa-text-subdued flex flex-col">Action
+                                <select id="preamble-action-select" class="studio-input-base text-sm mt-1">
+                                    ${Object.keys(PREAMBLE_CONFIG).map(actionKey => {
+                                        const overridden = Object.keys(PREAMBLE_VARIANT_LABELS).some(variantKey => getActivePreambleOverrideText(actionKey, variantKey) !== null);
+                                        return `<option value="${actionKey}" ${actionKey === data.actionKey ? 'selected' : ''}>${sanitizeHTML(ACTION_DISPLAY_NAMES[actionKey] || actionKey)}${overridden ? ' •' : ''}</option>`;
+                                    }).join('')}
+                                </select>
+                            </label>
+                            <label class="text-xs vpa-text-subdued flex flex-col">Variant
+                                <select id="preamble-variant-select" class="studio-input-base text-sm mt-1">
+                                    ${Object.entries(PREAMBLE_VARIANT_LABELS).map(([variantKey, label]) => `<option value="${variantKey}" ${variantKey === data.variantKey ? 'selected' : ''}>${label}${getActivePreambleOverrideText(data.actionKey, variantKey) !== null ? ' •' : ''}</option>`).join('')}
+                                </select>
+                            </label>
+                            <div class="ml-auto flex space-x-2">
+                                <input type="file" id="preamble-import-input" accept=".json,application/json" class="hidden" />
+                                <button id="preamble-import-btn" class="text-sm studio-button-secondary flex items-center">${createIconSpanHTML("upload_file", "default", "w-4 h-4 mr-1")} Import JSON</button>
+                                <button id="preamble-export-btn" class="text-sm studio-button-secondary flex items-center">${createIconSpanHTML("download", "default", "w-4 h-4 mr-1")} Export JSON</button>
+                            </div>
+                        </div>
+                        <p class="text-xs vpa-text-faint">
+                            ${activeVersion === null ? 'Using the built-in preamble.' : `Using override v${activeVersion + 1} (saved ${new Date(override.versions[activeVersion].savedAt).toLocaleString()}).`}
+                            Placeholders: ${[...argNames, ...PREAMBLE_SHARED_ARG_NAMES].map(name => `<code class="text-purple-300">{{${name}}}</code>`).join(' ')}.
+                            ${data.variantKey === 'audioOn' ? 'The chosen audio level\'s instruction is appended unless the text uses {{audioInstruction}}.' : ''}
+                        </p>
+                        <textarea id="preamble-editor-text" rows="16" class="w-full studio-input-base text-xs font-mono custom-scrollbar" spellcheck="false">${sanitizeHTML(data.draft)}</textarea>
+                        <p id="preamble-unknown-placeholders" class="text-xs text-yellow-400" ${unknownNames.length ? '' : 'style="display:none;"'}>Unknown placeholders are sent as written: ${sanitizeHTML(unknownNames.map(name => `{{${name}}}`).join(' '))}</p>
+                        <div class="flex flex-wrap justify-end gap-2">
+                            ${data.returnTo ? '<button id="preamble-back-btn" class="text-sm studio-button-secondary mr-auto">Back</button>' : ''}
+                            <button id="preamble-load-builtin-btn" class="text-sm studio-button-secondary" title="Replace the editor text with the built-in preamble">Load Built-in Text</button>
+                            <button id="preamble-reset-btn" class="text-sm studio-button-secondary hover:bg-red-700 hover:border-red-600" ${activeVersion === null ? 'disabled' : ''}>Reset to Built-in</button>
+                            <button id="preamble-save-btn" class="text-sm studio-button-primary">Save as v${(override?.versions.length || 0) + 1}</button>
+                        </div>
+                        ${override && override.versions.length ? `
+                        <div class="border-t studio-border-soft pt-3">
+                            <h4 class="text-xs font-medium vpa-text-subdued mb-2">Version history</h4>
+                            <ul class="space-y-1 max-h-40 overflow-y-auto custom-scrollbar text-xs">
+                                ${override.versions.map((version, index) => ({ version, index })).reverse().map(({ version, index }) => `
+                                    <li class="flex items-center gap-2">
+                                        <span class="${index === activeVersion ? 'text-green-400 font-medium' : 'vpa-text-subdued'}">v${index + 1}${index === activeVersion ? ' (active)' : ''}</span>
+                                        <span class="vpa-text-faint">${new Date(version.savedAt).toLocaleString()} · ${version.text.length} chars</span>
+                                        <button data-version-index="${index}" class="preamble-load-version-btn ml-auto text-xs studio-button-secondary">Load</button>
+                                        <button data-version-index="${index}" class="preamble-use-version-btn text-xs studio-button-secondary hover:bg-green-700 hover:border-green-600" ${index === activeVersion ? 'disabled' : ''}>Use</button>
+                                    </li>`).join('')}
+                            </ul>
+                        </div>` : ''}
+                    </div>`;
+            }
+
+            case 'compare': {
+                if (!data.variants) return ''; // Filled in by openModal right after the first render
+                const variants = data.variants;
+                let compareContent = `
+                    <div class="space-y-4">
+                        <textarea id="compare-description-input" placeholder="Describe the shot to compare..." rows="3" class="w-full studio-input-base text-sm">${sanitizeHTML(data.description || "")}</textarea>
+                        <div class="grid grid-cols-1 ${COMPARE_GRID_CLASSES[variants.length]} gap-3">
+                            ${variants.map((variant, index) => `
+                                <div class="studio-bg-card-nested p-3 rounded-md border studio-border-soft space-y-2">
+                                    <div class="flex items-center justify-between">
+                                        <h4 class="font-medium vpa-text-main">Variant ${getCompareVariantLabel(index)}</h4>
+                                        ${variants.length > COMPARE_MIN_VARIANTS ? `<button data-variant-index="${index}" class="compare-remove-variant-btn p-1 vpa-text-faint hover:text-white" aria-label="Remove variant ${getCompareVariantLabel(index)}" title="Remove Variant">${createIconSpanHTML("close", "default", "w-4 h-4")}</button>` : ''}
+                                    </div>
+                                    ${COMPARE_PARAM_FIELDS.map(field => `
+                                        <label class="block text-xs vpa-text-subdued">${field.label}
+                                            <select data-variant-index="${index}" data-field="${field.key}" class="compare-param-select w-full studio-input-base text-sm mt-1">
+                                                ${field.options.map(option => `<option value="${sanitizeHTML(option)}" ${option === variant[field.key] ? 'selected' : ''}>${sanitizeHTML(option || "Any / Auto")}</option>`).join('')}
+                                            </select>
+                                        </label>`).join('')}
+                                </div>`).join('')}
+                        </div>
+                        <div class="flex space-x-2">
+                            <button id="compare-add-variant-btn" class="text-sm studio-button-secondary flex items-center" ${variants.length >= COMPARE_MAX_VARIANTS ? 'disabled' : ''}>${createIconSpanHTML("add", "default", "w-4 h-4 mr-1")} Add Variant</button>
+                            <button id="compare-run-btn" ${(!data.description || !data.description.trim()) ? 'disabled' : ''} class="flex-grow studio-button-primary flex items-center justify-center">
+                                ${createIconSpanHTML("compare", "default", "w-5 h-5 mr-2")} Compare ${variants.length} Variants
+                            </button>
+                        </div>`;
+                if (result) {
+                    // Columns keep the parameter sets they were generated with, so later edits above don't relabel them
+                    const resultVariants = result.columns.map(column => column.variant);
+                    compareContent += `
+                        <div class="grid grid-cols-1 ${COMPARE_GRID_CLASSES[result.columns.length]} gap-3 max-h-[50vh] overflow-y-auto custom-scrollbar pr-2">
+                            ${result.columns.map((column, index) => `
+                                <div class="studio-bg-card-nested p-3 rounded-md border studio-border-soft flex flex-col">
+                                    <h4 class="font-medium vpa-text-main">Variant ${getCompareVariantLabel(index)}</h4>
+                                    <p class="text-xs text-purple-300 mb-2">${sanitizeHTML(getCompareDifferences(resultVariants, column.variant).join(' · ') || 'Same settings')}</p>
+                                    <div class="flex-grow space-y-2 mb-3">
+                                        ${column.prompts.map(text => `<p class="text-sm vpa-text-subdued whitespace-pre-wrap">${sanitizeHTML(text)}</p>`).join('')}
+                                        ${column.error ? `<p class="text-sm text-red-400">${sanitizeHTML(column.error)}</p>` : ''}
+                                    </div>
+                                    ${column.sentRequest ? `<div class="mb-2">${renderSentContentHTML(column.sentRequest, false)}</div>` : ''}
+                                    <button data-column-index="${index}" class="compare-winner-btn text-xs studio-button-secondary hover:bg-green-700 hover:border-green-600" ${column.error ? 'disabled' : ''}>Pick as Winner</button>
+                                </div>`).join('')}
+                        </div>`;
+                }
+                compareContent += `</div>`;
+                return compareContent;
+            }
+
+            case 'audioTrack': {
+                const track = data.track;
+                const targetCount = state.generatedPrompts.length;
+                const renderRemoveButton = (lane, index) => `<button data-lane="${lane.key}" data-index="${index}" class="audio-track-remove-btn p-1 vpa-text-faint hover:text-white shrink-0" aria-label="Remove ${lane.label} item" title="Remove">${createIconSpanHTML("close", "default", "w-4 h-4")}</button>`;
+                const renderField = (lane, index, field, value, placeholder, widthClass) => `<input type="text" data-lane="${lane.key}" data-index="${index}" data-field="${field}" value="${sanitizeHTML(value || '')}" placeholder="${placeholder}" class="audio-track-field studio-input-base text-sm ${widthClass}" ${field === 'speaker' ? 'list="audio-track-speakers"' : ''} />`;
+                return `
+                    <div class="space-y-4">
+                        <p class="text-sm vpa-text-subdued whitespace-pre-wrap p-3 studio-bg-card-nested rounded-md border studio-border-soft max-h-32 overflow-y-auto custom-scrollbar">${sanitizeHTML(data.body || (data.promptId ? '' : 'The description is empty.'))}</p>
+                        <datalist id="audio-track-speakers">${state.characterBible.map(c => `<option value="${sanitizeHTML(c.name)}"></option>`).join('')}</datalist>
+                        <div class="space-y-3 max-h-[50vh] overflow-y-auto custom-scrollbar pr-2">
+                            ${AUDIO_TRACK_LANES.map(lane => `
+                                <div class="studio-bg-card-nested p-3 rounded-md border studio-border-soft space-y-2">
+                                    <div class="flex items-center justify-between">
+                                        <h4 class="font-medium vpa-text-main">${lane.label}</h4>
+                                        <button data-lane="${lane.key}" class="audio-track-add-btn text-xs studio-button-secondary flex items-center">${createIconSpanHTML("add", "default", "w-4 h-4 mr-1")} Add ${lane.key === 'dialogue' ? 'Line' : 'Cue'}</button>
+                                    </div>
+                                    ${track[lane.key].length === 0 ? `<p class="text-xs vpa-text-faint">No ${lane.label.toLowerCase()} yet.</p>` : ''}
+                                    ${track[lane.key].map((item, index) => `
+                                        <div class="flex flex-wrap items-center gap-2">
+                                            ${lane.key === 'dialogue' ? `
+                                                ${renderField(lane, index, 'speaker', item.speaker, 'Speaker', 'w-32')}
+                                                ${renderField(lane, index, 'delivery', item.delivery, 'Delivery, e.g. whispering', 'w-32')}
+                                                ${renderField(lane, index, 'timing', item.timing, 'At', 'w-16')}
+                                                ${renderField(lane, index, 'line', item.line, lane.placeholder, 'flex-1')}` : `
+                                                ${renderField(lane, index, 'text', item.text, lane.placeholder, 'flex-1')}
+                                                ${renderField(lane, index, 'timing', item.timing, 'At', 'w-16')}`}
+                                            ${renderRemoveButton(lane, index)}
+                                        </div>`).join('')}
+                                </div>`).join('')}
+                        </div>
+                        <div>
+                            <h4 class="font-semibold text-purple-300 text-sm mb-1">Compiled audio</h4>
+                            <p id="audio-track-preview" class="text-sm vpa-text-subdued whitespace-pre-wrap p-3 studio-bg-card-nested rounded-md border studio-border-soft">${sanitizeHTML(compileAudioTrack(track) || 'No audio cues; applying removes the audio section.')}</p>
+                            <p class="text-xs vpa-text-faint mt-1">Timing is free text, e.g. 2s or 0:03. Existing free-text audio is loaded into Ambience. Apply to All replaces only the lanes you changed.</p>
+                        </div>
+                        <div class="flex space-x-2">
+                            ${targetCount > 0 ? `<button id="audio-track-apply-all-btn" class="text-sm studio-button-secondary">Apply to All ${targetCount} Prompts</button>` : ''}
+                            <button id="audio-track-apply-btn" class="flex-grow studio-button-primary flex items-center justify-center">
+                                ${createIconSpanHTML("queue_music", "default", "w-5 h-5 mr-2")} Apply to ${data.promptId ? 'Prompt' : 'Description'}
+                            </button>
                         </div>
-                        <button id="style-transfer-execute-btn" ${!data.targetStyle ? 'disabled' : ''} class="w-full studio-button-primary mt-2">Apply Style Transfer</button>
                     </div>`;
+            }
 
-            case 'storyboard':
-                let storyboardContent = `
+            case 'template': {
+                const names = getTemplateVariables(state.promptParams.description);
+                const valueLists = getTemplateValueLists(names);
+                return `
                     <div class="space-y-4">
-                        <textarea id="storyboard-concept-input" placeholder="Enter core concept or brief prompt for storyboard..." rows="3" class="w-full studio-input-base text-sm">${sanitizeHTML(data.conceptInput || "")}</textarea>
-                        <button id="storyboard-generate-btn" ${(!data.conceptInput || !data.conceptInput.trim()) ? 'disabled' : ''} class="w-full studio-button-primary flex items-center justify-center">
-                            ${createIconSpanHTML("auto_stories", "default", "w-5 h-5 mr-2")} Generate Storyboard
-                        </button>`;
-                if (result) {
-                    storyboardContent += `
-                        <div class="space-y-4 max-h-[60vh] overflow-y-auto custom-scrollbar pr-2 mt-3">
-                            <h3 class="text-lg font-semibold vpa-text-main">Storyboard for: <span class="text-purple-400">${sanitizeHTML(result.original_concept)}</span></h3>
-                            ${result.storyboard_shots.map(shot => `
-                                <div class="studio-bg-card-nested p-3 rounded-md border studio-border-soft">
-                                    <h4 class="font-medium vpa-text-main mb-1">Shot ${shot.shot_number} ${shot.suggested_shot_type ? `(${sanitizeHTML(shot.suggested_shot_type)})` : ''}</h4>
-                                    ${shot.suggested_camera_angle ? `<p class="text-xs vpa-text-faint mb-1">Angle: ${sanitizeHTML(shot.suggested_camera_angle)}</p>` : ''}
-                                    <p class="text-sm vpa-text-subdued whitespace-pre-wrap mb-2">${sanitizeHTML(shot.description)}</p>
-                                    ${shot.audio_description ? `<div class="mb-2"><p class="text-xs font-semibold vpa-text-faint">Audio:</p><p class="text-xs vpa-text-faint italic">${sanitizeHTML(shot.audio_description)}</p></div>` : ''}
-                                    ${shot.key_elements && shot.key_elements.length > 0 ? `<div class="mb-2"><p class="text-xs font-semibold vpa-text-faint">Key Elements:</p><ul class="list-disc list-inside pl-2 text-xs vpa-text-faint">${shot.key_elements.map(el => `<li>${sanitizeHTML(el)}</li>`).join('')}</ul></div>` : ''}
-                                    <button data-shot-description="${sanitizeHTML(shot.description)}" class="storyboard-apply-shot-btn text-xs studio-button-secondary hover:bg-purple-700 hover:border-purple-600">Use Shot as Base Prompt</button>
-                                </div>
-                            `).join('')}
-                        </div>`;
-                }
-                storyboardContent += `</div>`;
-                return storyboardContent;
+                        <p class="text-sm vpa-text-subdued whitespace-pre-wrap p-3 studio-bg-card-nested rounded-md border studio-border-soft max-h-32 overflow-y-auto custom-scrollbar">${sanitizeHTML(state.promptParams.description).replace(TEMPLATE_VARIABLE_REGEX, '<span class="text-purple-300 font-medium">{{$1}}</span>')}</p>
+                        ${names.length === 0 ? '<p class="vpa-text-subdued text-sm text-center py-6">Add placeholders such as <code>{{subject}}</code> to the description to use it as a template.</p>' : `
+                        <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+                            ${names.map((name, i) => `
+                                <label class="text-xs vpa-text-subdued">{{${sanitizeHTML(name)}}} <span class="vpa-text-faint">· <span data-variable-count="${sanitizeHTML(name)}">${valueLists[i].length}</span> value(s)</span>
+                                    <textarea data-variable="${sanitizeHTML(name)}" rows="4" placeholder="One value per line" class="template-values-input w-full studio-input-base text-sm mt-1">${sanitizeHTML(state.template.values[name] || '')}</textarea>
+                                </label>`).join('')}
+                        </div>
+                        <div class="flex flex-wrap items-end gap-2">
+                            <p class="text-xs vpa-text-faint flex-grow"><span id="template-combination-count">${countTemplateCombinations(valueLists)}</span> combination(s), one generation each via Batch Generation with the current settings.</p>
+                            <label class="text-xs vpa-text-subdued">Sample
+                                <input type="number" id="template-sample-size" min="1" max="${BATCH_MAX_ROWS}" step="1" value="${state.template.sampleSize || ''}" placeholder="All" class="w-16 studio-input-base text-sm ml-1" />
+                            </label>
+                        </div>
+                        <button id="template-expand-btn" ${state.batch.isRunning ? 'disabled' : ''} class="w-full studio-button-primary flex items-center justify-center">
+                            ${createIconSpanHTML("dynamic_feed", "default", "w-5 h-5 mr-2")} Expand & Generate
+                        </button>
+                        ${state.batch.isRunning ? '<p class="text-xs vpa-text-faint text-center">A batch is already running.</p>' : ''}`}
+                    </div>`;
+            }
 
             case 'visualize':
                 let visualizeContent = `
@@ -1629,6 +5244,18 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
         }
     }
 
+    function attachHistoryResultListeners() {
+        const resultsContainer = generalModalContainer.querySelector('#history-results');
+        if (!resultsContainer) return;
+        resultsContainer.querySelector('#history-load-more-btn')?.addEventListener('click', () => loadHistoryPage(false));
+        resultsContainer.querySelectorAll('.history-restore-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => handleRestoreHistoryEntry(e.currentTarget.dataset.historyId));
+        });
+        resultsContainer.querySelectorAll('.history-delete-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => handleDeleteHistoryEntry(e.currentTarget.dataset.historyId));
+        });
+    }
+
     function attachModalSpecificEventListeners(type) {
         const modalInnerContainer = generalModalContainer.querySelector('#modal-inner-container');
         if (!modalInnerContainer) return;
@@ -1639,7 +5266,258 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
             modalInnerContainer.querySelectorAll('select, input').forEach(el => {
                 el.addEventListener('change', (e) => {
                     const paramName = e.target.id.replace('adv-', '');
-                    state.promptParams[paramName] = e.target.value;
+                    handleParamChange({ [paramName]: e.target.value }); // Records an undo point
+                });
+            });
+        } else if (type === 'characterBible') {
+            const data = state.activeModal.data;
+            modalInnerContainer.querySelector('#character-new-btn')?.addEventListener('click', () => handleCreateCharacter());
+            modalInnerContainer.querySelectorAll('.character-select-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    data.selectedId = e.currentTarget.dataset.characterId;
+                    renderApp();
+                });
+            });
+            modalInnerContainer.querySelectorAll('.character-field').forEach(input => {
+                input.addEventListener('change', (e) => handleUpdateCharacter(data.selectedId, e.target.dataset.field, e.target.value));
+            });
+            const imageInput = modalInnerContainer.querySelector('#character-image-input');
+            modalInnerContainer.querySelector('#character-image-btn')?.addEventListener('click', () => imageInput?.click());
+            imageInput?.addEventListener('change', (e) => handleCharacterImageSelected(data.selectedId, e.target.files[0]));
+            modalInnerContainer.querySelector('#character-image-clear-btn')?.addEventListener('click', () => handleUpdateCharacter(data.selectedId, 'referenceImage', null));
+            modalInnerContainer.querySelector('#character-delete-btn')?.addEventListener('click', () => handleDeleteCharacter(data.selectedId));
+            modalInnerContainer.querySelector('#character-insert-btn')?.addEventListener('click', () => handleInsertCharacterMention(data.selectedId));
+        } else if (type === 'continuity') {
+            const data = state.activeModal.data;
+            modalInnerContainer.querySelectorAll('.continuity-apply-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => handleApplyContinuityRewrite(parseInt(e.currentTarget.dataset.conflictIndex, 10), parseInt(e.currentTarget.dataset.rewriteIndex, 10)));
+            });
+            modalInnerContainer.querySelector('#continuity-recheck-btn')?.addEventListener('click', handleCheckContinuity);
+            modalInnerContainer.querySelector('#continuity-back-btn')?.addEventListener('click', () => {
+                state.activeModal = { ...data.returnTo, isLoading: false, error: null };
+                renderApp();
+            });
+        } else if (type === 'lineage') {
+            const data = state.activeModal.data;
+            modalInnerContainer.querySelectorAll('.lineage-select-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    data.selectedVersionId = e.currentTarget.dataset.versionId;
+                    renderApp();
+                });
+            });
+            modalInnerContainer.querySelector('#lineage-compare-btn')?.addEventListener('click', () => {
+                data.compare = !data.compare;
+                renderApp();
+            });
+            modalInnerContainer.querySelector('#lineage-restore-btn')?.addEventListener('click', () => handleRestorePromptVersion(data.promptId, data.selectedVersionId));
+        } else if (type === 'diffReview') {
+            const data = state.activeModal.data;
+            const setAllHunks = (accepted) => {
+                data.segments.forEach(seg => { if (seg.type === 'change') seg.accepted = accepted; });
+                renderApp();
+            };
+            modalInnerContainer.querySelectorAll('.diff-hunk').forEach(span => {
+                span.addEventListener('click', (e) => {
+                    const hunk = data.segments.find(seg => seg.id === e.currentTarget.dataset.hunkId);
+                    if (hunk) hunk.accepted = !hunk.accepted;
+                    renderApp();
+                });
+            });
+            modalInnerContainer.querySelector('#diff-accept-all-btn')?.addEventListener('click', () => setAllHunks(true));
+            modalInnerContainer.querySelector('#diff-reject-all-btn')?.addEventListener('click', () => setAllHunks(false));
+            modalInnerContainer.querySelector('#diff-back-btn')?.addEventListener('click', () => {
+                state.activeModal = { ...data.returnTo, isLoading: false, error: null };
+                renderApp();
+            });
+            modalInnerContainer.querySelector('#diff-commit-btn')?.addEventListener('click', handleCommitDiffReview);
+        } else if (type === 'batch') {
+            const fileInput = modalInnerContainer.querySelector('#batch-file-input');
+            modalInnerContainer.querySelector('#batch-import-btn')?.addEventListener('click', () => fileInput?.click());
+            fileInput?.addEventListener('change', (e) => handleBatchFileSelected(e.target.files[0]));
+            modalInnerContainer.querySelector('#batch-concurrency')?.addEventListener('change', (e) => {
+                state.batch.concurrency = parseInt(e.target.value, 10) || DEFAULT_BATCH_CONCURRENCY;
+            });
+            modalInnerContainer.querySelector('#batch-group-by')?.addEventListener('change', (e) => {
+                state.batch.groupBy = e.target.value;
+                renderApp();
+            });
+            modalInnerContainer.querySelector('#batch-run-btn')?.addEventListener('click', runBatchQueue);
+            modalInnerContainer.querySelector('#batch-stop-btn')?.addEventListener('click', handleStopBatch);
+            modalInnerContainer.querySelector('#batch-retry-failed-btn')?.addEventListener('click', () => {
+                handleRetryBatchRows(state.batch.rows.filter(row => row.status === 'failed').map(row => row.id));
+            });
+            modalInnerContainer.querySelectorAll('.batch-retry-row-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => handleRetryBatchRows([e.currentTarget.dataset.rowId]));
+            });
+            modalInnerContainer.querySelectorAll('.batch-use-row-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => handleUseBatchRow(e.currentTarget.dataset.rowId));
+            });
+            modalInnerContainer.querySelectorAll('.batch-export-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => handleExportBatch(e.currentTarget.dataset.format));
+            });
+            modalInnerContainer.querySelector('#batch-clear-btn')?.addEventListener('click', () => {
+                state.batch = { ...state.batch, fileName: '', rows: [], groupBy: '' };
+                renderApp();
+            });
+        } else if (type === 'projects') {
+            modalInnerContainer.querySelector('#project-new-btn')?.addEventListener('click', () => {
+                handleCreateProject(modalInnerContainer.querySelector('#project-new-name')?.value);
+            });
+            modalInnerContainer.querySelector('#project-show-archived')?.addEventListener('change', (e) => {
+                state.activeModal.data.showArchived = e.target.checked;
+                renderApp();
+            });
+            modalInnerContainer.querySelectorAll('.project-rename-input').forEach(input => {
+                input.addEventListener('change', (e) => handleRenameProject(e.target.dataset.projectId, e.target.value));
+            });
+            modalInnerContainer.querySelectorAll('.project-switch-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => handleSwitchProject(e.currentTarget.dataset.projectId));
+            });
+            modalInnerContainer.querySelectorAll('.project-duplicate-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => handleDuplicateProject(e.currentTarget.dataset.projectId));
+            });
+            modalInnerContainer.querySelectorAll('.project-archive-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => handleToggleArchiveProject(e.currentTarget.dataset.projectId));
+            });
+            modalInnerContainer.querySelectorAll('.project-asset-open-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => handleOpenProjectAsset(e.currentTarget.dataset.assetKind, e.currentTarget.dataset.assetId));
+            });
+            modalInnerContainer.querySelectorAll('.project-asset-remove-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => handleRemoveProjectAsset(e.currentTarget.dataset.assetKind, e.currentTarget.dataset.assetId));
+            });
+        } else if (type === 'favorites') {
+            const data = state.activeModal.data;
+            modalInnerContainer.querySelectorAll('.favorites-folder-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    data.folderFilter = e.currentTarget.dataset.folderFilter;
+                    data.selectedIds = [];
+                    renderApp();
+                });
+            });
+            modalInnerContainer.querySelector('#favorites-new-folder-btn')?.addEventListener('click', () => {
+                handleCreateFavoriteFolder(modalInnerContainer.querySelector('#favorites-new-folder-name')?.value);
+            });
+            modalInnerContainer.querySelectorAll('.favorites-rename-folder-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => handleRenameFavoriteFolder(e.currentTarget.dataset.folderId));
+            });
+            modalInnerContainer.querySelectorAll('.favorites-delete-folder-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => handleDeleteFavoriteFolder(e.currentTarget.dataset.folderId));
+            });
+            modalInnerContainer.querySelector('#favorites-sort')?.addEventListener('change', (e) => {
+                data.sort = e.target.value;
+                renderApp();
+            });
+            modalInnerContainer.querySelector('#favorites-tag-filter')?.addEventListener('change', (e) => {
+                data.tagFilter = e.target.value;
+                data.selectedIds = [];
+                renderApp();
+            });
+            modalInnerContainer.querySelector('#favorites-select-all')?.addEventListener('change', (e) => {
+                data.selectedIds = e.target.checked ? getVisibleFavorites(data).map(item => item.id) : [];
+                renderApp();
+            });
+            modalInnerContainer.querySelectorAll('.favorites-select-checkbox').forEach(box => {
+                box.addEventListener('change', (e) => {
+                    const id = e.target.dataset.favoriteId;
+                    data.selectedIds = e.target.checked ? [...data.selectedIds, id] : data.selectedIds.filter(selectedId => selectedId !== id);
+                    renderApp();
+                });
+            });
+            modalInnerContainer.querySelector('#favorites-move-btn')?.addEventListener('click', () => {
+                handleMoveFavorites(data.selectedIds, modalInnerContainer.querySelector('#favorites-move-target').value || null);
+            });
+            modalInnerContainer.querySelector('#favorites-delete-selected-btn')?.addEventListener('click', () => handleDeleteFavorites(data.selectedIds));
+            modalInnerContainer.querySelectorAll('.favorites-tags-input').forEach(input => {
+                input.addEventListener('change', (e) => handleUpdateFavorite(e.target.dataset.favoriteId, { tags: parseTagList(e.target.value) }));
+            });
+            modalInnerContainer.querySelectorAll('.favorites-notes-input').forEach(input => {
+                input.addEventListener('change', (e) => handleUpdateFavorite(e.target.dataset.favoriteId, { notes: e.target.value }));
+            });
+            modalInnerContainer.querySelectorAll('.favorites-folder-select').forEach(select => {
+                select.addEventListener('change', (e) => handleMoveFavorites([e.target.dataset.favoriteId], e.target.value || null));
+            });
+            modalInnerContainer.querySelectorAll('.favorites-use-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    const item = state.favorites.items.find(f => f.id === e.currentTarget.dataset.favoriteId);
+                    if (!item) return;
+                    closeModal();
+                    handleUseAsBase(item.text);
+                });
+            });
+            modalInnerContainer.querySelectorAll('.favorites-copy-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    const item = state.favorites.items.find(f => f.id === e.currentTarget.dataset.favoriteId);
+                    if (item) GM_setClipboard(item.text, 'text');
+                    showTemporaryNotification("Copied to clipboard", 'success');
+                });
+            });
+        } else if (type === 'history') {
+            let searchDebounce = null;
+            modalInnerContainer.querySelector('#history-search')?.addEventListener('input', (e) => {
+                clearTimeout(searchDebounce);
+                searchDebounce = setTimeout(() => {
+                    state.activeModal.data.filters.search = e.target.value;
+                    loadHistoryPage(true);
+                }, 250);
+            });
+            modalInnerContainer.querySelectorAll('select[id^="history-"]').forEach(el => {
+                el.addEventListener('change', (e) => {
+                    state.activeModal.data.filters[e.target.id.replace('history-', '')] = e.target.value;
+                    loadHistoryPage(true);
+                });
+            });
+            modalInnerContainer.querySelector('#history-clear-btn')?.addEventListener('click', handleClearHistory);
+            modalInnerContainer.querySelector('#history-done-btn')?.addEventListener('click', closeModal);
+            attachHistoryResultListeners();
+        } else if (type === 'sessions') {
+            modalInnerContainer.querySelector('#session-new-btn')?.addEventListener('click', () => {
+                handleNewSession(modalInnerContainer.querySelector('#session-new-name')?.value);
+            });
+            modalInnerContainer.querySelectorAll('.session-rename-input').forEach(input => {
+                input.addEventListener('change', (e) => handleRenameSession(e.target.dataset.sessionId, e.target.value));
+            });
+            modalInnerContainer.querySelectorAll('.session-switch-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => handleSwitchSession(e.currentTarget.dataset.sessionId));
+            });
+            modalInnerContainer.querySelectorAll('.session-delete-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => handleDeleteSession(e.currentTarget.dataset.sessionId));
+            });
+        } else if (type === 'connectionSettings') {
+            modalInnerContainer.querySelector('#conn-done-btn')?.addEventListener('click', closeModal);
+            modalInnerContainer.querySelector('#conn-reset-btn')?.addEventListener('click', () => {
+                handleRequestSettingsChange({ ...DEFAULT_REQUEST_SETTINGS });
+                handleProviderSettingsChange({ ...DEFAULT_PROVIDER_SETTINGS });
+                renderApp();
+            });
+            modalInnerContainer.querySelector('#provider-providerId')?.addEventListener('change', (e) => {
+                handleProviderSettingsChange({ providerId: e.target.value });
+                renderApp(); // Show or hide the provider-specific fields
+            });
+            modalInnerContainer.querySelector('#mock-mode')?.addEventListener('change', (e) => {
+                handleMockSettingsChange({ mode: e.target.value });
+            });
+            modalInnerContainer.querySelector('#mock-run-regression-btn')?.addEventListener('click', () => {
+                const { passed, failed } = runMockRegression();
+                showTemporaryNotification(`Mock regression: ${passed} passed, ${failed} failed (details in console)`, failed ? 'warning' : 'success');
+            });
+            modalInnerContainer.querySelector('#preamble-editor-open-btn')?.addEventListener('click', () => openPreambleEditor('mainPromptGen', 'audioOff', state.activeModal));
+            modalInnerContainer.querySelector('#mock-clear-fixtures-btn')?.addEventListener('click', () => {
+                if (!confirm("Delete all recorded mock fixtures?")) return;
+                saveStoredJSON(MOCK_FIXTURES_STORAGE_KEY, {});
+                renderApp();
+            });
+            modalInnerContainer.querySelectorAll('input[id^="provider-"]').forEach(el => {
+                el.addEventListener('change', (e) => {
+                    handleProviderSettingsChange({ [e.target.id.replace('provider-', '')]: e.target.value.trim() });
+                });
+            });
+            modalInnerContainer.querySelectorAll('input[type="number"]').forEach(el => {
+                el.addEventListener('change', (e) => {
+                    const settingName = e.target.id.replace('conn-', '');
+                    const min = Number(e.target.min), max = Number(e.target.max);
+                    const value = Math.max(min, Math.min(max, parseInt(e.target.value, 10) || DEFAULT_REQUEST_SETTINGS[settingName]));
+                    e.target.value = String(value);
+                    handleRequestSettingsChange({ [settingName]: value });
                 });
             });
         } else if (type === 'critique') {
@@ -1648,8 +5526,8 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
                     const suggestionIndex = parseInt(e.currentTarget.dataset.suggestionIndex, 10);
                     const suggestion = state.activeModal.result.suggested_enhancements[suggestionIndex];
                     if (suggestion && state.activeModal.data.promptToCritique?.id) {
-                        handleUpdatePromptText(state.activeModal.data.promptToCritique.id, suggestion);
-                        closeModal();
+                        openDiffReview(state.activeModal.data.promptToCritique.id, suggestion, 'Critique Suggestion', state.activeModal,
+                            { operation: 'critique', params: { suggestion: suggestionIndex + 1 } });
                     }
                 });
             });
@@ -1683,8 +5561,8 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
                     const suggestionIndex = parseInt(e.currentTarget.dataset.suggestionIndex, 10);
                     const suggestion = state.activeModal.result.elaborated_prompts[suggestionIndex];
                      if (suggestion && state.activeModal.data.promptToElaborate?.id) {
-                        handleUpdatePromptText(state.activeModal.data.promptToElaborate.id, suggestion);
-                        closeModal();
+                        openDiffReview(state.activeModal.data.promptToElaborate.id, suggestion, 'Elaboration', state.activeModal,
+                            { operation: 'elaborate', params: { suggestion: suggestionIndex + 1 } });
                     }
                 });
             });
@@ -1693,12 +5571,13 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
                 btn.addEventListener('click', (e) => {
                     const suggestionIndex = parseInt(e.currentTarget.dataset.suggestionIndex, 10);
                     const suggestion = state.activeModal.result.suggested_sequence_prompts[suggestionIndex];
-                    if (suggestion) handleAddSequencePromptToGenerated(suggestion);
+                    if (suggestion) handleAddSequencePromptToGenerated(suggestion, state.activeModal.data.basePrompt?.id, suggestionIndex);
                 });
             });
             modalInnerContainer.querySelectorAll('.sequence-copy-btn').forEach(btn => {
                 btn.addEventListener('click', (e) => GM_setClipboard(e.currentTarget.dataset.suggestionText, 'text'));
             });
+            modalInnerContainer.querySelector('#sequence-continuity-btn')?.addEventListener('click', () => openContinuityCheck('sequence'));
         } else if (type === 'characterGen') {
             const input = modalInnerContainer.querySelector('#char-gen-input');
             const genBtn = modalInnerContainer.querySelector('#char-gen-generate-btn');
@@ -1719,10 +5598,11 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
                 item.addEventListener('click', (e) => {
                     const detailText = e.currentTarget.dataset.detailText;
                     const isAudio = e.currentTarget.dataset.isAudio === 'true';
-                    handleApplyCharacterDetail(detailText, isAudio);
+                    handleApplyCharacterDetail(detailText, isAudio, state.activeModal.result?.character_concept);
                      if (!isAudio) closeModal();
                 });
             });
+            modalInnerContainer.querySelector('#char-gen-save-btn')?.addEventListener('click', () => handleSaveCharacterFromResult(state.activeModal.result));
         } else if (type === 'styleTransfer') {
             const select = modalInnerContainer.querySelector('#targetStyleSelect');
             const execBtn = modalInnerContainer.querySelector('#style-transfer-execute-btn');
@@ -1736,6 +5616,7 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
         } else if (type === 'storyboard') {
             const input = modalInnerContainer.querySelector('#storyboard-concept-input');
             const genBtn = modalInnerContainer.querySelector('#storyboard-generate-btn');
+            attachCharacterMentionAutocomplete(input);
              if (input) {
                 input.addEventListener('input', (e) => {
                     state.activeModal.data.conceptInput = e.target.value;
@@ -1750,45 +5631,686 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
             modalInnerContainer.querySelectorAll('.storyboard-apply-shot-btn').forEach(btn => {
                 btn.addEventListener('click', (e) => handleApplyStoryboardShotToInput(e.currentTarget.dataset.shotDescription));
             });
+            modalInnerContainer.querySelector('#storyboard-export-btn')?.addEventListener('click', () => {
+                handleExportStoryboard(modalInnerContainer.querySelector('#storyboard-export-format').value);
+            });
+            modalInnerContainer.querySelector('#storyboard-continuity-btn')?.addEventListener('click', () => openContinuityCheck('storyboard'));
+            const timelineEdits = {
+                split: splitStoryboardShot, merge: mergeStoryboardShotWithNext,
+                duplicate: duplicateStoryboardShot, delete: deleteStoryboardShot
+            };
+            modalInnerContainer.querySelectorAll('.storyboard-timeline-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    const { timelineEdit, shotIndex } = e.currentTarget.dataset;
+                    handleEditStoryboardTimeline(storyboard => timelineEdits[timelineEdit](storyboard, parseInt(shotIndex, 10)));
+                });
+            });
+            modalInnerContainer.querySelectorAll('.storyboard-duration-input').forEach(input => {
+                input.addEventListener('change', (e) => {
+                    const seconds = parseFloat(e.target.value);
+                    const index = parseInt(e.target.dataset.shotIndex, 10);
+                    handleEditStoryboardTimeline(storyboard => { if (seconds > 0) storyboard.storyboard_shots[index].duration_seconds = toShotDuration(seconds); });
+                });
+            });
+            modalInnerContainer.querySelectorAll('.storyboard-transition-select').forEach(select => {
+                select.addEventListener('change', (e) => {
+                    const index = parseInt(e.target.dataset.shotIndex, 10);
+                    handleEditStoryboardTimeline(storyboard => { storyboard.storyboard_shots[index].transition_to_next = e.target.value; });
+                });
+            });
+            modalInnerContainer.querySelector('#storyboard-target-duration')?.addEventListener('change', (e) => {
+                handleEditStoryboardTimeline(storyboard => { storyboard.target_duration_hint = e.target.value; });
+            });
+            modalInnerContainer.querySelectorAll('.storyboard-shot-card').forEach(card => {
+                card.addEventListener('dragstart', (e) => {
+                    draggedStoryboardShotIndex = parseInt(e.currentTarget.dataset.shotIndex, 10);
+                    e.dataTransfer?.setData('text/plain', String(draggedStoryboardShotIndex)); // Firefox will not start a drag without data
+                });
+                card.addEventListener('dragover', (e) => e.preventDefault());
+                card.addEventListener('drop', (e) => {
+                    e.preventDefault();
+                    const fromIndex = draggedStoryboardShotIndex;
+                    draggedStoryboardShotIndex = null;
+                    if (fromIndex !== null) handleEditStoryboardTimeline(storyboard => moveStoryboardShot(storyboard, fromIndex, parseInt(e.currentTarget.dataset.shotIndex, 10)));
+                });
+                card.addEventListener('dragend', () => { draggedStoryboardShotIndex = null; });
+            });
+        } else if (type === 'segment') {
+            const data = state.activeModal.data;
+            const input = modalInnerContainer.querySelector('#segment-concept-input');
+            const genBtn = modalInnerContainer.querySelector('#segment-generate-btn');
+            const updateClipCount = () => {
+                modalInnerContainer.querySelector('#segment-clip-count').textContent = getSegmentClipCount(data.sceneSeconds, data.clipSeconds);
+            };
+            attachCharacterMentionAutocomplete(input);
+            input?.addEventListener('input', (e) => {
+                data.conceptInput = e.target.value;
+                if (genBtn) genBtn.disabled = !e.target.value.trim();
+            });
+            modalInnerContainer.querySelector('#segment-scene-seconds')?.addEventListener('input', (e) => {
+                data.sceneSeconds = parseInt(e.target.value, 10) || DEFAULT_SEGMENT_SCENE_SECONDS;
+                updateClipCount();
+            });
+            modalInnerContainer.querySelector('#segment-clip-seconds')?.addEventListener('change', (e) => {
+                data.clipSeconds = parseInt(e.target.value, 10);
+                updateClipCount();
+            });
+            genBtn?.addEventListener('click', () => {
+                if (data.conceptInput && data.conceptInput.trim()) handleSegmentConcept();
+            });
+            modalInnerContainer.querySelectorAll('.segment-add-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => handleAddSegmentClipsToGenerated([parseInt(e.currentTarget.dataset.clipIndex, 10)]));
+            });
+            modalInnerContainer.querySelector('#segment-add-all-btn')?.addEventListener('click', () => handleAddSegmentClipsToGenerated(state.activeModal.result.clips.map((_, index) => index)));
+            modalInnerContainer.querySelector('#segment-storyboard-btn')?.addEventListener('click', handleOpenSegmentsAsStoryboard);
+        } else if (type === 'preambles') {
+            const data = state.activeModal.data;
+            const editor = modalInnerContainer.querySelector('#preamble-editor-text');
+            const unknownNote = modalInnerContainer.querySelector('#preamble-unknown-placeholders');
+            editor?.addEventListener('input', (e) => {
+                data.draft = e.target.value;
+                const argNames = getPreambleArgNames(data.actionKey);
+                const unknownNames = getTemplateVariables(data.draft).filter(name => !argNames.includes(name) && !PREAMBLE_SHARED_ARG_NAMES.includes(name));
+                unknownNote.style.display = unknownNames.length ? '' : 'none';
+                unknownNote.textContent = `Unknown placeholders are sent as written: ${unknownNames.map(name => `{{${name}}}`).join(' ')}`;
+            });
+            modalInnerContainer.querySelector('#preamble-action-select')?.addEventListener('change', (e) => openPreambleEditor(e.target.value, data.variantKey, data.returnTo));
+            modalInnerContainer.querySelector('#preamble-variant-select')?.addEventListener('change', (e) => openPreambleEditor(data.actionKey, e.target.value, data.returnTo));
+            modalInnerContainer.querySelector('#preamble-load-builtin-btn')?.addEventListener('click', () => {
+                data.draft = getBuiltInPreambleText(data.actionKey, data.variantKey);
+                renderApp();
+            });
+            modalInnerContainer.querySelector('#preamble-save-btn')?.addEventListener('click', handleSavePreambleOverride);
+            modalInnerContainer.querySelector('#preamble-reset-btn')?.addEventListener('click', handleResetPreambleOverride);
+            modalInnerContainer.querySelectorAll('.preamble-load-version-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    data.draft = getPreambleOverride(data.actionKey, data.variantKey).versions[parseInt(e.currentTarget.dataset.versionIndex, 10)].text;
+                    renderApp();
+                });
+            });
+            modalInnerContainer.querySelectorAll('.preamble-use-version-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => handleUsePreambleVersion(parseInt(e.currentTarget.dataset.versionIndex, 10)));
+            });
+            const importInput = modalInnerContainer.querySelector('#preamble-import-input');
+            modalInnerContainer.querySelector('#preamble-import-btn')?.addEventListener('click', () => importInput?.click());
+            importInput?.addEventListener('change', (e) => handlePreambleImportSelected(e.target.files[0]));
+            modalInnerContainer.querySelector('#preamble-export-btn')?.addEventListener('click', () => {
+                downloadTextFile('preamble-overrides.json', getPreambleOverridesExport(), 'application/json');
+            });
+            modalInnerContainer.querySelector('#preamble-back-btn')?.addEventListener('click', () => {
+                state.activeModal = { ...data.returnTo, isLoading: false, error: null };
+                renderApp();
+            });
+        } else if (type === 'compare') {
+            const data = state.activeModal.data;
+            const input = modalInnerContainer.querySelector('#compare-description-input');
+            const runBtn = modalInnerContainer.querySelector('#compare-run-btn');
+            attachCharacterMentionAutocomplete(input);
+            input?.addEventListener('input', (e) => {
+                data.description = e.target.value;
+                if (runBtn) runBtn.disabled = !e.target.value.trim();
+            });
+            modalInnerContainer.querySelectorAll('.compare-param-select').forEach(select => {
+                select.addEventListener('change', (e) => {
+                    data.variants[parseInt(e.target.dataset.variantIndex, 10)][e.target.dataset.field] = e.target.value;
+                });
+            });
+            modalInnerContainer.querySelector('#compare-add-variant-btn')?.addEventListener('click', () => {
+                if (data.variants.length >= COMPARE_MAX_VARIANTS) return;
+                data.variants.push(createCompareVariant(data.variants[data.variants.length - 1]));
+                renderApp();
+            });
+            modalInnerContainer.querySelectorAll('.compare-remove-variant-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    data.variants.splice(parseInt(e.currentTarget.dataset.variantIndex, 10), 1);
+                    renderApp();
+                });
+            });
+            runBtn?.addEventListener('click', () => {
+                if (data.description && data.description.trim()) handleRunCompare();
+            });
+            modalInnerContainer.querySelectorAll('.compare-winner-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => handleApplyCompareWinner(parseInt(e.currentTarget.dataset.columnIndex, 10)));
+            });
+        } else if (type === 'template') {
+            const updateCombinationCount = () => {
+                const countEl = modalInnerContainer.querySelector('#template-combination-count');
+                if (countEl) countEl.textContent = countTemplateCombinations(getTemplateValueLists(getTemplateVariables(state.promptParams.description)));
+            };
+            modalInnerContainer.querySelectorAll('.template-values-input').forEach(input => {
+                input.addEventListener('input', (e) => {
+                    const name = e.target.dataset.variable;
+                    state.template.values[name] = e.target.value;
+                    modalInnerContainer.querySelector(`[data-variable-count="${name}"]`).textContent = parseTemplateValues(e.target.value).length;
+                    updateCombinationCount();
+                });
+            });
+            modalInnerContainer.querySelector('#template-sample-size')?.addEventListener('input', (e) => {
+                state.template.sampleSize = parseInt(e.target.value, 10) || null;
+            });
+            modalInnerContainer.querySelector('#template-expand-btn')?.addEventListener('click', handleExpandTemplate);
+        } else if (type === 'audioTrack') {
+            const data = state.activeModal.data;
+            const preview = modalInnerContainer.querySelector('#audio-track-preview');
+            modalInnerContainer.querySelectorAll('.audio-track-field').forEach(input => {
+                input.addEventListener('input', (e) => {
+                    data.track[e.target.dataset.lane][parseInt(e.target.dataset.index, 10)][e.target.dataset.field] = e.target.value;
+                    if (preview) preview.textContent = compileAudioTrack(data.track) || 'No audio cues; applying removes the audio section.';
+                });
+            });
+            modalInnerContainer.querySelectorAll('.audio-track-add-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    data.track[e.currentTarget.dataset.lane].push(createAudioTrackItem(e.currentTarget.dataset.lane));
+                    renderApp();
+                });
+            });
+            modalInnerContainer.querySelectorAll('.audio-track-remove-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    data.track[e.currentTarget.dataset.lane].splice(parseInt(e.currentTarget.dataset.index, 10), 1);
+                    renderApp();
+                });
+            });
+            modalInnerContainer.querySelector('#audio-track-apply-btn')?.addEventListener('click', () => handleApplyAudioTrack(false));
+            modalInnerContainer.querySelector('#audio-track-apply-all-btn')?.addEventListener('click', () => handleApplyAudioTrack(true));
         } else if (type === 'visualize') {
             const ackBtn = modalInnerContainer.querySelector('#visualize-acknowledge-btn');
             if(ackBtn) ackBtn.addEventListener('click', closeModal);
         }
     }
-    // --- END: Modal Rendering ---
+    // --- END: Modal Rendering ---
+
+    // --- START: Event Handlers and Logic ---
+    function handleParamChange(newParams) {
+        console.log('[VideoFX Artisan] Param change:', newParams);
+        
+        // Audio level: enableAudioPrompting is kept in step, and the level is remembered across page loads
+        if ('audioLevel' in newParams || 'enableAudioPrompting' in newParams) {
+            const oldLevel = state.promptParams.audioLevel;
+            let newLevel = resolveAudioLevel(newParams);
+            if (!('audioLevel' in newParams) && newLevel !== 'off' && oldLevel !== 'off') newLevel = oldLevel; // Switching "on" keeps the chosen level
+            newParams = { ...newParams, ...getAudioLevelParams(newLevel) };
+            saveStoredJSON(AUDIO_LEVEL_STORAGE_KEY, newLevel);
+            
+            console.log(`[VideoFX Artisan] Audio level changed from ${oldLevel} to ${newLevel}`);
+            
+            if (newLevel !== oldLevel) {
+                // Show user feedback
+                const feedbackMsg = newLevel !== 'off'
+                    ? `🎵 Audio level: ${AUDIO_LEVELS[newLevel].label} - prompts will include matching sound descriptions`
+                    : "🔇 Audio prompting disabled - prompts will be visual only";
+                
+                showTemporaryNotification(feedbackMsg, 'info');
+                
+                // Clear any existing prompts to encourage regeneration
+                if (state.generatedPrompts.length > 0) {
+                    setTimeout(() => {
+                        showTemporaryNotification("💡 Regenerate prompts to see the difference!", 'info');
+                    }, 3500);
+                }
+            }
+        }
+        
+        const changedKeys = Object.keys(newParams).filter(key => state.promptParams[key] !== newParams[key]);
+        if (changedKeys.length > 0) {
+            recordUndoPoint(changedKeys.includes('description') ? 'Edit description' : 'Change settings', { coalesce: true });
+        }
+        state.promptParams = { ...state.promptParams, ...newParams };
+        console.log('[VideoFX Artisan] Updated state.promptParams:', state.promptParams);
+        clearError();
+        renderApp();
+    }
+
+    function handleRequestSettingsChange(newSettings) {
+        state.requestSettings = { ...state.requestSettings, ...newSettings };
+        saveStoredJSON(REQUEST_SETTINGS_STORAGE_KEY, state.requestSettings);
+    }
+
+    function handleBatchFileSelected(file) {
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const rows = parseBatchFile(String(reader.result || ''), file.name);
+                state.batch = { ...state.batch, fileName: file.name, rows, groupBy: '' };
+                showTemporaryNotification(`Imported ${rows.length} row(s) from ${file.name}`, 'success');
+            } catch (error) {
+                console.error('[VideoFX Artisan] Batch import failed:', error);
+                showTemporaryNotification(error instanceof SyntaxError ? `Invalid JSON: ${error.message}` : error.message, 'error');
+            }
+            renderApp();
+        };
+        reader.onerror = () => showTemporaryNotification("Error reading the batch file.", 'error');
+        reader.readAsText(file);
+    }
+
+    function handleRetryBatchRows(rowIds) {
+        state.batch.rows.forEach(row => {
+            if (rowIds.includes(row.id) && row.status === 'failed') {
+                row.status = 'pending';
+                row.error = null;
+            }
+        });
+        if (state.batch.isRunning) renderApp(); // Running workers pick the rows up
+        else runBatchQueue();
+    }
+
+    function handleStopBatch() {
+        if (batchRequestController) batchRequestController.abort();
+        showTemporaryNotification("Batch stopped; unfinished rows stay pending", 'warning');
+    }
+
+    function handleUseBatchRow(rowId) {
+        const row = state.batch.rows.find(r => r.id === rowId);
+        if (!row) return;
+        recordUndoPoint('Use batch row');
+        state.generatedPrompts = row.prompts.map((text, i) => ({ id: `${Date.now()}-${i}`, text }));
+        state.promptParams.description = row.description;
+        handleGeneratedPromptsChanged();
+        closeModal();
+    }
+
+    // The editor starts from the active override, or the built-in text with {{placeholders}} when there is none
+    function openPreambleEditor(actionKey, variantKey, returnTo = null) {
+        const draft = getActivePreambleOverrideText(actionKey, variantKey) ?? getBuiltInPreambleText(actionKey, variantKey);
+        openModal('preambles', { actionKey, variantKey, draft, returnTo });
+    }
+
+    function handleSavePreambleOverride() {
+        const { actionKey, variantKey, draft } = state.activeModal.data;
+        if (!draft.trim()) {
+            showTemporaryNotification("A preamble can't be empty; use Reset to Built-in instead.", 'error');
+            return;
+        }
+        if (draft === getBuiltInPreambleText(actionKey, variantKey) && getActivePreambleOverrideText(actionKey, variantKey) === null) {
+            showTemporaryNotification("The text matches the built-in preamble; nothing to save.", 'info');
+            return;
+        }
+        savePreambleOverrideVersion(actionKey, variantKey, draft);
+        showTemporaryNotification(`Saved ${ACTION_DISPLAY_NAMES[actionKey] || actionKey} (${PREAMBLE_VARIANT_LABELS[variantKey]}) override v${getPreambleOverride(actionKey, variantKey).versions.length}`, 'success');
+        renderApp();
+    }
+
+    function handleResetPreambleOverride() {
+        const data = state.activeModal.data;
+        setActivePreambleVersion(data.actionKey, data.variantKey, null);
+        data.draft = getBuiltInPreambleText(data.actionKey, data.variantKey);
+        showTemporaryNotification("Using the built-in preamble; saved versions are kept", 'info');
+        renderApp();
+    }
+
+    function handleUsePreambleVersion(versionIndex) {
+        const data = state.activeModal.data;
+        setActivePreambleVersion(data.actionKey, data.variantKey, versionIndex);
+        data.draft = getActivePreambleOverrideText(data.actionKey, data.variantKey);
+        renderApp();
+    }
+
+    function handlePreambleImportSelected(file) {
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const changedCount = importPreambleOverrides(String(reader.result || ''));
+                const data = state.activeModal?.type === 'preambles' ? state.activeModal.data : null;
+                if (data) data.draft = getActivePreambleOverrideText(data.actionKey, data.variantKey) ?? getBuiltInPreambleText(data.actionKey, data.variantKey);
+                showTemporaryNotification(`Imported overrides for ${changedCount} preamble(s) from ${file.name}`, changedCount ? 'success' : 'warning');
+            } catch (error) {
+                console.error('[VideoFX Artisan] Preamble import failed:', error);
+                showTemporaryNotification(error instanceof SyntaxError ? `Invalid JSON: ${error.message}` : error.message, 'error');
+            }
+            renderApp();
+        };
+        reader.onerror = () => showTemporaryNotification("Error reading the preamble file.", 'error');
+        reader.readAsText(file);
+    }
+
+    async function handleRunCompare() {
+        const { description, variants } = state.activeModal.data;
+        const runVariants = variants.map(variant => ({ ...variant }));
+        const statuses = runVariants.map(() => ({ lastSentRequest: null, currentApiActionMessage: null }));
+        state.currentApiActionMessage = `Comparing ${runVariants.length} variants...`;
+        updateModalState({ isLoading: true, error: null, result: null });
+        // Every variant shares the modal's abort handle, so Cancel stops them all
+        const outcomes = await Promise.allSettled(runVariants.map((variant, index) => runCompareVariant(description, variant, statuses[index])));
+        if (outcomes.some(outcome => outcome.status === 'rejected' && isCancellationError(outcome.reason))) return;
+        const columns = outcomes.map((outcome, index) => outcome.status === 'fulfilled' ? outcome.value
+            : { variant: runVariants[index], params: null, prompts: [], error: outcome.reason?.message || "Generation failed.", sentRequest: statuses[index].lastSentRequest });
+        if (columns.every(column => column.error)) {
+            updateModalState({ isLoading: false, error: columns[0].error });
+            return;
+        }
+        updateModalState({ isLoading: false, result: { description, columns } });
+    }
+
+    function handleApplyCompareWinner(columnIndex) {
+        const { result } = state.activeModal;
+        const column = result.columns[columnIndex];
+        if (!column || column.error) return;
+        recordUndoPoint('Apply compare winner');
+        state.promptParams = { ...state.promptParams, ...column.variant, description: result.description };
+        state.generatedPrompts = column.prompts.map((text, i) => createLineagePromptCard(`${Date.now()}-${i}`, text, 'generated', column.params));
+        handleGeneratedPromptsChanged();
+        closeModal();
+        showUndoableNotification(`Applied variant ${getCompareVariantLabel(columnIndex)} settings`);
+    }
+
+    function handleExpandTemplate() {
+        if (state.batch.isRunning) return;
+        let rows;
+        try {
+            rows = expandTemplate(state.promptParams.description, state.template.sampleSize);
+        } catch (error) {
+            showTemporaryNotification(error.message, 'error');
+            return;
+        }
+        const [firstVariable] = getTemplateVariables(state.promptParams.description);
+        state.batch = { ...state.batch, fileName: 'Prompt template', rows, groupBy: firstVariable };
+        openModal('batch');
+        runBatchQueue();
+    }
+
+    function handleExportBatch(formatKey) {
+        if (state.batch.rows.length === 0) return;
+        const baseName = `batch-${toFileSlug(state.batch.fileName.replace(/\.[^.]+$/, ''), 'results')}`;
+        const mimeType = formatKey === 'json' ? 'application/json' : 'text/csv';
+        downloadTextFile(`${baseName}.${formatKey}`, getBatchExport(formatKey), mimeType);
+    }
+
+    async function handleSwitchProject(projectId) {
+        if (state.isLoading || projectId === state.activeProject?.id) return;
+        const project = await loadProject(projectId);
+        if (!project) return;
+        saveActiveProjectPrompts(); // Flush the outgoing project's working list
+        state.activeProject = project;
+        state.generatedPrompts = [...project.generatedPrompts];
+        clearUndoHistory();
+        saveStoredJSON(ACTIVE_PROJECT_STORAGE_KEY, project.id);
+        handleClearImage();
+        clearError();
+        showTemporaryNotification(`Opened project "${project.name}"`, 'info');
+        renderApp();
+    }
+
+    async function handleCreateProject(name) {
+        if (!name || !name.trim()) return;
+        const project = createProject(name);
+        if (await saveProject(project)) await handleSwitchProject(project.id);
+        else renderApp();
+    }
+
+    async function handleRenameProject(projectId, newName) {
+        const project = projectId === state.activeProject?.id ? state.activeProject : await loadProject(projectId);
+        if (!project || !newName || !newName.trim()) {
+            renderApp();
+            return;
+        }
+        project.name = newName.trim();
+        await saveProject(project);
+        renderApp();
+    }
+
+    async function handleDuplicateProject(projectId) {
+        if (projectId === state.activeProject?.id) saveActiveProjectPrompts();
+        const source = projectId === state.activeProject?.id ? state.activeProject : await loadProject(projectId);
+        if (!source) return;
+        const { id, name, createdAt, updatedAt, archived, ...contents } = JSON.parse(JSON.stringify(source));
+        const copy = { ...createProject(`${source.name} (Copy)`), ...contents };
+        if (await saveProject(copy)) showTemporaryNotification(`Duplicated as "${copy.name}"`, 'success');
+        renderApp();
+    }
+
+    async function handleToggleArchiveProject(projectId) {
+        if (projectId === state.activeProject?.id) return; // Switch away before archiving
+        const project = await loadProject(projectId);
+        if (!project) return;
+        project.archived = !project.archived;
+        await saveProject(project);
+        renderApp();
+    }
+
+    function handleOpenProjectAsset(kind, assetId) {
+        const asset = state.activeProject?.[kind].find(a => a.id === assetId);
+        if (!asset) return;
+        if (kind === 'referenceImages') {
+            restoreUploadedImage({ b64: asset.b64, mimeType: asset.mimeType, name: asset.name });
+            closeModal();
+            return;
+        }
+        const modalByKind = {
+            storyboards: ['storyboard', { conceptInput: asset.concept }],
+            characters: ['characterGen', { conceptInput: asset.concept }],
+            themes: ['themeExplorer', { themeInput: asset.theme }]
+        };
+        const [modalType, modalData] = modalByKind[kind];
+        openModal(modalType, { ...modalData });
+        state.activeModal.data = { ...state.activeModal.data, ...modalData }; // openModal may prefill from the main input
+        updateModalState({ result: kind === 'storyboards' ? withStoryboardTimeline(asset.result) : asset.result });
+    }
 
-    // --- START: Event Handlers and Logic ---
-    function handleParamChange(newParams) {
-        console.log('[VideoFX Artisan] Param change:', newParams);
-        
-        // Special handling for audio prompting toggle
-        if ('enableAudioPrompting' in newParams) {
-            const oldState = state.promptParams.enableAudioPrompting;
-            const newState = newParams.enableAudioPrompting;
-            
-            console.log(`[VideoFX Artisan] Audio prompting changed from ${oldState} to ${newState}`);
-            
-            // Show user feedback
-            const feedbackMsg = newState 
-                ? "🎵 Audio prompting enabled - prompts will include sound descriptions"
-                : "🔇 Audio prompting disabled - prompts will be visual only";
-            
-            showTemporaryNotification(feedbackMsg, 'info');
-            
-            // Clear any existing prompts to encourage regeneration
-            if (state.generatedPrompts.length > 0) {
-                setTimeout(() => {
-                    showTemporaryNotification("💡 Regenerate prompts to see the difference!", 'info');
-                }, 3500);
-            }
+    function handleRemoveProjectAsset(kind, assetId) {
+        if (!state.activeProject) return;
+        state.activeProject[kind] = state.activeProject[kind].filter(a => a.id !== assetId);
+        saveProject(state.activeProject);
+        renderApp();
+    }
+
+    function handleToggleFavorite(promptText) {
+        const existing = findFavoriteByText(promptText);
+        if (existing) {
+            state.favorites.items = state.favorites.items.filter(item => item.id !== existing.id);
+            showTemporaryNotification("Removed from favorites", 'info');
+        } else {
+            const now = Date.now();
+            state.favorites.items.push({ id: `fav-${now}-${Math.random().toString(36).substring(2, 9)}`, text: promptText, folderId: null, tags: [], notes: '', createdAt: now, updatedAt: now });
+            showTemporaryNotification("Added to favorites", 'success');
         }
-        
-        state.promptParams = { ...state.promptParams, ...newParams };
-        console.log('[VideoFX Artisan] Updated state.promptParams:', state.promptParams);
+        saveFavorites();
+        renderApp();
+    }
+
+    function handleUpdateFavorite(favoriteId, changes) {
+        const item = state.favorites.items.find(f => f.id === favoriteId);
+        if (!item) return;
+        Object.assign(item, changes, { updatedAt: Date.now() });
+        saveFavorites();
+        renderApp();
+    }
+
+    function handleMoveFavorites(favoriteIds, folderId) {
+        if (favoriteIds.length === 0) return;
+        state.favorites.items.forEach(item => {
+            if (favoriteIds.includes(item.id)) Object.assign(item, { folderId, updatedAt: Date.now() });
+        });
+        if (state.activeModal?.type === 'favorites') state.activeModal.data.selectedIds = [];
+        saveFavorites();
+        renderApp();
+    }
+
+    function handleDeleteFavorites(favoriteIds) {
+        if (favoriteIds.length === 0 || !confirm(`Delete ${favoriteIds.length} favorite(s)?`)) return;
+        state.favorites.items = state.favorites.items.filter(item => !favoriteIds.includes(item.id));
+        if (state.activeModal?.type === 'favorites') state.activeModal.data.selectedIds = [];
+        saveFavorites();
+        renderApp();
+    }
+
+    function handleCreateFavoriteFolder(name) {
+        if (!name || !name.trim()) return;
+        state.favorites.folders.push({ id: `folder-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`, name: name.trim() });
+        saveFavorites();
+        renderApp();
+    }
+
+    function handleRenameFavoriteFolder(folderId) {
+        const folder = state.favorites.folders.find(f => f.id === folderId);
+        const newName = folder && prompt("Rename folder:", folder.name);
+        if (!newName || !newName.trim()) return;
+        folder.name = newName.trim();
+        saveFavorites();
+        renderApp();
+    }
+
+    function handleDeleteFavoriteFolder(folderId) {
+        const folder = state.favorites.folders.find(f => f.id === folderId);
+        if (!folder || !confirm(`Delete folder "${folder.name}"? Its favorites become Unfiled.`)) return;
+        state.favorites.folders = state.favorites.folders.filter(f => f.id !== folderId);
+        state.favorites.items.forEach(item => {
+            if (item.folderId === folderId) item.folderId = null;
+        });
+        if (state.activeModal?.type === 'favorites' && state.activeModal.data.folderFilter === folderId) state.activeModal.data.folderFilter = 'all';
+        saveFavorites();
+        renderApp();
+    }
+
+    // Re-renders only the results list so the search field keeps focus while typing
+    function refreshHistoryResults() {
+        const resultsContainer = generalModalContainer?.querySelector('#history-results');
+        if (!resultsContainer || state.activeModal?.type !== 'history') return;
+        resultsContainer.innerHTML = renderHistoryResultsHTML(state.activeModal.data);
+        attachHistoryResultListeners();
+    }
+
+    async function loadHistoryPage(reset) {
+        const modal = state.activeModal;
+        if (modal?.type !== 'history') return;
+        const offset = reset ? 0 : modal.data.entries.length;
+        try {
+            const { entries, hasMore } = await queryHistory(modal.data.filters, offset);
+            if (state.activeModal !== modal) return; // Closed or replaced while querying
+            modal.data.entries = reset ? entries : [...modal.data.entries, ...entries];
+            modal.data.hasMore = hasMore;
+            modal.data.loaded = true;
+            refreshHistoryResults();
+        } catch (err) {
+            console.error('[VideoFX Artisan] History query failed:', err);
+            updateModalState({ error: "Could not read history from IndexedDB." });
+        }
+    }
+
+    async function handleRestoreHistoryEntry(entryId) {
+        let entry;
+        try {
+            entry = await idbGet('history', entryId);
+        } catch (err) {
+            console.error('[VideoFX Artisan] History read failed:', err);
+            updateModalState({ error: "Could not read history from IndexedDB." });
+            return;
+        }
+        if (!entry) return;
+        if (!HISTORY_PROMPT_LIST_ACTIONS.includes(entry.actionKey)) {
+            reopenHistoryResult(entry);
+            return;
+        }
+        recordUndoPoint('Restore history entry');
+        state.activeMode = entry.mode === 'sceneExtender' ? 'sceneExtender' : 'generator';
+        state.promptParams = {
+            ...state.promptParams,
+            ...entry.promptParams,
+            description: entry.input,
+            ...getAudioLevelParams(resolveAudioLevel(entry.promptParams)),
+            imageB64: state.promptParams.imageB64, imageMimeType: state.promptParams.imageMimeType // Images are not stored in history
+        };
+        state.generatedPrompts = entry.outputs.map((text, i) => ({ id: `${Date.now()}-hist-${i}`, text }));
+        handleGeneratedPromptsChanged();
+        clearError();
+        closeModal();
+        if (entry.image) showTemporaryNotification(`Restored. Re-upload "${entry.image.name}" if you need the image reference.`, 'info');
+        else showUndoableNotification('Restored from history');
+    }
+
+    // Shows the stored result in its modal without calling the API again; the prompt list is left alone
+    function reopenHistoryResult(entry) {
+        const getModal = HISTORY_RESULT_MODALS[entry.actionKey];
+        if (!getModal || !entry.result) {
+            showTemporaryNotification(`${ACTION_DISPLAY_NAMES[entry.actionKey] || entry.actionKey} results can't be reopened; its outputs are listed in history.`, 'info');
+            return;
+        }
+        const [type, data] = getModal(entry);
+        // Set directly rather than through openModal, which would run some of these actions again
+        state.activeModal = { type, data, isLoading: false, error: null, result: type === 'storyboard' ? withStoryboardTimeline(entry.result) : entry.result };
+        renderApp();
+    }
+
+    async function handleDeleteHistoryEntry(entryId) {
+        try {
+            await idbDelete('history', entryId);
+        } catch (err) {
+            console.error('[VideoFX Artisan] History delete failed:', err);
+            updateModalState({ error: "Could not delete the history entry from IndexedDB." });
+            return;
+        }
+        if (state.activeModal?.type !== 'history') return;
+        state.activeModal.data.entries = state.activeModal.data.entries.filter(e => e.id !== entryId);
+        refreshHistoryResults();
+    }
+
+    async function handleClearHistory() {
+        if (!confirm("Delete all prompt history? This cannot be undone.")) return;
+        try {
+            await idbClear('history');
+        } catch (err) {
+            console.error('[VideoFX Artisan] History clear failed:', err);
+            updateModalState({ error: "Could not clear history in IndexedDB." });
+            return;
+        }
+        loadHistoryPage(true);
+    }
+
+    function handleNewSession(name) {
+        const session = createSession(name);
+        state.sessions.push(session);
+        state.activeSessionId = session.id;
+        saveSessions();
+        clearError();
+        showTemporaryNotification(`Started session "${session.name}"`, 'success');
+        renderApp();
+    }
+
+    function handleRenameSession(sessionId, newName) {
+        const session = state.sessions.find(s => s.id === sessionId);
+        if (!session || !newName || !newName.trim()) {
+            renderApp(); // Restore the previous name in the input
+            return;
+        }
+        session.name = newName.trim();
+        session.updatedAt = Date.now();
+        saveSessions();
+        renderApp();
+    }
+
+    // Switching only changes the sessionId later calls are traced under; the prompt list stays with the project
+    function handleSwitchSession(sessionId) {
+        const session = state.sessions.find(s => s.id === sessionId);
+        if (!session || state.isLoading) return;
+        state.activeSessionId = session.id;
+        saveSessions();
         clearError();
+        showTemporaryNotification(`Switched to session "${session.name}"`, 'info');
         renderApp();
     }
 
+    function handleDeleteSession(sessionId) {
+        const session = state.sessions.find(s => s.id === sessionId);
+        if (!session || session.id === state.activeSessionId) return;
+        if (!confirm(`Delete session "${session.name}" and its ${session.prompts.length} prompt(s)?`)) return;
+        state.sessions = state.sessions.filter(s => s.id !== sessionId);
+        saveSessions();
+        renderApp();
+    }
+
+    function handleMockSettingsChange(newSettings) {
+        state.mockSettings = { ...state.mockSettings, ...newSettings };
+        saveStoredJSON(MOCK_SETTINGS_STORAGE_KEY, state.mockSettings);
+        if (state.mockSettings.mode !== 'off') {
+            showTemporaryNotification(state.mockSettings.mode === 'replay' ? 'Mock replay on: API calls are served from fixtures.' : 'Mock recording on: API responses will be saved as fixtures.', 'warning');
+        }
+    }
+
+    function handleProviderSettingsChange(newSettings) {
+        state.providerSettings = { ...state.providerSettings, ...newSettings };
+        saveStoredJSON(PROVIDER_SETTINGS_STORAGE_KEY, state.providerSettings);
+    }
+
     function handleModeChange(newMode) {
         state.activeMode = newMode;
         // Reset some params when switching modes if necessary, or just re-render
@@ -1804,6 +6326,17 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
         renderApp();
     }
 
+    // Makes a stored image ({ b64, mimeType, name }, or null for none) the uploaded image, with a new preview URL
+    function restoreUploadedImage(image) {
+        handleClearImage();
+        if (!image) return;
+        const bytes = Uint8Array.from(atob(image.b64), c => c.charCodeAt(0));
+        const previewUrl = URL.createObjectURL(new Blob([bytes], { type: image.mimeType }));
+        state.uploadedImage = { ...image, previewUrl };
+        state.promptParams.imageB64 = image.b64;
+        state.promptParams.imageMimeType = image.mimeType;
+    }
+
     function handleImageUpload(file) {
         clearError();
         if (!ALLOWED_IMAGE_TYPES.includes(file.type)) {
@@ -1821,6 +6354,9 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
             state.uploadedImage = { b64: base64String, mimeType: file.type, name: file.name, previewUrl };
             state.promptParams.imageB64 = base64String;
             state.promptParams.imageMimeType = file.type;
+            if (state.activeProject && !state.activeProject.referenceImages.some(img => img.name === file.name && img.b64 === base64String)) {
+                addProjectAsset('referenceImages', { name: file.name, mimeType: file.type, b64: base64String });
+            }
             renderApp();
         };
         reader.onerror = () => {
@@ -1830,12 +6366,24 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
         reader.readAsDataURL(file);
     }
 
+    function getLineageGenerationParams(params) {
+        return {
+            description: params.description, style: params.style, cameraAngle: params.cameraAngle, cameraMovement: params.cameraMovement,
+            lighting: params.lighting, imageReference: !!params.imageB64, audioLevel: resolveAudioLevel(params)
+        };
+    }
+
     async function handleSubmitPrompt() {
         if ((!state.promptParams.description || !state.promptParams.description.trim()) && !state.uploadedImage) {
             showError("Please describe your vision or upload an image.");
             return;
         }
+        if (state.activeMode === 'generator' && getTemplateVariables(state.promptParams.description).length > 0) {
+            openModal('template'); // A template generates once per combination, not with literal placeholders
+            return;
+        }
         showLoading(state.activeMode === 'sceneExtender' ? "Extending scene..." : "Crafting prompts...");
+        recordUndoPoint('Generate prompts');
         state.generatedPrompts = []; // Clear previous prompts
         clearError();
 
@@ -1862,6 +6410,7 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
                      if (!paramsForGeneration.style) paramsForGeneration.style = VEO_STYLES[1]; // Fallback
                 }
             } catch (inferErr) {
+                if (isCancellationError(inferErr)) return; // Cancel already reset the loader
                 console.warn("Could not infer visual params:", inferErr);
                 if (!paramsForGeneration.style) paramsForGeneration.style = VEO_STYLES[1]; // Fallback
             }
@@ -1875,18 +6424,24 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
 
             if (state.activeMode === 'sceneExtender') {
                 if (typeof apiResult === 'string') { // Expecting plain text for scene extender
-                    state.generatedPrompts = [{ id: `${Date.now()}-0`, text: apiResult.trim() }];
+                    const linkCount = state.sceneChainLength;
+                    state.generatedPrompts = [createLineagePromptCard(`${Date.now()}-0`, apiResult.trim(), 'sceneExtended', getLineageGenerationParams(paramsForGeneration))];
+                    if (linkCount > 1) await continueSceneChain(paramsForGeneration, linkCount);
                     
                     // Show success notification for scene extender
                     const audioMode = state.promptParams.enableAudioPrompting ? 'with audio descriptions' : 'visual only';
-                    showTemporaryNotification(`✅ Scene extended (${audioMode})`, 'success');
+                    if (state.generatedPrompts[0].chain?.params.imageDropped) {
+                        showTemporaryNotification(`Scene extended ${linkCount} times (${audioMode}). No project is open to keep the image, so regenerating a link will run without it.`, 'warning');
+                    } else {
+                        showTemporaryNotification(linkCount > 1 ? `✅ Scene extended ${linkCount} times (${audioMode})` : `✅ Scene extended (${audioMode})`, 'success');
+                    }
                 } else {
                      console.error("Scene extender did not return a string:", apiResult);
                      throw new Error("Scene extender returned an unexpected data format. Expected plain text.");
                 }
             } else { // Generator mode
                 if (Array.isArray(apiResult) && apiResult.every(p => typeof p.prompt_text === 'string')) {
-                    state.generatedPrompts = apiResult.map((p, i) => ({ id: `${Date.now()}-${i}`, text: p.prompt_text }));
+                    state.generatedPrompts = apiResult.map((p, i) => createLineagePromptCard(`${Date.now()}-${i}`, p.prompt_text, 'generated', getLineageGenerationParams(paramsForGeneration)));
                     
                     // Show success notification with audio mode indication
                     const audioMode = state.promptParams.enableAudioPrompting ? 'with audio descriptions' : 'visual only';
@@ -1896,7 +6451,7 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
                     // This is less likely for mainPromptGen given the preamble, but as a safeguard.
                     console.warn("API result for generator mode was not an array of prompt_text objects. Attempting to handle as single/direct object:", apiResult);
                     if(typeof apiResult.prompt_text === 'string'){ // If it's a single prompt_text object
-                         state.generatedPrompts = [{ id: `${Date.now()}-0`, text: apiResult.prompt_text }];
+                         state.generatedPrompts = [createLineagePromptCard(`${Date.now()}-0`, apiResult.prompt_text, 'generated', getLineageGenerationParams(paramsForGeneration))];
                          
                          // Show success notification for single prompt
                          const audioMode = state.promptParams.enableAudioPrompting ? 'with audio descriptions' : 'visual only';
@@ -1911,7 +6466,9 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
                     throw new Error("Prompt generator returned an unexpected data format.");
                 }
             }
+            handleGeneratedPromptsChanged();
         } catch (err) {
+            if (isCancellationError(err)) return;
             showError(err.message || "Prompt generation failed.");
         } finally {
             hideLoading();
@@ -1919,7 +6476,85 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
     }
 
 
+    // Links are saved as they arrive, so stopping (cancel) or a failure mid-chain keeps the finished ones
+    async function continueSceneChain(paramsForGeneration, linkCount) {
+        const chain = { ...createSceneChain(paramsForGeneration.description), params: toSceneChainLinkParams(paramsForGeneration) };
+        state.generatedPrompts[0].chain = chain;
+        handleGeneratedPromptsChanged();
+        for (let linkNumber = 2; linkNumber <= linkCount; linkNumber++) {
+            showLoading(`Extending scene (link ${linkNumber} of ${linkCount})...`);
+            const previous = state.generatedPrompts[state.generatedPrompts.length - 1];
+            const text = await extendSceneChainLink(previous.text, chain, linkNumber, linkCount, paramsForGeneration);
+            const card = createLineagePromptCard(`${Date.now()}-${linkNumber - 1}`, text, 'sceneExtended', { ...getLineageGenerationParams(paramsForGeneration), link: linkNumber });
+            state.generatedPrompts.push({ ...card, chain });
+            handleGeneratedPromptsChanged();
+        }
+    }
+
+    async function handleRegenerateChainLink(promptId) {
+        const prompt = state.generatedPrompts.find(p => p.id === promptId);
+        if (!prompt?.chain) return;
+        const links = getSceneChainLinks(prompt.chain.id);
+        const index = links.indexOf(prompt);
+        showLoading(`Regenerating link ${index + 1} of ${links.length}...`);
+        clearError();
+        try {
+            const inputText = index === 0 ? prompt.chain.direction : links[index - 1].text;
+            const text = await extendSceneChainLink(inputText, prompt.chain, index + 1, links.length, getSceneChainLinkParams(prompt));
+            handleUpdatePromptText(promptId, text, { operation: 'sceneExtended', params: { link: index + 1, regenerated: 'yes' } });
+            showUndoableNotification(`Link ${index + 1} regenerated`);
+        } catch (err) {
+            if (isCancellationError(err)) return;
+            showError(err.message || "Failed to regenerate the link.");
+        } finally {
+            hideLoading();
+        }
+    }
+
+    function handleExportSceneChain(chainId, formatKey) {
+        const links = getSceneChainLinks(chainId);
+        const format = STORYBOARD_EXPORT_FORMATS[formatKey];
+        if (links.length === 0 || !format) return;
+        const storyboard = sceneChainToStoryboard(links);
+        downloadTextFile(`scene-chain-${toFileSlug(storyboard.original_concept, 'untitled')}.${format.extension}`, format.serialize(storyboard), format.mimeType);
+        showTemporaryNotification(`Scene chain exported as ${format.label}`, 'success');
+    }
+
+    function handleOpenSceneChainAsStoryboard(chainId) {
+        const links = getSceneChainLinks(chainId);
+        if (links.length === 0) return;
+        const storyboard = sceneChainToStoryboard(links);
+        addProjectAsset('storyboards', { concept: storyboard.original_concept, result: storyboard });
+        openModal('storyboard');
+        state.activeModal.data.conceptInput = storyboard.original_concept; // openModal prefills from the main input
+        updateModalState({ result: storyboard });
+    }
+
+    function handleApplyInputLintFix(findingIndex, fixIndex) {
+        const description = state.promptParams.description;
+        const fix = getInputLintFindings()[findingIndex]?.fixes[fixIndex];
+        if (!fix) return;
+        recordUndoPoint('Lint fix');
+        state.promptParams.description = fix.apply(description);
+        if (fix.negativeKeyword) {
+            const negativePrompt = state.promptParams.negativePrompt.trim();
+            state.promptParams.negativePrompt = negativePrompt ? `${negativePrompt}, ${fix.negativeKeyword}` : fix.negativeKeyword;
+        }
+        renderApp();
+        showUndoableNotification(fix.negativeKeyword ? `Moved "${fix.negativeKeyword}" to negative keywords` : 'Fix applied');
+    }
+
+    function handleApplyPromptLintFix(promptId, findingIndex, fixIndex) {
+        const prompt = state.generatedPrompts.find(p => p.id === promptId);
+        const finding = prompt && lintPrompt(prompt.text)[findingIndex];
+        const fix = finding?.fixes[fixIndex];
+        if (!fix) return;
+        handleUpdatePromptText(promptId, fix.apply(prompt.text), { operation: 'lintFix', params: { rule: finding.ruleId } });
+        showUndoableNotification('Fix applied');
+    }
+
     function handleClearPrompt() {
+        recordUndoPoint('Clear prompt');
         state.promptParams.description = '';
         handleClearImage(); // Also clears image params
         clearError();
@@ -1927,16 +6562,19 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
     }
 
     function handleResetAllFields() {
+        recordUndoPoint('Reset all fields');
         state.promptParams = {
             description: '', style: "", aspectRatio: '', cameraAngle: '', cameraMovement: '', lighting: '', durationHint: '', negativePrompt: '',
             numberOfPrompts: VEO_PROMPT_COUNT_OPTIONS_VALUES[0], imageB64: null, imageMimeType: null,
-            enableAudioPrompting: state.promptParams.enableAudioPrompting, // Retain audio toggle
+            ...getAudioLevelParams(state.promptParams.audioLevel), // Retain audio level
         };
         state.generatedPrompts = [];
+        saveActiveProjectPrompts();
         handleClearImage();
         clearError();
         state.activeMode = "generator"; // Reset mode
         renderApp();
+        showUndoableNotification("All fields reset");
     }
 
     function handleClearAllAdvanced() {
@@ -1945,6 +6583,7 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
         const preservedNumPrompts = state.promptParams.numberOfPrompts;
         const preservedAudio = state.promptParams.enableAudioPrompting;
 
+        recordUndoPoint('Clear advanced settings');
         state.promptParams = {
             ...state.promptParams, // Keep imageB64 and imageMimeType if they exist
             aspectRatio: '', cameraAngle: '', cameraMovement: '', lighting: '', durationHint: '', negativePrompt: '',
@@ -1953,36 +6592,164 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
         // No need to re-render the whole app, just the modal.
         // However, closeModal and re-opening will re-render modal with fresh values
         openModal('advancedSettings'); // Re-opens with fresh state
+        showUndoableNotification("Advanced settings cleared");
+    }
+
+    // Call after any change to state.generatedPrompts so the session and project copies stay in step
+    function handleGeneratedPromptsChanged() {
+        syncSessionPrompts();
+        saveActiveProjectPrompts();
     }
 
     function handleUseAsBase(promptText) {
+        recordUndoPoint('Use as base');
         state.promptParams.description = promptText;
         // Optionally reset other params, or keep them for refinement
         // state.promptParams.style = ""; // example
         state.generatedPrompts = []; // Clear generated prompts as we're starting new
+        saveActiveProjectPrompts();
         handleClearImage(); // Clear image if any
         clearError();
         renderApp();
         mainTextarea.focus();
+        showUndoableNotification("Prompt loaded as the new base");
+    }
+
+    // Opens the diff review for a proposed rewrite of a prompt card. returnTo is the modal to go back to.
+    function openDiffReview(promptId, proposedText, sourceLabel, returnTo = null, provenance = { operation: 'manualEdit', params: {} }) {
+        const prompt = state.generatedPrompts.find(p => p.id === promptId);
+        if (!prompt) return;
+        openModal('diffReview', {
+            promptId, sourceLabel, returnTo, provenance,
+            segments: buildDiffSegments(prompt.text, proposedText)
+        });
+    }
+
+    function handleCommitDiffReview() {
+        const data = state.activeModal?.data;
+        if (!data) return;
+        const hunks = data.segments.filter(seg => seg.type === 'change');
+        const acceptedCount = hunks.filter(h => h.accepted).length;
+        handleUpdatePromptText(data.promptId, composeDiffText(data.segments), {
+            operation: data.provenance.operation,
+            params: { ...data.provenance.params, acceptedChanges: `${acceptedCount}/${hunks.length}` }
+        });
+        closeModal();
+        showUndoableNotification(`Applied ${acceptedCount} of ${hunks.length} change(s)`);
+    }
+
+    async function handleSaveCharacterFromResult(result) {
+        if (!result) return;
+        const character = characterFromDetailResult(result);
+        await saveCharacter(character);
+        showTemporaryNotification(`Saved as @${character.handle}`, 'success');
+        openModal('characterBible', { selectedId: character.id });
+    }
+
+    async function handleCreateCharacter() {
+        const character = createCharacter();
+        await saveCharacter(character);
+        state.activeModal.data.selectedId = character.id;
+        renderApp();
+    }
+
+    async function handleUpdateCharacter(characterId, field, value) {
+        const character = state.characterBible.find(c => c.id === characterId);
+        if (!character) return;
+        if (field === 'handle') {
+            const handle = toFileSlug(value, '').replace(/^[^a-z]+/, '').substring(0, 40);
+            if (!handle || state.characterBible.some(c => c.handle === handle && c.id !== characterId)) {
+                showTemporaryNotification(handle ? `@${handle} is already taken` : "Handles must start with a letter", 'warning');
+                renderApp(); // Restore the previous handle
+                return;
+            }
+            value = handle;
+        } else if (field === 'name') {
+            value = value.trim() || character.name;
+        }
+        await saveCharacter({ ...character, [field]: value });
+        renderApp();
+    }
+
+    function handleCharacterImageSelected(characterId, file) {
+        if (!file) return;
+        if (!ALLOWED_IMAGE_TYPES.includes(file.type) || file.size > MAX_IMAGE_SIZE_BYTES) {
+            showTemporaryNotification(`Use a ${ALLOWED_IMAGE_TYPES.map(t => t.split('/')[1]).join(', ')} image up to ${MAX_IMAGE_SIZE_MB}MB.`, 'error');
+            return;
+        }
+        const reader = new FileReader();
+        reader.onloadend = () => handleUpdateCharacter(characterId, 'referenceImage', { name: file.name, mimeType: file.type, b64: String(reader.result).split(',')[1] });
+        reader.onerror = () => showTemporaryNotification("Failed to read image file.", 'error');
+        reader.readAsDataURL(file);
+    }
+
+    async function handleDeleteCharacter(characterId) {
+        const character = state.characterBible.find(c => c.id === characterId);
+        if (!character || !confirm(`Delete @${character.handle}? Prompts that mention it will no longer be expanded.`)) return;
+        try {
+            await idbDelete('characters', characterId);
+        } catch (error) {
+            console.error('[VideoFX Artisan] Could not delete character:', error);
+            showTemporaryNotification("Could not delete character from IndexedDB", 'error');
+            return;
+        }
+        state.characterBible = state.characterBible.filter(c => c.id !== characterId);
+        if (state.activeModal?.data) state.activeModal.data.selectedId = null;
+        renderApp();
+    }
+
+    function handleInsertCharacterMention(characterId) {
+        const character = state.characterBible.find(c => c.id === characterId);
+        if (!character) return;
+        recordUndoPoint('Insert character');
+        const description = state.promptParams.description.trimEnd();
+        state.promptParams.description = description ? `${description} @${character.handle} ` : `@${character.handle} `;
+        closeModal();
+        mainTextarea.focus();
+    }
+
+    function handleShowPromptLineage(promptId) {
+        state.generatedPrompts = state.generatedPrompts.map(p => p.id === promptId ? withPromptLineage(p) : p); // Give legacy cards a stable root
+        const prompt = state.generatedPrompts.find(p => p.id === promptId);
+        openModal('lineage', { promptId, selectedVersionId: prompt.currentVersionId, compare: false });
+    }
+
+    // Restoring moves the card's pointer back to an existing version; later edits branch from there
+    function handleRestorePromptVersion(promptId, versionId) {
+        const prompt = state.generatedPrompts.find(p => p.id === promptId);
+        const version = prompt?.versions?.find(v => v.id === versionId);
+        if (!version) return;
+        recordUndoPoint('Restore version');
+        state.generatedPrompts = state.generatedPrompts.map(p => p.id === promptId ? { ...p, text: version.text, currentVersionId: version.id } : p);
+        handleGeneratedPromptsChanged();
+        renderApp();
+        showUndoableNotification(`Restored the ${(LINEAGE_OPERATION_LABELS[version.operation] || version.operation).toLowerCase()} version`);
     }
 
-    function handleUpdatePromptText(promptId, newText) {
-        state.generatedPrompts = state.generatedPrompts.map(p => p.id === promptId ? { ...p, text: newText } : p);
+    // provenance: { operation, params } recorded on the new version (see Prompt Lineage)
+    function handleUpdatePromptText(promptId, newText, provenance = { operation: 'manualEdit', params: {} }) {
+        const prompt = state.generatedPrompts.find(p => p.id === promptId);
+        if (!prompt || prompt.text === newText) return;
+        recordUndoPoint('Edit prompt');
+        const updated = appendPromptVersion(prompt, newText, provenance.operation, provenance.params);
+        state.generatedPrompts = state.generatedPrompts.map(p => p.id === promptId ? updated : p);
+        handleGeneratedPromptsChanged();
         renderApp(); // Re-render the prompt list
     }
 
     async function handleSurpriseMe() {
         showLoading("Conjuring a random concept...");
+        recordUndoPoint('Surprise me');
         handleClearImage(); // Clear any existing image
         state.activeMode = "generator"; // Switch to generator mode for surprise me
         clearError();
         try {
             const surprise = await callArtisanApiInternal('surpriseMe', "Generate a random concept.", state.promptParams);
             if (surprise && surprise.concept && surprise.suggestedStyle) {
-                let conceptWithAudio = surprise.concept;
-                if (state.promptParams.enableAudioPrompting && surprise.suggestedAudio && Array.isArray(surprise.suggestedAudio) && surprise.suggestedAudio.length > 0) {
-                    conceptWithAudio += ` Audio: ${surprise.suggestedAudio.join(', ')}.`;
-                }
+                const conceptWithAudio = (Array.isArray(surprise.suggestedAudio) ? surprise.suggestedAudio : []).reduce((text, idea) => {
+                    const laneKey = getAudioIdeaLaneKey(idea);
+                    return isAudioLaneAllowed(laneKey, state.promptParams) ? addAudioTrackItem(text, laneKey, createAudioIdeaItem(laneKey, idea)) : text;
+                }, surprise.concept);
                 state.promptParams = {
                     ...state.promptParams, // Keep existing audio toggle, aspect ratio etc. if desired for surprise me
                     description: conceptWithAudio,
@@ -1997,6 +6764,7 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
                 throw new Error("Surprise concept response was malformed or missing key fields (concept, suggestedStyle).");
             }
         } catch (err) {
+            if (isCancellationError(err)) return;
             showError(err.message || "Surprise Me failed.");
         } finally {
             hideLoading();
@@ -2004,6 +6772,7 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
     }
 
     function handleInspirationSelect(inspiration) {
+        recordUndoPoint('Load inspiration');
         handleClearImage();
         state.activeMode = "generator";
         state.promptParams = {
@@ -2026,25 +6795,40 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
             const result = await callArtisanApiInternal('promptCritique', promptToCritique.text, state.promptParams, { promptToCritique: promptToCritique.text });
             updateModalState({ isLoading: false, result });
         } catch (err) {
+            if (isCancellationError(err)) return;
             updateModalState({ isLoading: false, error: err.message || "Failed to get critique." });
         }
     }
     async function handleGenerateThematicIdeas(theme) {
         updateModalState({ isLoading: true, error: null, result: null, data: { ...state.activeModal.data, themeInput: theme } });
         try {
-            const result = await callArtisanApiInternal('themeExplorer', `Theme: ${theme}`, state.promptParams, { theme });
+            const result = await callArtisanApiInternal('themeExplorer', theme, state.promptParams, { theme });
+            addProjectAsset('themes', { theme, result });
             updateModalState({ isLoading: false, result });
         } catch (err) {
+            if (isCancellationError(err)) return;
             updateModalState({ isLoading: false, error: err.message || "Failed to generate thematic ideas." });
         }
     }
+    // With audio off an audio idea is plain description text, as before audio levels; otherwise it goes to its lane
+    // if the level allows that lane
     function handleApplyThematicIdea(ideaText, isAudioIdea = false) {
-        if (isAudioIdea && state.promptParams.enableAudioPrompting) {
-            state.promptParams.description = state.promptParams.description ? `${state.promptParams.description}. Audio: ${ideaText}` : `Audio: ${ideaText}`;
+        const laneKey = getAudioIdeaLaneKey(ideaText);
+        const useAudioLane = isAudioIdea && state.promptParams.enableAudioPrompting;
+        if (useAudioLane && !isAudioLaneAllowed(laneKey, state.promptParams)) {
+            showAudioLaneNotAllowedNotification(laneKey);
+            return;
+        }
+        recordUndoPoint('Apply theme idea');
+        let addedTo = 'the description';
+        if (useAudioLane) {
+            state.promptParams.description = addAudioTrackItem(state.promptParams.description, laneKey, createAudioIdeaItem(laneKey, ideaText));
+            addedTo = `the ${AUDIO_TRACK_LANES.find(lane => lane.key === laneKey).label} audio lane`;
         } else {
             state.promptParams.description = state.promptParams.description ? `${state.promptParams.description}, ${ideaText}` : ideaText;
         }
         renderApp(); // Update main textarea
+        showUndoableNotification(`Idea added to ${addedTo}`);
     }
     async function handleElaboratePrompt(promptToElaborate) {
         updateModalState({ isLoading: true, error: null, result: null, data: { promptToElaborate } });
@@ -2052,6 +6836,7 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
             const result = await callArtisanApiInternal('promptElaboration', promptToElaborate.text, state.promptParams, { originalPrompt: promptToElaborate.text });
             updateModalState({ isLoading: false, result });
         } catch (err) {
+            if (isCancellationError(err)) return;
             updateModalState({ isLoading: false, error: err.message || "Failed to elaborate prompt." });
         }
     }
@@ -2061,31 +6846,99 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
             const result = await callArtisanApiInternal('shotSequenceGen', basePrompt.text, state.promptParams, { originalPrompt: basePrompt.text });
             updateModalState({ isLoading: false, result });
         } catch (err) {
+            if (isCancellationError(err)) return;
             updateModalState({ isLoading: false, error: err.message || "Failed to suggest sequence." });
         }
     }
-    function handleAddSequencePromptToGenerated(promptText) {
-        const newPrompt = { id: `${Date.now()}-seq-${Math.random().toString(36).substring(2, 5)}`, text: promptText };
+    // The new card inherits the base prompt's path so its lineage shows the shot it follows from
+    function handleAddSequencePromptToGenerated(promptText, basePromptId = null, suggestionIndex = 0) {
+        recordUndoPoint('Add sequence prompt');
+        const newId = `${Date.now()}-seq-${Math.random().toString(36).substring(2, 5)}`;
+        const basePrompt = state.generatedPrompts.find(p => p.id === basePromptId);
+        let newPrompt = createLineagePromptCard(newId, promptText, 'sequence', { shot: suggestionIndex + 1 });
+        if (basePrompt) {
+            const baseCard = withPromptLineage(basePrompt);
+            newPrompt = { ...appendPromptVersion({ ...baseCard, versions: getPromptVersionPath(baseCard) }, promptText, 'sequence', { shot: suggestionIndex + 1, fromPrompt: baseCard.id }), id: newId };
+        }
         state.generatedPrompts.push(newPrompt);
+        handleGeneratedPromptsChanged();
         renderApp();
         closeModal(); // Optionally close sequence modal
     }
     async function handleGenerateCharacterDetails(characterConcept) {
         updateModalState({ isLoading: true, error: null, result: null, data: { ...state.activeModal.data, conceptInput: characterConcept } });
         try {
-            const result = await callArtisanApiInternal('charDetailGen', `Character Concept: ${characterConcept}`, state.promptParams, { characterConcept });
+            const result = await callArtisanApiInternal('charDetailGen', characterConcept, state.promptParams, { characterConcept });
+            addProjectAsset('characters', { concept: characterConcept, result });
             updateModalState({ isLoading: false, result });
         } catch (err) {
+            if (isCancellationError(err)) return;
             updateModalState({ isLoading: false, error: err.message || "Failed to generate character details." });
         }
     }
-    function handleApplyCharacterDetail(detailText, isAudioDetail = false) {
-         if (isAudioDetail && state.promptParams.enableAudioPrompting) {
-            state.promptParams.description = state.promptParams.description ? `${state.promptParams.description}. Voice: ${detailText}` : `Voice: ${detailText}`;
+    // Vocal details become a dialogue entry for the character, with the detail as its delivery
+    function handleApplyCharacterDetail(detailText, isAudioDetail = false, speaker = '') {
+        const useAudioLane = isAudioDetail && state.promptParams.enableAudioPrompting;
+        if (useAudioLane && !isAudioLaneAllowed('dialogue', state.promptParams)) {
+            showAudioLaneNotAllowedNotification('dialogue');
+            return;
+        }
+        recordUndoPoint('Apply character detail');
+        if (useAudioLane) {
+            state.promptParams.description = addAudioTrackItem(state.promptParams.description, 'dialogue', { speaker, delivery: detailText });
         } else {
             state.promptParams.description = state.promptParams.description ? `${state.promptParams.description}, ${detailText}` : detailText;
         }
         renderApp();
+        showUndoableNotification("Detail added to the description");
+    }
+
+    function showAudioLaneNotAllowedNotification(laneKey) {
+        const lane = AUDIO_TRACK_LANES.find(item => item.key === laneKey);
+        showTemporaryNotification(`${AUDIO_LEVELS[resolveAudioLevel(state.promptParams)].label} audio leaves out ${lane.label}. Set the audio level to "${AUDIO_LEVELS[lane.level].label}" or higher to add it.`, 'info');
+    }
+
+    // promptId null edits the main description
+    function openAudioTrackEditor(promptId = null) {
+        const prompt = promptId ? state.generatedPrompts.find(p => p.id === promptId) : null;
+        const { body, audio } = splitAudioSection(prompt ? prompt.text : state.promptParams.description);
+        openModal('audioTrack', { promptId: prompt?.id || null, body, track: parseAudioTrack(audio), originalTrack: parseAudioTrack(audio) });
+    }
+
+    // Nothing is rewritten unless a lane was edited, so free-text audio the editor merely displayed stays as written.
+    // Apply to All merges the edited lanes into each prompt's own audio.
+    function handleApplyAudioTrack(applyToAll = false) {
+        const { promptId, track, originalTrack } = state.activeModal.data;
+        const editedLanes = getEditedAudioLanes(track, originalTrack);
+        if (editedLanes.length === 0) {
+            closeModal();
+            showTemporaryNotification("No audio changes to apply", 'info');
+            return;
+        }
+        const provenance = { operation: 'audioTrack', params: { cues: countAudioTrackItems(track) } };
+        if (applyToAll) {
+            recordUndoPoint('Apply audio track');
+            let changed = 0;
+            state.generatedPrompts = state.generatedPrompts.map(p => {
+                const text = mergeAudioTrackLanes(p.text, track, editedLanes);
+                if (text === p.text) return p;
+                changed++;
+                return appendPromptVersion(p, text, provenance.operation, provenance.params);
+            });
+            handleGeneratedPromptsChanged();
+            closeModal();
+            showUndoableNotification(`Audio track applied to ${changed} prompt(s)`);
+        } else if (promptId) {
+            const prompt = state.generatedPrompts.find(p => p.id === promptId);
+            if (prompt) handleUpdatePromptText(promptId, applyAudioTrack(prompt.text, track), provenance);
+            closeModal();
+            showUndoableNotification("Audio track applied to the prompt");
+        } else {
+            recordUndoPoint('Apply audio track');
+            state.promptParams.description = applyAudioTrack(state.promptParams.description, track);
+            closeModal();
+            showUndoableNotification("Audio track applied to the description");
+        }
     }
     async function handleExecuteStyleTransfer() {
         if (!state.activeModal || !state.activeModal.data.promptToStyle || !state.activeModal.data.targetStyle) {
@@ -2099,27 +6952,155 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
                 targetStyle: state.activeModal.data.targetStyle
             });
             if (result && result.stylized_prompt) {
-                handleUpdatePromptText(state.activeModal.data.promptToStyle.id, result.stylized_prompt);
-                closeModal();
+                const styleModal = { ...state.activeModal, isLoading: false };
+                openDiffReview(styleModal.data.promptToStyle.id, result.stylized_prompt, `Style Transfer to ${styleModal.data.targetStyle}`, styleModal,
+                    { operation: 'styleTransfer', params: { targetStyle: styleModal.data.targetStyle } });
             } else {
                  throw new Error("Style transfer did not return a stylized prompt.");
             }
         } catch (err) {
+            if (isCancellationError(err)) return;
             updateModalState({ isLoading: false, error: err.message || "Failed to transfer style." });
         }
     }
     async function handleGenerateStoryboard(concept) {
         updateModalState({ isLoading: true, error: null, result: null, data: { ...state.activeModal.data, conceptInput: concept }});
         try {
-            const result = await callArtisanApiInternal('storyboardGen', `Concept: ${concept}`, state.promptParams, { concept });
+            const result = withStoryboardTimeline(await callArtisanApiInternal('storyboardGen', concept, state.promptParams, { concept }));
+            addProjectAsset('storyboards', { concept, result });
             updateModalState({ isLoading: false, result });
         } catch (err) {
+            if (isCancellationError(err)) return;
             updateModalState({ isLoading: false, error: err.message || "Failed to generate storyboard." });
         }
     }
+    function getSegmentClipCount(sceneSeconds, clipSeconds) {
+        return Math.min(SEGMENT_MAX_CLIPS, Math.max(2, Math.ceil(sceneSeconds / clipSeconds)));
+    }
+    async function handleSegmentConcept() {
+        const { conceptInput, sceneSeconds, clipSeconds } = state.activeModal.data;
+        const clipCount = getSegmentClipCount(sceneSeconds, clipSeconds);
+        updateModalState({ isLoading: true, error: null, result: null });
+        try {
+            const result = await callArtisanApiInternal('clipSegmentation', conceptInput, state.promptParams, { concept: conceptInput, clipSeconds, clipCount });
+            // The clip length the result was made for, in case the select is changed afterwards
+            state.activeModal.data.resultClipSeconds = clipSeconds;
+            updateModalState({ isLoading: false, result });
+        } catch (err) {
+            if (isCancellationError(err)) return;
+            updateModalState({ isLoading: false, error: err.message || "Failed to segment the scene." });
+        }
+    }
+    // Audio from an AI result appended to its text, limited to what the current audio level allows
+    function withResultAudio(text, audioText) {
+        if (!state.promptParams.enableAudioPrompting || !audioText) return text;
+        return applyAudioTrack(text, getAudioTrackForLevel(audioText, state.promptParams));
+    }
+    function getSegmentClipText(clip) {
+        return withResultAudio(clip.prompt_text, clip.audio_description);
+    }
+    function handleAddSegmentClipsToGenerated(clipIndices) {
+        const { result, data } = state.activeModal;
+        recordUndoPoint('Add segmented clips');
+        clipIndices.forEach(index => {
+            const clip = result.clips[index];
+            const id = `${Date.now()}-clip-${index}-${Math.random().toString(36).substring(2, 5)}`;
+            state.generatedPrompts.push(createLineagePromptCard(id, getSegmentClipText(clip), 'segment', { clip: `${clip.clip_number}/${result.clips.length}`, seconds: data.resultClipSeconds }));
+        });
+        handleGeneratedPromptsChanged();
+        renderApp();
+        showUndoableNotification(`Added ${clipIndices.length} clip(s) to your prompts`);
+    }
+    function handleOpenSegmentsAsStoryboard() {
+        const { result, data } = state.activeModal;
+        const storyboard = withStoryboardTimeline({
+            original_concept: data.conceptInput,
+            storyboard_shots: result.clips.map(clip => ({
+                shot_number: clip.clip_number, description: clip.prompt_text, audio_description: clip.audio_description,
+                key_elements: [], duration_seconds: data.resultClipSeconds, transition_to_next: 'cut'
+            }))
+        });
+        addProjectAsset('storyboards', { concept: data.conceptInput, result: storyboard });
+        openModal('storyboard');
+        state.activeModal.data.conceptInput = data.conceptInput; // openModal prefills from the main input
+        updateModalState({ result: storyboard });
+    }
+    function handleEditStoryboardTimeline(edit) {
+        const storyboard = state.activeModal?.result;
+        if (!storyboard) return;
+        edit(storyboard);
+        withStoryboardTimeline(storyboard);
+        saveEditedStoryboard();
+        const scrollTop = generalModalContainer.querySelector('#storyboard-timeline-scroll')?.scrollTop || 0;
+        renderApp();
+        const scroller = generalModalContainer.querySelector('#storyboard-timeline-scroll');
+        if (scroller) scroller.scrollTop = scrollTop;
+    }
+    function handleExportStoryboard(formatKey) {
+        const storyboard = state.activeModal?.result;
+        const format = STORYBOARD_EXPORT_FORMATS[formatKey];
+        if (!storyboard || !format) return;
+        downloadTextFile(`storyboard-${toFileSlug(storyboard.original_concept, 'untitled')}.${format.extension}`, format.serialize(storyboard), format.mimeType);
+        showTemporaryNotification(`Storyboard exported as ${format.label}`, 'success');
+    }
+
+    // Shots are read from the storyboard or sequence modal that is currently open; that modal is kept as returnTo
+    // so applied rewrites land back in its result.
+    function openContinuityCheck(source) {
+        const sourceModal = state.activeModal;
+        if (!sourceModal?.result) return;
+        const shots = source === 'storyboard'
+            ? sourceModal.result.storyboard_shots.map(shot => ({ label: shot.suggested_shot_type || `Shot ${shot.shot_number}`, text: withResultAudio(shot.description, shot.audio_description) }))
+            : [{ label: 'Base prompt', text: sourceModal.data.basePrompt.text },
+               ...sourceModal.result.suggested_sequence_prompts.map((text, index) => ({ label: `Suggestion ${index + 1}`, text }))];
+        if (shots.length < 2) {
+            showTemporaryNotification("Continuity needs at least two shots.", 'info');
+            return;
+        }
+        openModal('continuity', { source, shots, sourceLabel: source === 'storyboard' ? 'Storyboard' : 'Shot Sequence', returnTo: sourceModal });
+    }
+    async function handleCheckContinuity() {
+        const shotTexts = state.activeModal.data.shots.map(shot => shot.text);
+        updateModalState({ isLoading: true, error: null, result: null });
+        try {
+            // The preamble already lists the shots, so the prompt text only asks for the check
+            const result = await callArtisanApiInternal('continuityCheck', `Check these ${shotTexts.length} shots for continuity.`, state.promptParams, { shots: shotTexts });
+            updateModalState({ isLoading: false, result });
+        } catch (err) {
+            if (isCancellationError(err)) return;
+            updateModalState({ isLoading: false, error: err.message || "Failed to check continuity." });
+        }
+    }
+    function handleApplyContinuityRewrite(conflictIndex, rewriteIndex) {
+        const { data, result } = state.activeModal;
+        const conflict = result.conflicts[conflictIndex];
+        const rewrite = conflict?.suggested_rewrites?.[rewriteIndex];
+        const shotIndex = rewrite ? rewrite.shot - 1 : -1;
+        if (!data.shots[shotIndex]) return;
+        const source = data.returnTo;
+        if (data.source === 'storyboard') {
+            const shot = source.result.storyboard_shots[shotIndex];
+            const [description, audio] = rewrite.rewritten_text.split(/\s*Audio:\s*/i);
+            shot.description = description;
+            if (audio !== undefined) shot.audio_description = audio;
+            saveEditedStoryboard();
+        } else if (shotIndex === 0) {
+            handleUpdatePromptText(source.data.basePrompt.id, rewrite.rewritten_text, { operation: 'continuityFix', params: { entity: conflict.entity || '' } });
+            source.data.basePrompt = { ...source.data.basePrompt, text: rewrite.rewritten_text };
+        } else {
+            source.result.suggested_sequence_prompts[shotIndex - 1] = rewrite.rewritten_text;
+        }
+        data.shots[shotIndex] = { ...data.shots[shotIndex], text: rewrite.rewritten_text };
+        rewrite.applied = true;
+        renderApp();
+        showTemporaryNotification(`Shot ${rewrite.shot} updated`, 'success');
+    }
+
     function handleApplyStoryboardShotToInput(shotDescription) {
+        recordUndoPoint('Use storyboard shot');
         state.promptParams.description = shotDescription;
         renderApp();
+        showUndoableNotification("Shot loaded into the description");
         // closeModal(); // Optional: user might want to pick multiple shots
     }
 
@@ -2139,14 +7120,24 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
                 </select>
             </div>`;
     }
-    function createTextFieldHTML(id, label, value, placeholder, tooltipText = "", className = "") {
+    function createNumberFieldHTML(id, label, value, min, max, tooltipText = "", className = "") {
+         return `
+            <div class="${className}">
+                <div class="flex items-center mb-1">
+                    <label for="${id}" class="block text-xs font-medium vpa-text-subdued">${label}</label>
+                    ${tooltipText ? `<div class="relative inline-flex ml-2 info-tooltip-trigger" title="${sanitizeHTML(tooltipText)}">${createIconSpanHTML("info", "default", "w-4 h-4 text-gray-400 hover:text-gray-200 cursor-help")}</div>` : ''}
+                </div>
+                <input type="number" id="${id}" value="${sanitizeHTML(String(value))}" min="${min}" max="${max}" class="w-full studio-input-base text-sm" />
+            </div>`;
+    }
+    function createTextFieldHTML(id, label, value, placeholder, tooltipText = "", className = "", inputType = "text") {
          return `
             <div class="${className}">
                 <div class="flex items-center mb-1">
                     <label for="${id}" class="block text-xs font-medium vpa-text-subdued">${label}</label>
                     ${tooltipText ? `<div class="relative inline-flex ml-2 info-tooltip-trigger" title="${sanitizeHTML(tooltipText)}">${createIconSpanHTML("info", "default", "w-4 h-4 text-gray-400 hover:text-gray-200 cursor-help")}</div>` : ''}
                 </div>
-                <input type="text" id="${id}" value="${sanitizeHTML(value || "")}" placeholder="${sanitizeHTML(placeholder)}" class="w-full studio-input-base text-sm" />
+                <input type="${inputType}" id="${id}" value="${sanitizeHTML(value || "")}" placeholder="${sanitizeHTML(placeholder)}" ${inputType === 'password' ? 'autocomplete="off" ' : ''}class="w-full studio-input-base text-sm" />
             </div>`;
     }
 
@@ -2232,6 +7223,10 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
                     <div class="flex items-center space-x-2">
                         ${createIconSpanHTML("ArtisanIcon", "default", "w-7 h-7 text-purple-500")}
                         <h1 class="text-lg font-medium vpa-text-main"> Veo <span class="font-normal vpa-text-subdued">Prompt Artisan</span></h1>
+                        <select id="vfx-project-select" class="ml-2 studio-input-base text-xs max-w-[200px]" aria-label="Active project" title="Active project"></select>
+                        <button id="vfx-session-btn" class="ml-2 px-2 py-1 rounded-md text-xs vpa-text-subdued hover:vpa-text-main hover:bg-gray-700 inline-flex items-center max-w-[200px]" title="Sessions: rename, switch or start fresh">
+                            ${createIconSpanHTML("workspaces", "default", "w-4 h-4 mr-1")}<span id="vfx-session-name" class="truncate"></span>
+                        </button>
                     </div>
                     <div class="flex items-center space-x-2">
                         <button id="vfx-minimize-btn" class="p-1.5 rounded-full vpa-text-subdued hover:vpa-text-main hover:bg-yellow-600" title="Minimize">
@@ -2307,25 +7302,34 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
                     <div id="vfx-image-preview-container"></div>
                     <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-x-4 gap-y-3 items-center">
                         <div id="footer-audio-toggle" class="md:col-span-2 lg:col-span-1 flex items-center py-1 px-3 rounded-lg border ${state.promptParams.enableAudioPrompting ? 'border-purple-500/40 bg-purple-500/10' : 'border-gray-500/20 bg-gray-500/5'} transition-all duration-200">
-                             <button type="button" role="switch" aria-checked="${state.promptParams.enableAudioPrompting}" id="vfx-enable-audio-toggle" class="${state.promptParams.enableAudioPrompting ? 'bg-purple-600' : 'bg-gray-600'} relative inline-flex items-center h-6 rounded-full w-11 transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2 focus:ring-offset-gray-800" style="pointer-events: auto !important; cursor: pointer !important;">
-                                <span class="${state.promptParams.enableAudioPrompting ? 'translate-x-6' : 'translate-x-1'} inline-block w-4 h-4 transform bg-white rounded-full transition-transform duration-200 shadow-lg"></span>
-                            </button>
-                            <label for="vfx-enable-audio-toggle" class="ml-2 text-sm font-medium vpa-text-subdued cursor-pointer select-none">Enable Audio Prompting</label>
-                            <span class="ml-2 text-xs ${state.promptParams.enableAudioPrompting ? 'text-purple-400' : 'text-gray-500'} font-medium transition-colors duration-200 audio-status-indicator">
-                                ${state.promptParams.enableAudioPrompting ? '🎵 ON' : '🔇 OFF'}
-                            </span>
-                            <div class="relative inline-flex ml-2 info-tooltip-trigger" title="${sanitizeHTML(PARAM_INFO_TOOLTIPS.enableAudioPrompting)}">${createIconSpanHTML("info", "default", "w-4 h-4 text-gray-400 hover:text-gray-200 cursor-help")}</div>
+                            <label for="vfx-audio-level-select" class="text-sm font-medium vpa-text-subdued select-none whitespace-nowrap">${createIconSpanHTML("graphic_eq", "default", "w-4 h-4 mr-1")} Audio</label>
+                            <select id="vfx-audio-level-select" class="ml-2 flex-grow studio-input-base text-sm">
+                                ${Object.entries(AUDIO_LEVELS).map(([levelKey, level]) => `<option value="${levelKey}" ${levelKey === state.promptParams.audioLevel ? 'selected' : ''}>${level.label}</option>`).join('')}
+                            </select>
+                            <div class="relative inline-flex ml-2 info-tooltip-trigger" title="${sanitizeHTML(PARAM_INFO_TOOLTIPS.audioLevel)}">${createIconSpanHTML("info", "default", "w-4 h-4 text-gray-400 hover:text-gray-200 cursor-help")}</div>
+                            <button id="vfx-audio-track-btn" class="p-1 ml-2 rounded-full text-gray-300 hover:text-white hover:bg-gray-700 inline-flex items-center justify-center shrink-0" aria-label="Build the description's audio track" title="Audio Track">${createIconSpanHTML("queue_music", "default", "w-4 h-4")}</button>
                         </div>
                         ${createSelectFieldHTML("footer-numberOfPrompts", "Outputs per prompt", state.promptParams.numberOfPrompts, VEO_PROMPT_COUNT_OPTIONS_DISPLAY, VEO_PROMPT_COUNT_OPTIONS_VALUES, "", "lg:col-span-1")}
                         ${createSelectFieldHTML("footer-style", "Visual Style", state.promptParams.style, VEO_STYLES, VEO_STYLES, "", "lg:col-span-1")}
-                        <div id="footer-sceneext-placeholder" class="lg:col-span-2 hidden lg:block"></div> <!-- Placeholder for grid alignment -->
+                        <div id="footer-sceneext-placeholder" class="lg:col-span-2 hidden lg:block"> <!-- Also keeps the grid aligned -->
+                            ${createSelectFieldHTML("footer-sceneChainLength", "Extend", state.sceneChainLength, SCENE_CHAIN_LENGTH_OPTIONS.map(n => n === 1 ? "Once" : `${n} times`), SCENE_CHAIN_LENGTH_OPTIONS, PARAM_INFO_TOOLTIPS.sceneChainLength)}
+                        </div>
 
                         <div id="footer-buttons-group" class="flex space-x-1 sm:space-x-2 items-center lg:col-span-3 justify-end pt-2 md:pt-0 mt-2 md:mt-0 w-full">
                             <button id="vfx-storyboard-btn" class="p-2 rounded-full text-gray-300 hover:text-white hover:bg-gray-700 hidden sm:inline-flex items-center justify-center shrink-0 disabled:opacity-50" aria-label="Create Storyboard from Concept" title="Prompt to Storyboard ✨">${createIconSpanHTML("view_carousel", "default", "w-5 h-5")}</button>
+                            <button id="vfx-segment-btn" class="p-2 rounded-full text-gray-300 hover:text-white hover:bg-gray-700 hidden sm:inline-flex items-center justify-center shrink-0 disabled:opacity-50" aria-label="Segment a long scene into clips" title="Segment into Clips ✨">${createIconSpanHTML("splitscreen", "default", "w-5 h-5")}</button>
+                            <button id="vfx-compare-btn" class="p-2 rounded-full text-gray-300 hover:text-white hover:bg-gray-700 hidden sm:inline-flex items-center justify-center shrink-0 disabled:opacity-50" aria-label="Compare parameter sets side by side" title="A/B Compare ✨">${createIconSpanHTML("compare", "default", "w-5 h-5")}</button>
                             <button id="vfx-char-gen-btn" class="p-2 rounded-full text-gray-300 hover:text-white hover:bg-gray-700 hidden sm:inline-flex items-center justify-center shrink-0 disabled:opacity-50" aria-label="Generate Character Details" title="Character Detail Generator ✨">${createIconSpanHTML("person", "default", "w-5 h-5")}</button>
                             <button id="vfx-theme-explorer-btn" class="p-2 rounded-full text-gray-300 hover:text-white hover:bg-gray-700 hidden sm:inline-flex items-center justify-center shrink-0 disabled:opacity-50" aria-label="Explore thematic ideas" title="Theme Explorer ✨">${createIconSpanHTML("search", "default", "w-5 h-5")}</button>
                             <button id="vfx-surprise-me-footer" class="p-2 rounded-full text-gray-300 hover:text-white hover:bg-gray-700 hidden sm:inline-flex items-center justify-center shrink-0 disabled:opacity-50" aria-label="Surprise me with a random concept" title="Surprise Me">${createIconSpanHTML("lightbulb", "default", "w-5 h-5")}</button>
+                            <button id="vfx-undo-btn" class="p-2 rounded-full text-gray-300 hover:text-white hover:bg-gray-700 inline-flex items-center justify-center shrink-0 disabled:opacity-50" aria-label="Undo" title="Undo (Ctrl+Z)">${createIconSpanHTML("undo", "default", "w-5 h-5")}</button>
+                            <button id="vfx-redo-btn" class="p-2 rounded-full text-gray-300 hover:text-white hover:bg-gray-700 inline-flex items-center justify-center shrink-0 disabled:opacity-50" aria-label="Redo" title="Redo (Ctrl+Shift+Z)">${createIconSpanHTML("redo", "default", "w-5 h-5")}</button>
                             <button id="vfx-reset-all-btn" class="p-2 rounded-full text-gray-300 hover:text-white hover:bg-gray-700 inline-flex items-center justify-center shrink-0 disabled:opacity-50" aria-label="Reset all fields" title="Reset All Fields">${createIconSpanHTML("delete", "default", "w-5 h-5")}</button>
+                            <button id="vfx-favorites-btn" class="p-2 rounded-full text-gray-300 hover:text-white hover:bg-gray-700 inline-flex items-center justify-center shrink-0 disabled:opacity-50" aria-label="Open favorites" title="Favorites">${createIconSpanHTML("star", "default", "w-5 h-5")}</button>
+                            <button id="vfx-characters-btn" class="p-2 rounded-full text-gray-300 hover:text-white hover:bg-gray-700 inline-flex items-center justify-center shrink-0 disabled:opacity-50" aria-label="Open character bible" title="Character Bible">${createIconSpanHTML("groups", "default", "w-5 h-5")}</button>
+                            <button id="vfx-batch-btn" class="p-2 rounded-full text-gray-300 hover:text-white hover:bg-gray-700 inline-flex items-center justify-center shrink-0 disabled:opacity-50" aria-label="Open batch generation" title="Batch Generation">${createIconSpanHTML("dynamic_feed", "default", "w-5 h-5")}</button>
+                            <button id="vfx-history-btn" class="p-2 rounded-full text-gray-300 hover:text-white hover:bg-gray-700 inline-flex items-center justify-center shrink-0 disabled:opacity-50" aria-label="Open prompt history" title="Prompt History">${createIconSpanHTML("history", "default", "w-5 h-5")}</button>
+                            <button id="vfx-connection-settings-btn" class="p-2 rounded-full text-gray-300 hover:text-white hover:bg-gray-700 inline-flex items-center justify-center shrink-0 disabled:opacity-50" aria-label="Open connection settings" title="Connection Settings">${createIconSpanHTML("cloud_sync", "default", "w-5 h-5")}</button>
                             <button id="vfx-advanced-settings-btn" class="p-2 rounded-full text-gray-300 hover:text-white hover:bg-gray-700 inline-flex items-center justify-center shrink-0 disabled:opacity-50" aria-label="Open advanced settings" title="Advanced Settings">${createIconSpanHTML("settings", "default", "w-5 h-5")}</button>
                         </div>
                     </div>
@@ -2338,6 +7342,8 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
                         </div>
                         <button id="vfx-generate-btn" class="p-3 bg-purple-600 text-white inline-flex items-center justify-center shrink-0 rounded-lg text-base font-medium transition-transform transform hover:scale-105 hover:bg-purple-700 focus:outline-none" style="min-height: 52px;" aria-label="Generate"></button>
                     </div>
+                    <div id="vfx-template-panel" class="mt-2"></div>
+                    <div id="vfx-lint-panel" class="mt-2" aria-live="polite"></div>
                 </div>
             </div>
 
@@ -2360,11 +7366,21 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
         footerNumPromptsSelect = overlayContainer.querySelector('#footer-numberOfPrompts');
         footerAudioToggle = overlayContainer.querySelector('#footer-audio-toggle');
         footerAdvancedSettingsButton = overlayContainer.querySelector('#vfx-advanced-settings-btn');
+        footerConnectionSettingsButton = overlayContainer.querySelector('#vfx-connection-settings-btn');
+        footerHistoryButton = overlayContainer.querySelector('#vfx-history-btn');
+        footerFavoritesButton = overlayContainer.querySelector('#vfx-favorites-btn');
+        footerBatchButton = overlayContainer.querySelector('#vfx-batch-btn');
+        footerUndoButton = overlayContainer.querySelector('#vfx-undo-btn');
+        footerCharacterBibleButton = overlayContainer.querySelector('#vfx-characters-btn');
+        footerRedoButton = overlayContainer.querySelector('#vfx-redo-btn');
         footerResetAllButton = overlayContainer.querySelector('#vfx-reset-all-btn');
         footerSurpriseMeButton = overlayContainer.querySelector('#vfx-surprise-me-footer');
         footerThemeExplorerButton = overlayContainer.querySelector('#vfx-theme-explorer-btn');
         footerCharGenButton = overlayContainer.querySelector('#vfx-char-gen-btn');
         footerStoryboardButton = overlayContainer.querySelector('#vfx-storyboard-btn');
+        footerSegmentButton = overlayContainer.querySelector('#vfx-segment-btn');
+        footerCompareButton = overlayContainer.querySelector('#vfx-compare-btn');
+        footerAudioTrackButton = overlayContainer.querySelector('#vfx-audio-track-btn');
         generateButton = overlayContainer.querySelector('#vfx-generate-btn');
         clearPromptButton = overlayContainer.querySelector('#vfx-clear-prompt-btn');
         uploadImageButton = overlayContainer.querySelector('#vfx-upload-image-btn');
@@ -2599,21 +7615,23 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
 
         // Footer select inputs
         footerNumPromptsSelect.addEventListener('change', (e) => handleParamChange({ numberOfPrompts: parseInt(e.target.value, 10) }));
+        overlayContainer.querySelector('#footer-sceneChainLength')?.addEventListener('change', (e) => {
+            state.sceneChainLength = parseInt(e.target.value, 10) || SCENE_CHAIN_LENGTH_OPTIONS[0];
+        });
         footerStyleSelect.addEventListener('change', (e) => handleParamChange({ style: e.target.value }));
         
-        // Audio toggle with error handling
+        // Audio level selector with error handling
         if (footerAudioToggle) {
-            const audioToggleButton = footerAudioToggle.querySelector('button');
-            if (audioToggleButton) {
-                audioToggleButton.addEventListener('click', () => {
+            const audioLevelSelect = footerAudioToggle.querySelector('#vfx-audio-level-select');
+            if (audioLevelSelect) {
+                audioLevelSelect.addEventListener('change', (e) => {
                     safeExecute(() => {
-                        const newState = !state.promptParams.enableAudioPrompting;
-                        console.log(`[VideoFX Artisan] Audio prompting toggled: ${newState}`);
-                        handleParamChange({ enableAudioPrompting: newState });
-                    }, 'Audio toggle click');
+                        console.log(`[VideoFX Artisan] Audio level selected: ${e.target.value}`);
+                        handleParamChange({ audioLevel: e.target.value });
+                    }, 'Audio level change');
                 });
             } else {
-                console.error('[VideoFX Artisan] Audio toggle button not found');
+                console.error('[VideoFX Artisan] Audio level select not found');
             }
         } else {
             console.error('[VideoFX Artisan] Audio toggle container not found');
@@ -2621,12 +7639,35 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
 
         // Footer action buttons
         footerAdvancedSettingsButton.addEventListener('click', () => openModal('advancedSettings'));
+        footerConnectionSettingsButton.addEventListener('click', () => openModal('connectionSettings'));
+        footerFavoritesButton.addEventListener('click', () => openModal('favorites', { folderFilter: 'all', sort: 'newest', tagFilter: '', selectedIds: [] }));
+        footerBatchButton.addEventListener('click', () => openModal('batch'));
+        footerUndoButton.addEventListener('click', handleUndo);
+        footerCharacterBibleButton.addEventListener('click', () => openModal('characterBible', { selectedId: state.characterBible[0]?.id || null }));
+        attachCharacterMentionAutocomplete(mainTextarea);
+        footerRedoButton.addEventListener('click', handleRedo);
+        addTrackedEventListener(document, 'keydown', handleUndoShortcut);
+        footerHistoryButton.addEventListener('click', () => openModal('history', { filters: { search: '', mode: '', actionKey: '', style: '' }, entries: [], hasMore: false, loaded: false }));
+        overlayContainer.querySelector('#vfx-session-btn')?.addEventListener('click', () => openModal('sessions'));
+        const projectSelect = overlayContainer.querySelector('#vfx-project-select');
+        projectSelect?.addEventListener('mousedown', (e) => e.stopPropagation()); // Don't start a window drag
+        projectSelect?.addEventListener('change', (e) => {
+            if (e.target.value === '__manage__') {
+                renderApp(); // Put the selection back on the active project
+                openModal('projects', { showArchived: false });
+            } else {
+                handleSwitchProject(e.target.value);
+            }
+        });
         footerResetAllButton.addEventListener('click', handleResetAllFields);
         footerSurpriseMeButton.addEventListener('click', handleSurpriseMe);
         overlayContainer.querySelector('#vfx-surprise-me-welcome').addEventListener('click', handleSurpriseMe); // Welcome screen surprise me
         footerThemeExplorerButton.addEventListener('click', () => openModal('themeExplorer'));
         footerCharGenButton.addEventListener('click', () => openModal('characterGen'));
         footerStoryboardButton.addEventListener('click', () => openModal('storyboard'));
+        footerSegmentButton.addEventListener('click', () => openModal('segment'));
+        footerCompareButton.addEventListener('click', () => openModal('compare'));
+        footerAudioTrackButton.addEventListener('click', () => openAudioTrackEditor());
 
         // Inspiration cards
         overlayContainer.querySelectorAll('.inspiration-card').forEach(card => {
@@ -2658,6 +7699,17 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
         
         // Load saved window state
         windowState = loadWindowState();
+        state.requestSettings = loadRequestSettings();
+        state.providerSettings = loadProviderSettings();
+        state.mockSettings = loadMockSettings();
+        state.preambleOverrides = loadPreambleOverrides();
+        const storedAudioLevel = loadStoredJSON(AUDIO_LEVEL_STORAGE_KEY, DEFAULT_AUDIO_LEVEL);
+        Object.assign(state.promptParams, getAudioLevelParams(AUDIO_LEVELS[storedAudioLevel] ? storedAudioLevel : DEFAULT_AUDIO_LEVEL));
+        Object.assign(state, loadSessions());
+        state.favorites = loadFavorites();
+        initProjects(); // Async: re-renders once IndexedDB has answered
+        initCharacterBible();
+        if (state.mockSettings.mode !== 'off') console.warn(`[VideoFX Artisan] Mock backend is in '${state.mockSettings.mode}' mode.`);
         
         createOverlayUI();
         createToggleButton(); // Creates the button to show/hide the overlay
@@ -2699,6 +7751,11 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
             #${OVERLAY_ID} .vpa-text-faint { color: hsla(0, 0%, 100%, 0.55); }
             #${OVERLAY_ID} .hover\\:vpa-text-main:hover { color: hsl(200, 12%, 95.1%); }
 
+            #${OVERLAY_ID} .vpa-diff-removed { background-color: rgba(239, 68, 68, 0.2); color: #FCA5A5; text-decoration: line-through; border-radius: 2px; }
+            #${OVERLAY_ID} .vpa-diff-added { background-color: rgba(34, 197, 94, 0.2); color: #86EFAC; border-radius: 2px; }
+            #${OVERLAY_ID} .vpa-diff-rejected { opacity: 0.4; text-decoration: line-through; }
+            #${OVERLAY_ID} .vpa-diff-removed.vpa-diff-rejected { background-color: transparent; color: inherit; text-decoration: none; opacity: 1; border-bottom: 1px dashed rgba(239, 68, 68, 0.5); }
+
             #${OVERLAY_ID} .studio-bg-base { background-color: #0f0f0f; }
             #${OVERLAY_ID} .studio-bg-card-nested { background-color: #1a1a1a; }
             #${OVERLAY_ID} .studio-bg-elevated { background-color: #1a1a1a; }
@@ -2845,6 +7902,21 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
             #${OVERLAY_ID} .hover\\:bg-green-700:hover { background-color: #15803D; }
             #${OVERLAY_ID} .hover\\:border-green-600:hover { border-color: #16A34A; }
             #${OVERLAY_ID} .hover\\:border-purple-600:hover { border-color: #7C3AED; }
+            #${OVERLAY_ID} .hover\\:bg-red-700:hover { background-color: #B91C1C; }
+            #${OVERLAY_ID} .hover\\:border-red-600:hover { border-color: #DC2626; }
+            #${OVERLAY_ID} .px-2 { padding-left: 0.5rem; padding-right: 0.5rem; } #${OVERLAY_ID} .mr-1 { margin-right: 0.25rem; } #${OVERLAY_ID} .mt-1 { margin-top: 0.25rem; }
+            #${OVERLAY_ID} .font-mono { font-family: monospace; } #${OVERLAY_ID} .list-decimal { list-style-type: decimal; }
+            #${OVERLAY_ID} .max-w-\\[200px\\] { max-width: 200px; }
+            #${OVERLAY_ID} .lg\\:grid-cols-4 { } @media (min-width: 1024px) { #${OVERLAY_ID} .lg\\:grid-cols-4 { grid-template-columns: repeat(4, minmax(0, 1fr)); } }
+            #${OVERLAY_ID} .md\\:grid-cols-4 { } @media (min-width: 768px) { #${OVERLAY_ID} .md\\:grid-cols-4 { grid-template-columns: repeat(4, minmax(0, 1fr)); } }
+            #${OVERLAY_ID} .md\\:col-span-3 { } @media (min-width: 768px) { #${OVERLAY_ID} .md\\:col-span-3 { grid-column: span 3 / span 3; } }
+            #${OVERLAY_ID} .max-w-5xl { max-width: 64rem; } #${OVERLAY_ID} .h-2 { height: 0.5rem; } #${OVERLAY_ID} .ml-auto { margin-left: auto; }
+            #${OVERLAY_ID} .flex-wrap { flex-wrap: wrap; } #${OVERLAY_ID} .gap-2 { gap: 0.5rem; }
+            #${OVERLAY_ID} .align-top { vertical-align: top; } #${OVERLAY_ID} .whitespace-nowrap { white-space: nowrap; }
+            #${OVERLAY_ID} .uppercase { text-transform: uppercase; } #${OVERLAY_ID} .text-red-400 { color: #F87171; }
+            #${OVERLAY_ID} .cursor-move { cursor: move; } #${OVERLAY_ID} .w-16 { width: 4rem; } #${OVERLAY_ID} .w-32 { width: 8rem; }
+            #${OVERLAY_ID} .items-end { align-items: flex-end; } #${OVERLAY_ID} .mr-auto { margin-right: auto; }
+            #${OVERLAY_ID} .vpa-lint-flag { text-decoration: underline wavy #FBBF24; text-underline-offset: 3px; }
             #${OVERLAY_ID} .bg-green-600 { background-color: #16A34A; }
             #${OVERLAY_ID} .bg-red-600 { background-color: #DC2626; }
             #${OVERLAY_ID} .bg-red-700 { background-color: #B91C1C; }
@@ -2987,57 +8059,17 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
                 pointer-events: auto !important;
             }
             
-            /* Fix audio toggle visibility and styling */
+            /* Fix audio level selector visibility and styling */
             .vfx-floating-window #footer-audio-toggle {
                 display: flex !important;
                 align-items: center !important;
                 visibility: visible !important;
             }
             
-            .vfx-floating-window #vfx-enable-audio-toggle {
-                display: inline-flex !important;
-                visibility: visible !important;
-                opacity: 1 !important;
-                background-color: #4B5563 !important; /* Default gray background */
-                border: 1px solid rgba(255, 255, 255, 0.2) !important;
-                width: 44px !important;
-                height: 24px !important;
-                border-radius: 12px !important;
-                position: relative !important;
-                transition: background-color 0.2s ease !important;
-            }
-            
-            .vfx-floating-window #vfx-enable-audio-toggle.bg-purple-600 {
-                background-color: #9333EA !important; /* Purple when enabled */
-            }
-            
-            .vfx-floating-window #vfx-enable-audio-toggle.bg-gray-600 {
-                background-color: #4B5563 !important; /* Gray when disabled */
-            }
-            
-            .vfx-floating-window #vfx-enable-audio-toggle span {
-                display: block !important;
-                width: 16px !important;
-                height: 16px !important;
-                background-color: #FFFFFF !important;
-                border-radius: 50% !important;
-                transition: transform 0.2s ease !important;
-                position: absolute !important;
-                top: 3px !important;
-                left: 4px !important;
-            }
-            
-            .vfx-floating-window #vfx-enable-audio-toggle span.translate-x-6 {
-                transform: translateX(20px) !important;
-            }
-            
-            .vfx-floating-window #vfx-enable-audio-toggle span.translate-x-1 {
-                transform: translateX(0px) !important;
-            }
-            
             .vfx-floating-window #footer-audio-toggle label {
                 color: rgba(255, 255, 255, 0.8) !important;
-                display: inline !important;
+                display: inline-flex !important;
+                align-items: center !important;
                 visibility: visible !important;
             }
             
@@ -3140,10 +8172,27 @@ Output ONLY a single, valid JSON object with the following structure: {"concept"
     window.vfxAudioDebug = {
         getCurrentState: () => state.promptParams.enableAudioPrompting,
         toggleAudio: () => handleParamChange({ enableAudioPrompting: !state.promptParams.enableAudioPrompting }),
+        setAudioLevel: (audioLevel) => handleParamChange({ audioLevel }),
         testNotification: (msg, type = 'info') => showTemporaryNotification(msg, type),
         getState: () => state
     };
     
+    // Prompt linter checks, e.g. vfxLinterDebug.runRegression() after changing the negation rule
+    window.vfxLinterDebug = {
+        lint: (text) => lintPrompt(text),
+        runRegression: runLintRegression
+    };
+
+    // Mock backend helpers for offline development and parser regression runs
+    window.vfxMockBackend = {
+        setMode: (mode) => handleMockSettingsChange({ mode }),
+        runRegression: runMockRegression,
+        getFixtures: (actionKey, providerId = getActiveProviderId()) => getMockFixtures(actionKey, providerId),
+        exportFixtures: () => JSON.stringify(loadMockFixtures(), null, 2),
+        importFixtures: (json) => saveStoredJSON(MOCK_FIXTURES_STORAGE_KEY, typeof json === 'string' ? JSON.parse(json) : json),
+        clearFixtures: () => saveStoredJSON(MOCK_FIXTURES_STORAGE_KEY, {})
+    };
+
     // Initialize the script
     init();
 })();